@@ -0,0 +1,119 @@
+/**
+ * Sign-in for the sync server
+ *
+ * Clients prove who they are with the ID token of their Firebase user (listeners are
+ * signed in anonymously, see src/components/ProtectedRoute.js). Tokens are JWTs signed
+ * by Google with RS256; the public certificates rotate and are fetched from Google when
+ * the cached ones expire. This checks the same things the Firebase Admin SDK does: the
+ * signature, the project, the user and the expiry.
+ */
+
+const crypto = require('crypto');
+const https = require('https');
+
+const CERTIFICATES_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+
+// Accept tokens issued slightly in the future, for clocks that are a little off (in seconds)
+const CLOCK_TOLERANCE = 300;
+
+// Read max-age from a Cache-Control header (in milliseconds)
+const parseMaxAge = (cacheControl) => {
+  const match = /max-age=(\d+)/.exec(cacheControl || '');
+  return match ? Number(match[1]) * 1000 : 0;
+};
+
+// Fetch Google's certificates as { value: { keyId: certificate }, maxAge }
+const fetchCertificates = () => new Promise((resolve, reject) => {
+  https.get(CERTIFICATES_URL, (response) => {
+    let body = '';
+    response.setEncoding('utf8');
+    response.on('data', (chunk) => {
+      body += chunk;
+    });
+    response.on('end', () => {
+      if (response.statusCode !== 200) {
+        reject(new Error(`Could not fetch sign-in certificates (HTTP ${response.statusCode})`));
+        return;
+      }
+      try {
+        resolve({ value: JSON.parse(body), maxAge: parseMaxAge(response.headers['cache-control']) });
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }).on('error', reject);
+});
+
+// Keep the certificates until they expire; clients connecting at once share one fetch
+const createCertificateCache = (fetch = fetchCertificates) => {
+  let certificates = null;
+  let expiresAt = 0;
+  let loading = null;
+
+  return () => {
+    if (certificates && Date.now() < expiresAt) return Promise.resolve(certificates);
+
+    if (!loading) {
+      loading = fetch()
+        .then(({ value, maxAge }) => {
+          certificates = value;
+          expiresAt = Date.now() + maxAge;
+          return value;
+        })
+        .finally(() => {
+          loading = null;
+        });
+    }
+    return loading;
+  };
+};
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+/**
+ * Create a function that checks Firebase ID tokens for a project
+ * @param {string} projectId - Firebase project the tokens must be issued for
+ * @param {Function} getCertificates - Resolves to { keyId: PEM certificate or public key }
+ * @returns {Function} - async (token) => { uid, admin, anonymous, expiresAt }; throws for invalid tokens
+ */
+const createTokenVerifier = (projectId, getCertificates = createCertificateCache()) => async (token) => {
+  const segments = typeof token === 'string' ? token.split('.') : [];
+  if (segments.length !== 3) throw new Error('Invalid sign-in token');
+
+  let header;
+  let payload;
+  try {
+    header = decodeSegment(segments[0]);
+    payload = decodeSegment(segments[1]);
+  } catch (error) {
+    throw new Error('Invalid sign-in token');
+  }
+  if (header.alg !== 'RS256') throw new Error('Invalid sign-in token');
+
+  const certificate = (await getCertificates())[header.kid];
+  if (!certificate) throw new Error('Sign-in token was signed with an unknown key');
+
+  const data = Buffer.from(`${segments[0]}.${segments[1]}`);
+  if (!crypto.verify('RSA-SHA256', data, certificate, Buffer.from(segments[2], 'base64url'))) {
+    throw new Error('Invalid sign-in token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (payload.aud !== projectId || payload.iss !== `https://securetoken.google.com/${projectId}`) {
+    throw new Error('Sign-in token is for another project');
+  }
+  if (typeof payload.sub !== 'string' || payload.sub.length === 0 || payload.sub.length > 128) {
+    throw new Error('Sign-in token has no user');
+  }
+  if (!(payload.exp > now)) throw new Error('Sign-in token has expired');
+  if (!(payload.iat <= now + CLOCK_TOLERANCE)) throw new Error('Sign-in token is not valid yet');
+
+  return {
+    uid: payload.sub,
+    admin: payload.admin === true,
+    anonymous: payload.firebase?.sign_in_provider === 'anonymous',
+    expiresAt: payload.exp * 1000
+  };
+};
+
+module.exports = { createTokenVerifier };
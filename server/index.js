@@ -0,0 +1,546 @@
+/**
+ * School Radio Sync Server
+ *
+ * A small self-hosted stand-in for the Firebase Realtime Database, so the station can run
+ * entirely on the school network. It keeps the shared data tree (radioState,
+ * radioServerStartTime, channels, config, ...) in memory, saves it to a JSON file, tracks
+ * which listeners are connected and serves the built app from ../build when it exists.
+ *
+ * Start it with `npm run sync-server` and build the app with
+ * REACT_APP_SYNC_BACKEND=websocket (see src/services/syncServerService.js).
+ *
+ * Messages are JSON. Requests carry an id and get exactly one reply with the same id:
+ *
+ *   { id, type: 'auth', token }                        -> { id }
+ *   { id, type: 'get', path }                          -> { id, value }
+ *   { id, type: 'set', path, value }                   -> { id }
+ *   { id, type: 'update', values }                     -> { id }
+ *   { id, type: 'transaction', path, expected, value } -> { id, committed, value }
+ *   { id, type: 'subscribe', path, subscription }      -> { id }, then { subscription, value }
+ *   { id, type: 'unsubscribe', subscription }          -> { id }
+ *   { id, type: 'time' }                               -> { id, value: server time in ms }
+ *   { id, type: 'presence', sessionId }                -> { id }
+ *   { id, type: 'leave' }                              -> { id }
+ *
+ * Failed requests are answered with { id, error }. A transaction only commits when the
+ * value at path still equals `expected`; otherwise the reply carries the current value
+ * and the client runs its update again.
+ *
+ * Clients first sign in with the ID token of their Firebase user (see auth.js); apart from
+ * 'time' nothing is answered before that. Writes are checked against the access rules below.
+ * Requests from one connection are answered in the order they arrive.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { WebSocketServer } = require('ws');
+const { createTokenVerifier } = require('./auth');
+
+const PORT = Number(process.env.SYNC_PORT) || 8080;
+const HOST = process.env.SYNC_HOST || '0.0.0.0';
+const DATA_FILE = process.env.SYNC_DATA_FILE || path.join(__dirname, 'data.json');
+const BUILD_DIR = path.join(__dirname, '..', 'build');
+
+// Firebase project whose users may sign in
+const PROJECT_ID = process.env.SYNC_FIREBASE_PROJECT_ID || process.env.REACT_APP_FIREBASE_PROJECT_ID;
+
+// How long to wait before writing changes to disk (in milliseconds)
+const SAVE_DELAY = 1000;
+
+// Longest time changes wait for disk while writes keep coming in (in milliseconds)
+const SAVE_MAX_DELAY = 10000;
+
+// Connections that don't answer a ping within this time are dropped (in milliseconds)
+const HEARTBEAT_INTERVAL = 30000;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+const log = (...args) => {
+  console.log(new Date().toISOString(), ...args);
+};
+
+/**
+ * Data tree helpers - same semantics as the in-memory storage adapter
+ */
+
+// Split a path into its keys, ignoring leading, trailing and double slashes
+const splitPath = (value) => (value || '').split('/').filter(Boolean);
+
+// Drop nulls and empty objects/arrays, the way the Realtime Database stores data
+const normalize = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'object') return value;
+
+  const entries = Object.entries(value)
+    .map(([key, child]) => [key, normalize(child)])
+    .filter(([, child]) => child !== null);
+
+  if (entries.length === 0) return null;
+
+  // An array with holes comes back as an object keyed by index
+  if (Array.isArray(value) && entries.length === value.length) return entries.map(([, child]) => child);
+  return Object.fromEntries(entries);
+};
+
+// Read the value below a list of keys
+const getIn = (tree, keys) => {
+  let node = tree;
+  for (const key of keys) {
+    if (node === null || typeof node !== 'object' || !(key in node)) return null;
+    node = node[key];
+  }
+  return node === undefined ? null : node;
+};
+
+// Return a copy of tree with the value below keys replaced
+const setIn = (tree, keys, value) => {
+  if (keys.length === 0) return normalize(value);
+
+  const [key, ...rest] = keys;
+  const base = tree !== null && typeof tree === 'object' ? tree : {};
+  const copy = Array.isArray(base) ? [...base] : { ...base };
+  copy[key] = setIn(getIn(base, [key]), rest, value);
+  return normalize(copy);
+};
+
+// Two paths affect each other when one is the other or lies below it
+const pathsOverlap = (a, b) => {
+  const keysA = splitPath(a);
+  const keysB = splitPath(b);
+  const length = Math.min(keysA.length, keysB.length);
+  return keysA.slice(0, length).join('/') === keysB.slice(0, length).join('/');
+};
+
+// JSON with sorted object keys, so equal values always compare equal
+const stableStringify = (value) => {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+};
+
+/**
+ * Stored data
+ */
+
+const load = () => {
+  try {
+    const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    log(`Loaded data from ${DATA_FILE}`);
+    return normalize(data);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log(`Could not read ${DATA_FILE}, starting empty:`, error.message);
+    }
+    return null;
+  }
+};
+
+// Nobody is connected right after a restart
+let tree = setIn(setIn(load(), ['listeners'], null), ['stats', 'currentListeners'], 0);
+let saveTimeout = null;
+let unsavedSince = null;
+
+const flush = () => {
+  saveTimeout = null;
+  unsavedSince = null;
+
+  const tempFile = `${DATA_FILE}.tmp`;
+  fs.writeFile(tempFile, JSON.stringify(tree), (error) => {
+    if (error) {
+      log(`Could not save ${DATA_FILE}:`, error.message);
+      return;
+    }
+    fs.rename(tempFile, DATA_FILE, (renameError) => {
+      if (renameError) log(`Could not save ${DATA_FILE}:`, renameError.message);
+    });
+  });
+};
+
+// Save once writes pause for SAVE_DELAY, but no later than SAVE_MAX_DELAY after the first
+// unsaved change, so a steady stream of heartbeats can't hold the data back
+const save = () => {
+  const now = Date.now();
+  if (unsavedSince === null) unsavedSince = now;
+
+  clearTimeout(saveTimeout);
+  saveTimeout = setTimeout(flush, Math.max(0, Math.min(SAVE_DELAY, unsavedSince + SAVE_MAX_DELAY - now)));
+};
+
+const read = (at) => getIn(tree, splitPath(at));
+
+/**
+ * Connected clients
+ */
+
+const clients = new Set();
+
+const send = (client, message) => {
+  if (client.socket.readyState === client.socket.OPEN) {
+    client.socket.send(JSON.stringify(message));
+  }
+};
+
+// Push a subscription's value if it changed since it was last sent
+const pushValue = (client, subscriptionId, subscription) => {
+  const value = read(subscription.path);
+  const serialized = stableStringify(value);
+  if (serialized === subscription.lastValue) return;
+
+  subscription.lastValue = serialized;
+  send(client, { subscription: subscriptionId, value });
+};
+
+// Apply { path: value } writes in one step and notify subscribers
+const write = (values) => {
+  Object.entries(values).forEach(([at, value]) => {
+    tree = setIn(tree, splitPath(at), value);
+  });
+  save();
+
+  const writtenPaths = Object.keys(values);
+  clients.forEach(client => {
+    client.subscriptions.forEach((subscription, subscriptionId) => {
+      if (writtenPaths.some(at => pathsOverlap(at, subscription.path))) {
+        pushValue(client, subscriptionId, subscription);
+      }
+    });
+  });
+};
+
+/**
+ * Listener presence
+ *
+ * Sessions are also recorded under analytics/sessions/{day}/{sessionId} with their start
+ * and last heartbeat, like the app does with Firebase (see src/services/analyticsService.js)
+ */
+
+// Analytics path of every session seen since the server started
+const sessionPaths = new Map();
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Local date as YYYY-MM-DD
+const getDayKey = (time) => {
+  const date = new Date(time);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const countListeners = () => Array.from(clients).filter(client => client.sessionId).length;
+
+const join = (client, sessionId) => {
+  if (client.sessionId === sessionId) return;
+
+  const now = Date.now();
+  const isNewSession = !sessionPaths.has(sessionId);
+  if (isNewSession) {
+    sessionPaths.set(sessionId, `analytics/sessions/${getDayKey(now)}/${sessionId}`);
+  }
+  client.sessionId = sessionId;
+
+  const sessionPath = sessionPaths.get(sessionId);
+  write({
+    [`listeners/${sessionId}`]: { timestamp: now, active: true },
+    'stats/currentListeners': countListeners(),
+    'stats/lastUpdated': now,
+    [`${sessionPath}/lastSeen`]: now,
+    ...(isNewSession ? { [`${sessionPath}/startedAt`]: now } : {})
+  });
+};
+
+const leave = (client) => {
+  if (!client.sessionId) return;
+
+  const { sessionId } = client;
+  client.sessionId = null;
+
+  // The same session may still be connected through another socket after a reconnect
+  const stillConnected = Array.from(clients).some(other => other.sessionId === sessionId);
+  write({
+    ...(stillConnected ? {} : { [`listeners/${sessionId}`]: null }),
+    'stats/currentListeners': countListeners(),
+    'stats/lastUpdated': Date.now(),
+    [`${sessionPaths.get(sessionId)}/lastSeen`]: Date.now()
+  });
+};
+
+// Keep the session length of connected listeners up to date
+const recordHeartbeat = (client) => {
+  if (!client.sessionId) return;
+  write({ [`${sessionPaths.get(client.sessionId)}/lastSeen`]: Date.now() });
+};
+
+/**
+ * Access rules
+ *
+ * Every signed-in user can read and write the shared station data, since any listener's
+ * tab may record played tracks, refresh the playlist as the maintenance leader or count
+ * listeners. Only admins (an `admin` claim in the token or admins/{uid}: true) can:
+ *   - write admins, config, channelList and radioSchedule
+ *   - pause or resume a station (isPlaying, pausedAt, pauseReason in radioState) or remove
+ *     its radioState, and move radioServerStartTime once it is set
+ *   - review song requests; everyone else can only file new requests of their own
+ * Nobody can replace the whole tree or a whole channel in one write.
+ */
+
+// Nodes only admins may write (top-level, or below channels/{id})
+const ADMIN_KEYS = ['admins', 'config', 'channelList', 'radioSchedule'];
+
+// Fields of radioState that pause and resume the station
+const CONTROL_FIELDS = ['isPlaying', 'pausedAt', 'pauseReason'];
+
+let verifyToken = PROJECT_ID ? createTokenVerifier(PROJECT_ID) : null;
+
+const isAdmin = (user) => user.admin || read(`admins/${user.uid}`) === true;
+
+const requireUser = (client) => {
+  if (!client.user || client.user.expiresAt <= Date.now()) throw new Error('Not signed in');
+  return client.user;
+};
+
+const deny = () => {
+  throw new Error('Permission denied');
+};
+
+// Check one path of a write; `after` is the whole tree as it would be after the write
+const checkWrite = (user, at, value, after) => {
+  const keys = splitPath(at);
+  if (keys.length === 0) deny();
+  if (keys[0] === 'channels' && keys.length < 3) deny();
+  if (isAdmin(user)) return;
+
+  // Writing what is already there changes nothing, e.g. a transaction that keeps the value
+  if (stableStringify(getIn(after, keys)) === stableStringify(read(at))) return;
+
+  // Below channels/{id} the same rules apply as for the main channel's nodes
+  const nodeKeys = keys[0] === 'channels' ? keys.slice(0, 3) : keys.slice(0, 1);
+  const key = nodeKeys[nodeKeys.length - 1];
+  const before = getIn(tree, nodeKeys);
+
+  if (ADMIN_KEYS.includes(key)) deny();
+
+  if (key === 'radioServerStartTime' && before !== null) deny();
+
+  if (key === 'radioState' && before !== null) {
+    const state = getIn(after, nodeKeys);
+    if (state === null) deny();
+    if (CONTROL_FIELDS.some(field => stableStringify(before[field] ?? null) !== stableStringify(state[field] ?? null))) deny();
+  }
+
+  if (key === 'requests') {
+    const isNewRequest = keys.length === 2 && read(at) === null;
+    if (!isNewRequest || user.anonymous || value?.requestedBy !== user.uid || value?.status !== 'pending') deny();
+  }
+};
+
+// Check a write of { path: value } that is applied in one step
+const authorizeWrite = (client, values) => {
+  const user = requireUser(client);
+  const after = Object.entries(values).reduce((result, [at, value]) => setIn(result, splitPath(at), value), tree);
+  Object.entries(values).forEach(([at, value]) => checkWrite(user, at, value, after));
+};
+
+/**
+ * Requests
+ */
+
+const handleRequest = async (client, message) => {
+  switch (message.type) {
+    case 'auth':
+      client.user = null;
+      if (!message.token) return {}; // Signed out
+      if (!verifyToken) throw new Error('Sign-in is not set up on this server');
+      client.user = await verifyToken(message.token);
+      return {};
+
+    case 'time':
+      return { value: Date.now() };
+
+    default:
+      requireUser(client);
+  }
+
+  switch (message.type) {
+    case 'get':
+      return { value: read(message.path) };
+
+    case 'set':
+      authorizeWrite(client, { [message.path]: message.value });
+      write({ [message.path]: message.value });
+      return {};
+
+    case 'update':
+      authorizeWrite(client, message.values || {});
+      write(message.values || {});
+      return {};
+
+    case 'transaction': {
+      const current = read(message.path);
+      if (stableStringify(current) !== stableStringify(normalize(message.expected))) {
+        return { committed: false, value: current };
+      }
+      authorizeWrite(client, { [message.path]: message.value });
+      write({ [message.path]: message.value });
+      return { committed: true, value: read(message.path) };
+    }
+
+    case 'subscribe': {
+      const subscription = { path: message.path, lastValue: undefined };
+      client.subscriptions.set(message.subscription, subscription);
+      pushValue(client, message.subscription, subscription);
+      return {};
+    }
+
+    case 'unsubscribe':
+      client.subscriptions.delete(message.subscription);
+      return {};
+
+    case 'presence':
+      join(client, String(message.sessionId));
+      return {};
+
+    case 'leave':
+      leave(client);
+      return {};
+
+    default:
+      throw new Error(`Unknown request type: ${message.type}`);
+  }
+};
+
+const handleMessage = (client, data) => {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (error) {
+    log('Ignoring malformed message');
+    return;
+  }
+
+  // Anything but a request object (null, numbers, arrays) can't be answered
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    log('Ignoring message that is not a request object');
+    return;
+  }
+
+  // Answer in order: requests after a sign-in wait until its token has been checked
+  client.requests = (client.requests || Promise.resolve()).then(async () => {
+    try {
+      send(client, { id: message.id, ...(await handleRequest(client, message)) });
+    } catch (error) {
+      send(client, { id: message.id, error: error.message });
+    }
+  });
+  return client.requests;
+};
+
+/**
+ * Static files - serve the built app so listeners only need the server's address
+ */
+
+const serveStatic = (request, response) => {
+  let requestPath;
+  try {
+    requestPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+  } catch (error) {
+    response.writeHead(400);
+    response.end();
+    return;
+  }
+  let filePath = path.normalize(path.join(BUILD_DIR, requestPath));
+
+  // Only files inside the build directory, not in siblings like build-old
+  if (filePath !== BUILD_DIR && !filePath.startsWith(BUILD_DIR + path.sep)) {
+    response.writeHead(403);
+    response.end();
+    return;
+  }
+
+  // Unknown paths are app routes such as /admin
+  if (!fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+    filePath = path.join(BUILD_DIR, 'index.html');
+  }
+
+  fs.readFile(filePath, (error, content) => {
+    if (error) {
+      response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end('School Radio sync server is running. Run `npm run build` to serve the app from here.');
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+    response.end(content);
+  });
+};
+
+/**
+ * Server
+ */
+
+const start = () => {
+  if (!verifyToken) {
+    log('Set SYNC_FIREBASE_PROJECT_ID to the Firebase project the app signs in with');
+    process.exit(1);
+  }
+
+  const server = http.createServer(serveStatic);
+  const wss = new WebSocketServer({ server });
+
+  wss.on('connection', (socket, request) => {
+    const client = { socket, subscriptions: new Map(), sessionId: null, user: null, alive: true };
+    clients.add(client);
+    log(`Client connected from ${request.socket.remoteAddress} (${clients.size} connected)`);
+
+    socket.on('pong', () => {
+      client.alive = true;
+      recordHeartbeat(client);
+    });
+
+    socket.on('message', (data) => handleMessage(client, data));
+
+    socket.on('close', () => {
+      clients.delete(client);
+      leave(client);
+      log(`Client disconnected (${clients.size} connected)`);
+    });
+  });
+
+  // Drop connections that went away without closing (sleeping laptops, lost Wi-Fi)
+  const heartbeat = setInterval(() => {
+    clients.forEach(client => {
+      if (!client.alive) {
+        client.socket.terminate();
+        return;
+      }
+      client.alive = false;
+      client.socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  server.listen(PORT, HOST, () => {
+    log(`School Radio sync server listening on ws://${HOST}:${PORT}`);
+  });
+};
+
+if (require.main === module) {
+  start();
+}
+
+// Check tokens another way, e.g. against test keys
+const setTokenVerifier = (verifier) => {
+  verifyToken = verifier;
+};
+
+module.exports = { handleMessage, serveStatic, setTokenVerifier };
@@ -0,0 +1,196 @@
+/**
+ * Sync server tests - run with `npm run test:server`
+ */
+
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, beforeEach } = require('node:test');
+
+// Start from an empty data tree and keep the real data file out of the tests
+const DATA_FILE = path.join(os.tmpdir(), `school-radio-test-${process.pid}.json`);
+process.env.SYNC_DATA_FILE = DATA_FILE;
+const { handleMessage, serveStatic, setTokenVerifier } = require('./index');
+const { createTokenVerifier } = require('./auth');
+
+const PROJECT_ID = 'school-radio-test';
+
+// Stands in for Google's signing key
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+setTokenVerifier(createTokenVerifier(PROJECT_ID, async () => ({ 'test-key': publicKey })));
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// An ID token like Firebase issues them, signed with the given key
+const createToken = (claims = {}, key = privateKey) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = encode({ alg: 'RS256', kid: 'test-key', typ: 'JWT' });
+  const payload = encode({
+    aud: PROJECT_ID,
+    iss: `https://securetoken.google.com/${PROJECT_ID}`,
+    sub: 'student',
+    iat: now,
+    exp: now + 3600,
+    ...claims
+  });
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), key).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+};
+
+let sent;
+
+const createClient = () => ({
+  socket: { OPEN: 1, readyState: 1, send: (data) => sent.push(JSON.parse(data)) },
+  subscriptions: new Map(),
+  sessionId: null,
+  user: null
+});
+
+// Send a request and get the reply
+const ask = async (client, message) => {
+  await handleMessage(client, JSON.stringify(message));
+  return sent[sent.length - 1];
+};
+
+const signIn = async (claims) => {
+  const client = createClient();
+  const reply = await ask(client, { id: 0, type: 'auth', token: createToken(claims) });
+  assert.deepStrictEqual(reply, { id: 0 });
+  return client;
+};
+
+const request = (url) => new Promise(resolve => {
+  const response = { status: null, writeHead: (status) => { response.status = status; } };
+  response.end = () => resolve(response.status);
+  serveStatic({ url }, response);
+});
+
+beforeEach(() => {
+  sent = [];
+});
+
+test('answers requests with their id', async () => {
+  const client = await signIn();
+  assert.deepStrictEqual(await ask(client, { id: 1, type: 'get', path: 'nothing' }), { id: 1, value: null });
+});
+
+test('answers failed requests with an error', async () => {
+  const client = await signIn();
+  const reply = await ask(client, { id: 2, type: 'unknown' });
+  assert.strictEqual(reply.id, 2);
+  assert.match(reply.error, /Unknown request type/);
+});
+
+test('ignores messages that are not request objects', () => {
+  ['null', '42', '"text"', '[1, 2]', 'not json'].forEach(data => {
+    assert.doesNotThrow(() => handleMessage(createClient(), data));
+  });
+  assert.deepStrictEqual(sent, []);
+});
+
+test('only answers signed-in clients', async () => {
+  const client = createClient();
+  assert.deepStrictEqual(await ask(client, { id: 3, type: 'get', path: 'config' }), { id: 3, error: 'Not signed in' });
+  assert.strictEqual(typeof (await ask(client, { id: 4, type: 'time' })).value, 'number');
+});
+
+test('rejects tokens it cannot trust', async () => {
+  const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const now = Math.floor(Date.now() / 1000);
+  const tokens = [
+    'not a token',
+    createToken({}, otherKey),
+    createToken({ aud: 'other-project' }),
+    createToken({ iat: now - 7200, exp: now - 3600 }),
+    createToken({ sub: '' })
+  ];
+
+  for (const token of tokens) {
+    const client = createClient();
+    assert.ok((await ask(client, { id: 5, type: 'auth', token })).error);
+    assert.strictEqual((await ask(client, { id: 6, type: 'get', path: 'config' })).error, 'Not signed in');
+  }
+});
+
+test('answers requests in order while a sign-in is checked', async () => {
+  const client = createClient();
+  handleMessage(client, JSON.stringify({ id: 7, type: 'auth', token: createToken() }));
+  await handleMessage(client, JSON.stringify({ id: 8, type: 'get', path: 'nothing' }));
+  assert.deepStrictEqual(sent, [{ id: 7 }, { id: 8, value: null }]);
+});
+
+test('keeps admin-only nodes and the whole tree away from listeners', async () => {
+  const student = await signIn();
+  for (const [at, value] of [['admins/student', true], ['config/crossfadeSeconds', 0], ['channelList/pop', { name: 'Pop' }], ['', {}]]) {
+    assert.strictEqual((await ask(student, { id: 9, type: 'set', path: at, value })).error, 'Permission denied');
+  }
+  assert.strictEqual((await ask(student, { id: 10, type: 'update', values: { 'stats/x': 1, 'admins/student': true } })).error, 'Permission denied');
+  assert.strictEqual((await ask(student, { id: 11, type: 'get', path: 'admins' })).value, null);
+
+  const admin = await signIn({ sub: 'teacher', admin: true });
+  assert.deepStrictEqual(await ask(admin, { id: 12, type: 'set', path: 'config/crossfadeSeconds', value: 2 }), { id: 12 });
+  assert.strictEqual((await ask(admin, { id: 13, type: 'set', path: '', value: null })).error, 'Permission denied');
+});
+
+test('lets listeners keep the rotation going but not pause or reset it', async () => {
+  const student = await signIn();
+  const state = { playlist: ['a', 'b'], isPlaying: true, version: 1 };
+  const transaction = (id, expected, value) => ask(student, { id, type: 'transaction', path: 'channels/rules/radioState', expected, value });
+
+  assert.strictEqual((await transaction(14, null, state)).committed, true);
+  assert.strictEqual((await transaction(15, state, { ...state, playedTracks: [0], version: 2 })).committed, true);
+  const played = { ...state, playedTracks: [0], version: 2 };
+  assert.strictEqual((await transaction(16, played, { ...played, isPlaying: false, pausedAt: 1 })).error, 'Permission denied');
+  assert.strictEqual((await ask(student, { id: 17, type: 'set', path: 'channels/rules/radioState', value: null })).error, 'Permission denied');
+
+  const admin = await signIn({ sub: 'teacher', admin: true });
+  assert.strictEqual((await ask(admin, { id: 18, type: 'set', path: 'channels/rules/radioState/isPlaying', value: false })).error, undefined);
+});
+
+test('lets signed-in users file requests and only admins review them', async () => {
+  const request = { videoId: 'v1', requestedBy: 'student', status: 'pending' };
+  const student = await signIn({ firebase: { sign_in_provider: 'google.com' } });
+  assert.deepStrictEqual(await ask(student, { id: 19, type: 'set', path: 'requests/r1', value: request }), { id: 19 });
+  assert.strictEqual((await ask(student, { id: 20, type: 'set', path: 'requests/r1/status', value: 'approved' })).error, 'Permission denied');
+  assert.strictEqual((await ask(student, { id: 21, type: 'set', path: 'requests/r2', value: { ...request, requestedBy: 'someone' } })).error, 'Permission denied');
+
+  const anonymous = await signIn({ sub: 'guest', firebase: { sign_in_provider: 'anonymous' } });
+  assert.strictEqual((await ask(anonymous, { id: 22, type: 'set', path: 'requests/r3', value: { ...request, requestedBy: 'guest' } })).error, 'Permission denied');
+
+  const admin = await signIn({ sub: 'teacher', admin: true });
+  assert.deepStrictEqual(await ask(admin, { id: 23, type: 'set', path: 'requests/r1/status', value: 'approved' }), { id: 23 });
+});
+
+test('rejects paths that cannot be decoded', async () => {
+  assert.strictEqual(await request('/%E0%A4%A'), 400);
+});
+
+test('refuses files outside the build directory', async () => {
+  assert.strictEqual(await request('/..%2Fbuild-x%2Fsecret.txt'), 403);
+  assert.strictEqual(await request('/..%2Fserver%2Findex.js'), 403);
+});
+
+test('saves while writes keep coming in', async (t) => {
+  const client = await signIn();
+  fs.rmSync(DATA_FILE, { force: true });
+
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  for (let i = 0; i < 30; i++) {
+    assert.deepStrictEqual(await ask(client, { id: i, type: 'set', path: 'analytics/saveTest', value: i }), { id: i });
+    t.mock.timers.tick(500);
+  }
+  t.mock.timers.reset();
+
+  // Give the file system a moment to finish the save
+  for (let i = 0; i < 40 && !fs.existsSync(DATA_FILE); i++) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  assert.ok(fs.existsSync(DATA_FILE));
+  fs.rmSync(DATA_FILE, { force: true });
+});
@@ -1,21 +1,43 @@
 import React, { useState, useEffect, useRef, useCallback, Component } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import YouTube from 'react-youtube';
-import { fetchPlaylistItems } from './services/youtubeService';
+import { formatPlaylistSources } from './services/youtubeService';
+import { getCachedPlaylistItems, getCachedPlaylistSources } from './services/playlistCacheService';
+import { getDefaultStationConfig, getStationConfig, subscribeToStationConfig } from './services/configService';
 import { 
   getServerStartTime, 
   getRadioState, 
   initializeRadio, 
   getCurrentTrack,
+  getSkipTrackKey,
+  applyPassedSkipVote,
+  subscribeToPassedSkipVotes,
   checkAndResetPlayedTracks,
+  markTrackPlayed,
   getNextUnplayedTrack,
   checkPlaylistVersion,
   resetRadioState,
   updatePlaylist,
+  removeTracksFromRotation,
   subscribeToRadioState,
-  subscribeToServerStartTime
+  subscribeToServerStartTime,
+  getSchedule,
+  subscribeToSchedule,
+  getScheduleStatus,
+  getProgramPlaylistIds,
+  storeProgramPlaylist,
+  DEFAULT_CHANNEL_ID,
+  getChannels,
+  subscribeToChannels,
+  DEFAULT_CROSSFADE_SECONDS
 } from './services/radioService';
 import { runAllDiagnostics, checkSystemCompatibility } from './services/connectionService';
+import { getServerNow } from './services/firebaseService';
+import { createDriftController } from './services/driftController';
+import { rampVolume } from './services/volumeService';
+import { recordTrackPlay } from './services/playHistoryService';
+import { startLeaderElection, subscribeToLeader } from './services/leaderService';
+import { UNPLAYABLE_ERROR_CODES, reportBrokenTrack, getBrokenVideoIds } from './services/brokenTrackService';
 import './App.css';
 
 // Import components
@@ -28,6 +50,15 @@ import Login from './components/Login';
 import Header from './components/Header';
 import ProtectedRoute from './components/ProtectedRoute';
 import AccountSettings from './components/AccountSettings';
+import ChannelSwitcher from './components/ChannelSwitcher';
+import SongRequestForm from './components/SongRequestForm';
+import AdminRoute from './components/AdminRoute';
+import Analytics from './components/Analytics';
+import RecentlyPlayed from './components/RecentlyPlayed';
+import TrackReactions from './components/TrackReactions';
+import SkipVote from './components/SkipVote';
+import TopTracks from './components/TopTracks';
+import AdminConsole from './components/AdminConsole';
 
 // Error Boundary component for YouTube player
 class ErrorBoundary extends Component {
@@ -55,6 +86,7 @@ class ErrorBoundary extends Component {
 function App() {
   // State for player and UI
   const [currentTrack, setCurrentTrack] = useState(null);
+  const [skipVoteTrackInfo, setSkipVoteTrackInfo] = useState(null);
   const [currentPosition, setCurrentPosition] = useState(0);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -65,26 +97,61 @@ function App() {
   const [disclaimerCountdown, setDisclaimerCountdown] = useState(10);
   const [upcomingTracks, setUpcomingTracks] = useState([]);
   const [radioStateData, setRadioStateData] = useState(null);
+  const [offAirStatus, setOffAirStatus] = useState(null);
+  const [stationPaused, setStationPaused] = useState(false);
+  const [pauseReason, setPauseReason] = useState(null);
+  const [channels, setChannels] = useState([]);
+  const [channelId, setChannelId] = useState(() => localStorage.getItem('radioChannel') || DEFAULT_CHANNEL_ID);
 
   // State for diagnostics
   const [diagnostics, setDiagnostics] = useState(null);
   const [showDiagnostics, setShowDiagnostics] = useState(false);
+  const [leaderInfo, setLeaderInfo] = useState(null);
+  const [isMaintenanceLeader, setIsMaintenanceLeader] = useState(false);
 
   // Refs for player and timers
   const playerRef = useRef(null);
   const timerRef = useRef(null);
   const serverStartTime = useRef(null);
+  // radioState.timelineStart from the last state update, to notice station controls that
+  // move the timeline; undefined until the first update arrives
+  const timelineStartRef = useRef(undefined);
   const lastStateChangeRef = useRef(Date.now());
   const stateChangeTimeoutRef = useRef(null);
   const loadingTimeoutRef = useRef(null);
   const hasInitializedRef = useRef(false);
+  const scheduleRef = useRef(null);
+  const stationPausedRef = useRef(false);
+  const driftControllerRef = useRef(createDriftController());
+  // Whether this client runs the station maintenance, see leaderService
+  const isLeaderRef = useRef(false);
+
+  // Gapless playback: two player slots, one on air and one pre-buffering the next track
+  const [activeSlot, setActiveSlot] = useState('a');
+  const activeSlotRef = useRef('a');
+  const standbyPlayerRef = useRef(null);
+  const standbyVideoIdRef = useRef(null);
+  const boundaryTimeoutRef = useRef(null);
+
+  // Crossfade: station-wide duration and the fade currently running on the on-air player
+  const crossfadeSecondsRef = useRef(DEFAULT_CROSSFADE_SECONDS);
+  const volumeRampRef = useRef(null);
+  const pendingFadeInRef = useRef(false);
+  const fadingOutVideoRef = useRef(null);
 
   // State to track if Firebase is initialized
   const [firebaseInitialized, setFirebaseInitialized] = useState(false);
 
-  // Get API key and playlist ID from environment variables
+  // Get API key from environment variables
   const YOUTUBE_API_KEY = process.env.REACT_APP_YOUTUBE_API_KEY;
-  const PLAYLIST_ID = process.env.REACT_APP_PLAYLIST_ID;
+
+  // Station config from the database; REACT_APP_PLAYLIST_ID is only the default playlist
+  const [stationConfig, setStationConfig] = useState(getDefaultStationConfig);
+  const stationPlaylistId = formatPlaylistSources(stationConfig.playlists);
+
+  // Each channel can bring its own playlists; the station playlists are the default
+  const activeChannel = channels.find(channel => channel.id === channelId);
+  const channelPlaylistId = activeChannel?.playlistId || stationPlaylistId;
 
   // Parse ISO 8601 duration format (PT1H2M3S) to seconds
   const parseISODuration = (duration) => {
@@ -115,6 +182,21 @@ function App() {
     return `${minutes}:${remainingSeconds < 10 ? '0' : ''}${remainingSeconds}`;
   };
 
+  // Describe when the station comes back on air, e.g. "next program at 12:10"
+  const formatNextProgram = (status) => {
+    if (!status || !status.nextStart) return 'no upcoming programs scheduled';
+
+    const nextDate = new Date(status.nextStart);
+    const time = nextDate.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false });
+
+    // Mention the weekday when the next program isn't today
+    if (nextDate.toDateString() !== new Date().toDateString()) {
+      const weekday = nextDate.toLocaleDateString([], { weekday: 'long' });
+      return `next program ${weekday} at ${time}`;
+    }
+    return `next program at ${time}`;
+  };
+
   // Initialize radio system
   // Flag to control debug logging
   const DEBUG_MODE = false;
@@ -150,32 +232,279 @@ function App() {
   };
 
   // Effect to initialize Firebase and get server start time
+  // Runs again whenever the listener switches channels
   useEffect(() => {
+    let cancelled = false;
+
     const initializeFirebase = async () => {
       try {
+        // Get the channel list first so the channel's playlist is known before init
+        const channelList = await getChannels();
+
         // Get server start time from Firebase
-        const startTime = await getServerStartTime();
+        const startTime = await getServerStartTime(channelId);
+
+        // Load the schedule before the first track is computed
+        const schedule = await getSchedule(channelId);
+
+        // And the station config, which holds the playlists
+        const config = await getStationConfig();
+        if (cancelled) return;
+
+        setStationConfig(config);
+        crossfadeSecondsRef.current = config.crossfadeSeconds;
+        setChannels(channelList);
         serverStartTime.current = startTime;
+        scheduleRef.current = schedule;
         setFirebaseInitialized(true);
-        console.log("Firebase initialized with server start time:", new Date(startTime).toISOString());
+        console.log(`Firebase initialized for channel "${channelId}" with server start time:`, new Date(startTime).toISOString());
       } catch (error) {
         console.error("Error initializing Firebase:", error);
-        // Fallback to localStorage if Firebase fails
-        const localStartTime = localStorage.getItem('radioServerStartTime');
-        if (localStartTime) {
-          serverStartTime.current = parseInt(localStartTime, 10);
-        } else {
-          const newStartTime = Date.now();
-          localStorage.setItem('radioServerStartTime', newStartTime.toString());
-          serverStartTime.current = newStartTime;
-        }
+        if (cancelled) return;
+
+        // The storage layer already falls back to its local copy, so if even that
+        // failed, run this browser on a timeline of its own rather than not at all
+        serverStartTime.current = getServerNow();
         setFirebaseInitialized(true);
       }
     };
 
     initializeFirebase();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [channelId]);
+
+  // Effect to keep the channel list up to date
+  useEffect(() => {
+    const unsubscribeChannels = subscribeToChannels(setChannels);
+    return () => unsubscribeChannels();
+  }, []);
+
+  // Effect to follow the station config edited in the admin console
+  useEffect(() => {
+    const unsubscribeConfig = subscribeToStationConfig((config) => {
+      setStationConfig(config);
+      crossfadeSecondsRef.current = config.crossfadeSeconds;
+    });
+    return () => unsubscribeConfig();
+  }, []);
+
+  // Switch to another channel and start over with its own timeline
+  const switchChannel = (newChannelId) => {
+    if (newChannelId === channelId) return;
+
+    criticalLog(`Switching to channel "${newChannelId}"`);
+    localStorage.setItem('radioChannel', newChannelId);
+
+    // Drop the old channel's playback so the player remounts with the new timeline
+    hasInitializedRef.current = false;
+    playerRef.current = null;
+    standbyPlayerRef.current = null;
+    standbyVideoIdRef.current = null;
+    serverStartTime.current = null;
+    timelineStartRef.current = undefined;
+    scheduleRef.current = null;
+    setFirebaseInitialized(false);
+    setCurrentTrack(null);
+    setUpcomingTracks([]);
+    setRadioStateData(null);
+    setOffAirStatus(null);
+    setError(null);
+    setChannelId(newChannelId);
+  };
+
+  // Apply the station-wide pause state to the local player
+  const applyStationPause = (trackInfo) => {
+    setPauseReason(trackInfo.pauseReason);
+    if (trackInfo.paused === stationPausedRef.current) return;
+
+    stationPausedRef.current = trackInfo.paused;
+    setStationPaused(trackInfo.paused);
+    criticalLog(trackInfo.paused ? "Station paused" : "Station resumed");
+
+    if (playerRef.current) {
+      try {
+        if (trackInfo.paused) {
+          playerRef.current.pauseVideo();
+        } else {
+          playerRef.current.seekTo(trackInfo.position, true);
+          playerRef.current.playVideo();
+        }
+      } catch (e) {
+        console.error("Error applying station pause state:", e);
+      }
+    }
+  };
+
+  // Move the local player to the given spot on the shared timeline
+  // A new track comes from the pre-buffered standby player when it has it, like at the end of
+  // a track, and is only loaded into the on-air player when it doesn't
+  const followTimeline = (trackInfo) => {
+    const newVideoId = trackInfo.track.snippet.resourceId.videoId;
+    criticalLog("Timeline moved, resyncing to:", trackInfo.track.snippet.title);
+
+    setCurrentPosition(trackInfo.position);
+    setCurrentTime(formatTime(trackInfo.position));
+
+    if (newVideoId !== currentTrack?.snippet?.resourceId?.videoId) {
+      setCurrentTrack(trackInfo.track);
+      fadingOutVideoRef.current = null;
+      if (!switchToStandbyPlayer(trackInfo) && playerRef.current) {
+        playerRef.current.loadVideoById({
+          videoId: newVideoId,
+          startSeconds: trackInfo.position,
+          suggestedQuality: 'small'
+        });
+      }
+    } else if (playerRef.current) {
+      playerRef.current.seekTo(trackInfo.position, true);
+    }
+    driftControllerRef.current.settle();
+  };
+
+  // Move the local player to wherever the shared timeline says we should be
+  // Called when a reset moves the server start time
+  const resyncToTimeline = async () => {
+    try {
+      const radioState = await getRadioState(channelId);
+      const currentTrackInfo = getCurrentTrack(radioState, serverStartTime.current, scheduleRef.current);
+      if (!currentTrackInfo) return;
+
+      followTimeline(currentTrackInfo);
+    } catch (error) {
+      console.error("Error resyncing to timeline:", error);
+    }
+  };
+
+  // Seek the local player back onto the shared timeline when it drifts too far
+  // Only measured while the video is actually playing, so buffering stalls don't count twice
+  const correctDrift = (trackInfo) => {
+    try {
+      if (playerRef.current.getPlayerState() !== 1) return;
+
+      const actualPosition = playerRef.current.getCurrentTime();
+      const { drift, shouldSeek } = driftControllerRef.current.measure(trackInfo.exactPosition, actualPosition);
+
+      if (shouldSeek) {
+        criticalLog(`Player drifted ${drift.toFixed(2)}s from the timeline, seeking to ${trackInfo.exactPosition.toFixed(1)}s`);
+        playerRef.current.seekTo(trackInfo.exactPosition, true);
+      }
+
+      const stats = driftControllerRef.current.getStats();
+      intervalLog(
+        `Drift: ${stats.mean.toFixed(2)}s avg, ${stats.meanAbsolute.toFixed(2)}s avg abs, ` +
+        `${stats.max.toFixed(2)}s max over ${stats.samples} samples, ${stats.corrections} corrections`
+      );
+    } catch (e) {
+      console.error("Error correcting player drift:", e);
+    }
+  };
+
+  // Fade a player's volume; while the fade runs, setFullVolume leaves that player alone
+  const fadePlayer = useCallback((player, from, to, seconds) => {
+    if (volumeRampRef.current) {
+      volumeRampRef.current.cancel();
+    }
+
+    const ramp = { player, cancel: () => {} };
+    volumeRampRef.current = ramp;
+    ramp.cancel = rampVolume(player, from, to, seconds * 1000, () => {
+      if (volumeRampRef.current === ramp) {
+        volumeRampRef.current = null;
+      }
+    });
   }, []);
 
+  // Unmute the on-air player and bring the volume up gradually
+  const fadeIn = useCallback((seconds = crossfadeSecondsRef.current) => {
+    fadePlayer(playerRef.current, 0, 100, seconds);
+    playerRef.current.unMute();
+  }, [fadePlayer]);
+
+  // Put the on-air player at full volume unless a fade is in progress or about to start
+  const setFullVolume = () => {
+    if (pendingFadeInRef.current || volumeRampRef.current?.player === playerRef.current) return;
+    playerRef.current.setVolume(100);
+  };
+
+  // Fade the on-air track out over the first half of the crossfade, ending at the
+  // track boundary where the next track fades in
+  const fadeOutBeforeBoundary = (trackInfo) => {
+    const fadeSeconds = crossfadeSecondsRef.current / 2;
+    const videoId = trackInfo.track.snippet.resourceId.videoId;
+    if (fadeSeconds <= 0 || trackInfo.remaining > fadeSeconds || fadingOutVideoRef.current === videoId) return;
+
+    fadingOutVideoRef.current = videoId;
+    try {
+      if (playerRef.current.isMuted()) return;
+      fadePlayer(playerRef.current, playerRef.current.getVolume(), 0, Math.max(0, trackInfo.remaining));
+    } catch (e) {
+      console.error("Error fading out current track:", e);
+    }
+  };
+
+  // Hand playback over to the standby player if it has already buffered the new track
+  // Returns true when the switch happened, so callers can skip loading the video again
+  const switchToStandbyPlayer = (trackInfo) => {
+    const standby = standbyPlayerRef.current;
+    const videoId = trackInfo.track?.snippet?.resourceId?.videoId;
+    if (!standby || !videoId || standbyVideoIdRef.current !== videoId) return false;
+
+    try {
+      const previous = playerRef.current;
+
+      // Carry the listener's mute state over to the new player
+      let wasMuted = true;
+      if (previous) {
+        try {
+          wasMuted = previous.isMuted();
+          previous.mute();
+          previous.pauseVideo();
+        } catch (e) {
+          console.log("Could not silence previous player, ignoring:", e.message);
+        }
+      }
+
+      standby.seekTo(trackInfo.exactPosition, true);
+      if (!wasMuted) {
+        fadePlayer(standby, 0, 100, crossfadeSecondsRef.current / 2);
+        standby.unMute();
+      }
+      if (!trackInfo.paused) {
+        standby.playVideo();
+      }
+
+      // Swap roles: the old player becomes the standby and cues the track after this one
+      playerRef.current = standby;
+      standbyPlayerRef.current = previous;
+      standbyVideoIdRef.current = null;
+      const nextSlot = activeSlotRef.current === 'a' ? 'b' : 'a';
+      activeSlotRef.current = nextSlot;
+      setActiveSlot(nextSlot);
+
+      driftControllerRef.current.settle();
+      criticalLog("Switched to pre-buffered player for:", trackInfo.track.snippet.title);
+      return true;
+    } catch (e) {
+      console.error("Error switching to standby player:", e);
+      return false;
+    }
+  };
+
+  // Run the timeline check right at the end of the current track instead of
+  // waiting for the next tick of the 1-second loop
+  const scheduleTrackBoundary = (trackInfo, onBoundary) => {
+    if (boundaryTimeoutRef.current || trackInfo.paused) return;
+    if (!Number.isFinite(trackInfo.remaining) || trackInfo.remaining > 1.5) return;
+
+    boundaryTimeoutRef.current = setTimeout(() => {
+      boundaryTimeoutRef.current = null;
+      onBoundary();
+    }, Math.max(0, trackInfo.remaining * 1000) + 50);
+  };
+
   // Effect to subscribe to real-time updates from Firebase
   useEffect(() => {
     if (!firebaseInitialized) return;
@@ -187,34 +516,31 @@ function App() {
       // Update the radio state data for use in the UI
       setRadioStateData(newState);
 
+      // Station controls and rotation edits move the timeline in the same update
+      const timelineStart = newState?.timelineStart ?? null;
+      const timelineMoved = timelineStartRef.current !== undefined && timelineStartRef.current !== timelineStart;
+      timelineStartRef.current = timelineStart;
+
       // If we have a current track, check if it changed
       if (currentTrack) {
         const currentVideoId = currentTrack.snippet.resourceId.videoId;
 
         // Find the current track in the new state
-        const currentTrackInfo = getCurrentTrack(newState, serverStartTime.current);
+        const currentTrackInfo = getCurrentTrack(newState, serverStartTime.current, scheduleRef.current);
 
         if (currentTrackInfo) {
-          const newVideoId = currentTrackInfo.track.snippet.resourceId.videoId;
+          // Pause or resume right away instead of waiting for the next timer tick
+          applyStationPause(currentTrackInfo);
 
-          // If the track changed, update the UI
-          if (currentVideoId !== newVideoId) {
-            console.log("Track changed due to real-time update:", currentTrackInfo.track.snippet.title);
-            setCurrentTrack(currentTrackInfo.track);
-            setCurrentPosition(currentTrackInfo.position);
-            setCurrentTime(formatTime(currentTrackInfo.position));
+          const newVideoId = currentTrackInfo.track.snippet.resourceId.videoId;
 
-            // If player exists, load the new video
-            if (playerRef.current) {
-              try {
-                playerRef.current.loadVideoById({
-                  videoId: newVideoId,
-                  startSeconds: currentTrackInfo.position,
-                  suggestedQuality: 'small'
-                });
-              } catch (e) {
-                console.error("Error loading new video in real-time update:", e);
-              }
+          // If the track changed or the timeline moved, follow it
+          if (currentVideoId !== newVideoId || timelineMoved) {
+            console.log("Following real-time update:", currentTrackInfo.track.snippet.title);
+            try {
+              followTimeline(currentTrackInfo);
+            } catch (e) {
+              console.error("Error loading new video in real-time update:", e);
             }
           } else {
             // If the track is the same, just update the position
@@ -228,22 +554,19 @@ function App() {
       const updateUpcomingTracks = async () => {
         try {
           // Get current track info from new state
-          const currentTrackInfo = getCurrentTrack(newState, serverStartTime.current);
+          const currentTrackInfo = getCurrentTrack(newState, serverStartTime.current, scheduleRef.current);
           if (!currentTrackInfo) return;
 
-          // Get current index
-          const currentVideoId = currentTrackInfo.track.snippet.resourceId.videoId;
-          const currentIndex = newState.playlist.findIndex(
-            item => item.snippet.resourceId.videoId === currentVideoId
-          );
+          // Get current index in the playlist that is on air (main rotation or program)
+          const { playlist, index: currentIndex } = currentTrackInfo;
 
           // Get the next 5 tracks
-          const playlistLength = newState.playlist.length;
+          const playlistLength = playlist.length;
           const nextTracks = [];
 
           for (let i = 1; i <= 5; i++) {
             const nextIndex = (currentIndex + i) % playlistLength;
-            nextTracks.push(newState.playlist[nextIndex]);
+            nextTracks.push(playlist[nextIndex]);
           }
 
           setUpcomingTracks(nextTracks);
@@ -253,26 +576,97 @@ function App() {
       };
 
       updateUpcomingTracks();
-    });
+    }, channelId);
 
     // Subscribe to server start time updates
     const unsubscribeServerStartTime = subscribeToServerStartTime((newStartTime) => {
       console.log("Received real-time update for server start time:", new Date(newStartTime).toISOString());
+      const previousStartTime = serverStartTime.current;
       serverStartTime.current = newStartTime;
-    });
+
+      // A reset restarted the timeline for the whole station, follow it immediately
+      if (previousStartTime && previousStartTime !== newStartTime && currentTrack) {
+        resyncToTimeline();
+      }
+    }, channelId);
 
     // Clean up subscriptions
     return () => {
       unsubscribeRadioState();
       unsubscribeServerStartTime();
     };
-  }, [firebaseInitialized, currentTrack]);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [firebaseInitialized, currentTrack, channelId]);
+
+  // Effect to take part in the leader election, so only one client runs the maintenance
+  useEffect(() => {
+    if (!firebaseInitialized) return;
+
+    const stopElection = startLeaderElection(channelId, (leads) => {
+      isLeaderRef.current = leads;
+      setIsMaintenanceLeader(leads);
+      criticalLog(leads ? "This client is now the maintenance leader" : "This client is no longer the maintenance leader");
+    });
+    const unsubscribeLeader = subscribeToLeader(setLeaderInfo, channelId);
+
+    return () => {
+      stopElection();
+      unsubscribeLeader();
+      isLeaderRef.current = false;
+      setIsMaintenanceLeader(false);
+    };
+  }, [firebaseInitialized, channelId]);
+
+  // Effect to apply passed skip votes whose voter's client didn't get to skip the track
+  useEffect(() => {
+    if (!firebaseInitialized || !isMaintenanceLeader) return;
+
+    const unsubscribe = subscribeToPassedSkipVotes(() => {
+      applyPassedSkipVote(channelId).catch(error => {
+        console.error("Error applying skip vote:", error);
+      });
+    }, channelId);
+
+    return () => unsubscribe();
+  }, [firebaseInitialized, isMaintenanceLeader, channelId]);
+
+  // Effect to follow schedule changes and keep program playlists loaded
+  // Runs again when this client becomes leader, so a new leader loads them right away
+  useEffect(() => {
+    if (!firebaseInitialized) return;
+
+    // Fetch the playlists of scheduled programs so they are ready when the block starts
+    const loadProgramPlaylists = async (schedule) => {
+      if (!isMaintenanceLeader) return; // The leader keeps them stored for everyone
+
+      const programIds = getProgramPlaylistIds(schedule).filter(id => id !== channelPlaylistId);
+
+      for (const programId of programIds) {
+        try {
+          const { items } = await getCachedPlaylistItems(YOUTUBE_API_KEY, programId);
+          await storeProgramPlaylist(programId, items, channelId);
+          debugLog(`Loaded ${items.length} tracks for program playlist ${programId}`);
+        } catch (error) {
+          console.error(`Error loading program playlist ${programId}:`, error);
+        }
+      }
+    };
+
+    const unsubscribeSchedule = subscribeToSchedule((newSchedule) => {
+      console.log("Received real-time update for schedule");
+      scheduleRef.current = newSchedule;
+      loadProgramPlaylists(newSchedule);
+    }, channelId);
+
+    return () => unsubscribeSchedule();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [firebaseInitialized, YOUTUBE_API_KEY, channelPlaylistId, channelId, isMaintenanceLeader]);
 
   // Effect to run diagnostics checks
   useEffect(() => {
     const runDiagnostics = async () => {
-      if (YOUTUBE_API_KEY && PLAYLIST_ID) {
-        const results = await runAllDiagnostics(YOUTUBE_API_KEY, PLAYLIST_ID);
+      if (YOUTUBE_API_KEY && channelPlaylistId) {
+        const results = await runAllDiagnostics(YOUTUBE_API_KEY, channelPlaylistId);
         setDiagnostics(results);
 
         // If critical diagnostics fail, log a warning
@@ -297,7 +691,7 @@ function App() {
     };
 
     runDiagnostics();
-  }, [YOUTUBE_API_KEY, PLAYLIST_ID]);
+  }, [YOUTUBE_API_KEY, channelPlaylistId]);
 
   useEffect(() => {
     const initializeRadioSystem = async () => {
@@ -308,9 +702,9 @@ function App() {
         setIsLoading(true);
 
         // Check for API keys
-        if (!YOUTUBE_API_KEY || !PLAYLIST_ID) {
+        if (!YOUTUBE_API_KEY || !channelPlaylistId) {
           console.error("Missing API Key or Playlist ID");
-          setError('Missing YouTube API key or Playlist ID. Please check your environment variables.');
+          setError('Missing YouTube API key or Playlist ID. Please check your environment variables and the station config.');
           setIsLoading(false);
           return;
         }
@@ -322,8 +716,8 @@ function App() {
           return;
         }
 
-        const items = await fetchPlaylistItems(YOUTUBE_API_KEY, PLAYLIST_ID);
-        debugLog(`Fetched ${items?.length || 0} playlist items`);
+        const { items, totalCount } = await getCachedPlaylistSources(YOUTUBE_API_KEY, channelPlaylistId, stationConfig.refreshMinutes * 60 * 1000);
+        debugLog(`Fetched ${items?.length || 0} of ${totalCount} playlist items`);
 
         if (!items || items.length === 0) {
           setError('No tracks found in the playlist. Please check your Playlist ID.');
@@ -332,19 +726,26 @@ function App() {
         }
 
         // Check if radio state exists, initialize if it doesn't
-        let radioState = await getRadioState();
+        let radioState = await getRadioState(channelId);
         if (!radioState) {
           criticalLog("Initializing new radio state");
-          radioState = await initializeRadio(items);
+          radioState = await initializeRadio(items, channelId);
         }
 
         // Set the radio state data for use in the UI
         setRadioStateData(radioState);
 
         // Get current track based on server time
-        const currentTrackInfo = getCurrentTrack(radioState, serverStartTime.current);
+        const currentTrackInfo = getCurrentTrack(radioState, serverStartTime.current, scheduleRef.current);
+        const scheduleStatus = getScheduleStatus(scheduleRef.current);
 
-        if (currentTrackInfo) {
+        if (!scheduleStatus.onAir) {
+          // Nothing to play until the next program starts; the timer picks it up from there
+          criticalLog("Station is off air, waiting for the next program");
+          setOffAirStatus(scheduleStatus);
+          setIsLoading(false);
+          hasInitializedRef.current = true;
+        } else if (currentTrackInfo) {
           criticalLog("Starting with track:", currentTrackInfo.track.snippet.title);
 
           // Update UI immediately
@@ -388,7 +789,8 @@ function App() {
         clearTimeout(loadingTimeoutRef.current);
       }
     };
-  }, [YOUTUBE_API_KEY, PLAYLIST_ID, firebaseInitialized]); // Dependencies
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [YOUTUBE_API_KEY, channelPlaylistId, firebaseInitialized, channelId]); // Dependencies
 
   // Add a fallback to exit loading state after timeout
   useEffect(() => {
@@ -418,7 +820,7 @@ function App() {
       }
 
       try {
-        const radioState = await getRadioState();
+        const radioState = await getRadioState(channelId);
         if (!radioState) {
           console.warn("No radio state found in timer");
           return;
@@ -427,7 +829,31 @@ function App() {
         // Update the radio state data for use in the UI
         setRadioStateData(radioState);
 
-        const currentTrackInfo = getCurrentTrack(radioState, serverStartTime.current);
+        // The leader reshuffles once every track has been played, even if its player never saw the last one end
+        if (isLeaderRef.current && radioState.playedTracks && radioState.playlist &&
+            radioState.playedTracks.length >= radioState.playlist.length) {
+          await checkAndResetPlayedTracks(channelId);
+          return; // The next tick picks up the reshuffled state
+        }
+
+        // Respect the schedule before looking for a track
+        const scheduleStatus = getScheduleStatus(scheduleRef.current);
+        if (!scheduleStatus.onAir) {
+          setOffAirStatus(scheduleStatus);
+
+          // Going off air: drop the track so the player unmounts and falls silent
+          if (currentTrack) {
+            criticalLog("Station going off air");
+            playerRef.current = null;
+            standbyPlayerRef.current = null;
+            standbyVideoIdRef.current = null;
+            setCurrentTrack(null);
+          }
+          return;
+        }
+        setOffAirStatus(null);
+
+        const currentTrackInfo = getCurrentTrack(radioState, serverStartTime.current, scheduleRef.current);
         if (!currentTrackInfo) {
           console.warn("No current track info found in timer");
           return;
@@ -437,6 +863,15 @@ function App() {
         setCurrentPosition(currentTrackInfo.position);
         setCurrentTime(formatTime(currentTrackInfo.position));
 
+        // Follow the station-wide pause set from the admin console
+        applyStationPause(currentTrackInfo);
+
+        // Skip votes belong to one play of a track, so only hand over a new track info when that changes
+        setSkipVoteTrackInfo(previous => (
+          previous && getSkipTrackKey(previous) === getSkipTrackKey(currentTrackInfo) &&
+          previous.programId === currentTrackInfo.programId ? previous : currentTrackInfo
+        ));
+
         // Update track if it changed
         const currentVideoId = currentTrack?.snippet?.resourceId?.videoId;
         const newVideoId = currentTrackInfo.track?.snippet?.resourceId?.videoId;
@@ -446,6 +881,23 @@ function App() {
           criticalLog("Track changed to:", currentTrackInfo.track.snippet.title);
           setCurrentTrack(currentTrackInfo.track);
 
+          // Let the new video load before measuring drift again
+          driftControllerRef.current.settle();
+          fadingOutVideoRef.current = null;
+
+          // Add the track to the shared played history (main rotation only)
+          if (!currentTrackInfo.programId) {
+            markTrackPlayed(currentTrackInfo.index, currentTrackInfo.cycle, channelId);
+          }
+
+          // And to the play log, which keeps every track including programs
+          recordTrackPlay(currentTrackInfo, channelId);
+
+          // Prefer the pre-buffered player, which makes the transition gapless
+          if (switchToStandbyPlayer(currentTrackInfo)) {
+            return;
+          }
+
           // Define safe player operation function
           const safePlayerOperation = (operation, name) => {
             if (!playerRef.current) return false;
@@ -473,6 +925,9 @@ function App() {
           // If player exists, load and seek to correct position with safe operation
           if (playerRef.current) {
             debugLog("Loading new video in player");
+
+            // Fade in once the new video actually starts playing
+            pendingFadeInRef.current = true;
             const loadSuccess = safePlayerOperation(() => {
               playerRef.current.loadVideoById({
                 videoId: newVideoId,
@@ -497,6 +952,10 @@ function App() {
               }, 2000);
             }
           }
+        } else if (!currentTrackInfo.paused && playerRef.current) {
+          correctDrift(currentTrackInfo);
+          fadeOutBeforeBoundary(currentTrackInfo);
+          scheduleTrackBoundary(currentTrackInfo, updateCurrentPosition);
         }
       } catch (error) {
         console.error("Error updating current position:", error);
@@ -510,14 +969,17 @@ function App() {
 
       timerRef.current = setInterval(updateCurrentPosition, 1000);
 
-      // Set up automatic playlist refresh - check less frequently
+      // Set up automatic playlist refresh at the interval from the station config
+      // Only the leader refreshes; everyone else gets the result through the radio state
       const playlistRefreshInterval = setInterval(() => {
+        if (!isLeaderRef.current) return;
         console.log("Checking for playlist updates");
         refreshPlaylist();
-      }, 5 * 60 * 1000); // Every 5 minutes (changed from 1 minute)
+      }, stationConfig.refreshMinutes * 60 * 1000);
 
       // Only force a state reset once per hour and use the more conservative refresh function
       const forceResetInterval = setInterval(() => {
+        if (!isLeaderRef.current) return;
         console.log("Periodic playlist check");
         // Don't reset the state completely anymore, just refresh playlist
         refreshPlaylist(); // Use our updated non-disruptive refresh function
@@ -529,10 +991,14 @@ function App() {
         }
         clearInterval(playlistRefreshInterval);
         clearInterval(forceResetInterval);
+        if (boundaryTimeoutRef.current) {
+          clearTimeout(boundaryTimeoutRef.current);
+          boundaryTimeoutRef.current = null;
+        }
       };
     }
       // eslint-disable-next-line react-hooks/exhaustive-deps
-      }, [currentTrack, isLoading, firebaseInitialized]); // Disabling lint for external functions
+      }, [currentTrack, isLoading, firebaseInitialized, channelId, stationConfig.refreshMinutes]); // Disabling lint for external functions
 
   // Global cleanup effect
   useEffect(() => {
@@ -652,10 +1118,40 @@ function App() {
     }, 3000);
   };
 
+  // A video that can't be played here is reported and taken out of the rotation for everyone
+  const handleUnplayableVideo = async (player, errorCode) => {
+    // The error can come from the standby player preloading the next track
+    let videoId = currentTrack?.snippet?.resourceId?.videoId;
+    try {
+      videoId = player.getVideoData().video_id || videoId;
+    } catch (e) {
+      // Fall back to the current track
+    }
+    if (!videoId) return;
+
+    const track = [currentTrack, ...(radioStateData?.playlist || [])]
+      .find(item => item?.snippet?.resourceId?.videoId === videoId) ||
+      { snippet: { title: videoId, resourceId: { videoId } } };
+
+    criticalLog(`"${track.snippet.title}" can't be played (error ${errorCode}), removing it from the rotation`);
+    try {
+      await reportBrokenTrack(track, errorCode);
+      await removeTracksFromRotation([videoId], channelId);
+    } catch (error) {
+      console.error("Error removing unplayable video:", error);
+    }
+  };
+
   // YouTube player error handler
   const onPlayerError = (event) => {
     console.error("YouTube player error:", event.data);
 
+    // Retrying or resetting the player doesn't help with these
+    if (UNPLAYABLE_ERROR_CODES.includes(event.data)) {
+      handleUnplayableVideo(event.target, event.data);
+      return;
+    }
+
     // Track consecutive errors
     playerErrorCountRef.current += 1;
 
@@ -684,7 +1180,7 @@ function App() {
               const currentTime = currentPosition;
 
               // Fetch the latest playlist items
-              const items = await fetchPlaylistItems(YOUTUBE_API_KEY, PLAYLIST_ID);
+              const { items, totalCount } = await getCachedPlaylistSources(YOUTUBE_API_KEY, channelPlaylistId, stationConfig.refreshMinutes * 60 * 1000);
 
               if (!items || items.length === 0) {
                 setError("Failed to fetch playlist items");
@@ -692,31 +1188,32 @@ function App() {
                 return;
               }
 
-              criticalLog(`Fetched ${items.length} playlist items`);
+              criticalLog(`Fetched ${items.length} of ${totalCount} playlist items`);
 
               // Check if the playlist has changed significantly (new videos added/removed)
-              const playlistChanged = await checkPlaylistVersion(items);
+              const playlistChanged = await checkPlaylistVersion(items, totalCount, channelId);
               if (playlistChanged) {
                 // Instead of resetting the state completely, update it while preserving the current track
 
                 // First check if current track exists in the new playlist
-                const currentTrackStillExists = currentVideoId && 
-                  items.some(item => item?.snippet?.resourceId?.videoId === currentVideoId);
+                // Approved song requests are never in the YouTube playlist, so they always count as existing
+                const currentTrackStillExists = currentVideoId && (currentTrack.request ||
+                  items.some(item => item?.snippet?.resourceId?.videoId === currentVideoId));
 
                 if (currentTrackStillExists) {
                   // Current track still exists, just update the playlist
                   criticalLog("Current track still exists in updated playlist - maintaining playback");
-                  await updatePlaylist(items);
+                  await updatePlaylist(items, channelId);
                 } else {
                   // Only reset if current track is gone from the playlist
                   criticalLog("Current track no longer in playlist - resetting state");
-                  await resetRadioState();
+                  await resetRadioState(channelId);
 
                   // Re-initialize with new items
-                  const radioState = await initializeRadio(items);
+                  const radioState = await initializeRadio(items, channelId);
 
                   // Get current track based on server time
-                  const currentTrackInfo = getCurrentTrack(radioState, serverStartTime.current);
+                  const currentTrackInfo = getCurrentTrack(radioState, serverStartTime.current, scheduleRef.current);
 
                   if (currentTrackInfo) {
                     criticalLog("Starting with new track:", currentTrackInfo.track.snippet.title);
@@ -770,8 +1267,11 @@ function App() {
                 }
               } else {
                 // Just update the existing playlist with any new items
-                await updatePlaylist(items);
+                await updatePlaylist(items, channelId);
               }
+
+              // Take out tracks that became unplayable after they joined the rotation
+              await removeTracksFromRotation(await getBrokenVideoIds(), channelId);
             } catch (error) {
               console.error("Error refreshing playlist:", error);
               setError("Failed to refresh playlist");
@@ -836,8 +1336,7 @@ function App() {
         if (playerIsReady) {
           // Player is initialized properly, unmute it
           const unmuteSuccess = safePlayerOperation(() => {
-            playerRef.current.unMute();
-            playerRef.current.setVolume(100);
+            fadeIn();
             console.log("Player unmuted after user interaction");
           }, "unmute");
 
@@ -845,8 +1344,7 @@ function App() {
           if (!unmuteSuccess) {
             setTimeout(() => {
               safePlayerOperation(() => {
-                playerRef.current.unMute();
-                playerRef.current.setVolume(100);
+                fadeIn();
               }, "unmute retry");
             }, 1500);
           }
@@ -873,7 +1371,7 @@ function App() {
       document.removeEventListener('click', handleUserInteraction);
       document.removeEventListener('touchstart', handleUserInteraction);
     };
-  }, []);
+  }, [fadeIn]);
 
   const onPlayerReady = useCallback((event) => {
     try {
@@ -994,8 +1492,7 @@ function App() {
                   if (userInteracted) {
                     setTimeout(() => {
                       const unmuteSuccess = safePlayerOperation(() => {
-                        playerRef.current.unMute();
-                        playerRef.current.setVolume(100);
+                        fadeIn();
                         console.log("Player unmuted due to prior user interaction");
                       }, "unmute");
 
@@ -1003,8 +1500,7 @@ function App() {
                         // Retry unmute after a longer delay
                         setTimeout(() => {
                           safePlayerOperation(() => {
-                            playerRef.current.unMute();
-                            playerRef.current.setVolume(100);
+                            fadeIn();
                           }, "unmute retry");
                         }, 1500);
                       }
@@ -1033,7 +1529,7 @@ function App() {
                   setTimeout(() => {
                     const unmuteSuccess = safePlayerOperation(() => {
                       playerRef.current.unMute();
-                      playerRef.current.setVolume(100);
+                      setFullVolume();
                       console.log("Player unmuted due to prior user interaction");
                     }, "unmute");
 
@@ -1042,7 +1538,7 @@ function App() {
                       setTimeout(() => {
                         safePlayerOperation(() => {
                           playerRef.current.unMute();
-                          playerRef.current.setVolume(100);
+                          setFullVolume();
                         }, "unmute retry");
                       }, 1500);
                     }
@@ -1062,7 +1558,58 @@ function App() {
     } catch (error) {
       console.error("Error in onPlayerReady:", error);
     }
-  }, [currentPosition, userInteracted, setStablePlayState]);
+  }, [currentPosition, userInteracted, setStablePlayState, fadeIn]);
+
+  // The standby player only needs to buffer, so keep it muted and parked at the start
+  const onStandbyReady = (event) => {
+    debugLog("Standby YouTube player is ready");
+    standbyPlayerRef.current = event.target;
+    try {
+      event.target.mute();
+      event.target.setPlaybackQuality('small');
+    } catch (e) {
+      console.log("Could not prepare standby player, ignoring:", e.message);
+    }
+  };
+
+  const onStandbyStateChange = (event, videoId) => {
+    try {
+      if (event.data === 1) {
+        // Playing briefly is what makes the iframe buffer; park it straight away
+        event.target.mute();
+        event.target.pauseVideo();
+        event.target.seekTo(0, true);
+        standbyVideoIdRef.current = videoId;
+        debugLog("Pre-buffered next track:", videoId);
+      } else if (event.data === -1) {
+        // A new video is loading, the previously buffered one is gone
+        standbyVideoIdRef.current = null;
+      } else if (event.data === 5) {
+        // A cued video has only loaded its metadata, so start it muted to buffer audio
+        event.target.mute();
+        event.target.playVideo();
+      }
+    } catch (e) {
+      console.error("Error pre-buffering next track:", e);
+    }
+  };
+
+  // Route player events by slot: the slot on air gets the regular handlers
+  const handleSlotReady = (slot, event) => {
+    if (slot === activeSlotRef.current) {
+      onPlayerReady(event);
+    } else {
+      onStandbyReady(event);
+    }
+  };
+
+  const handleSlotStateChange = (slot, event, videoId) => {
+    if (slot === activeSlotRef.current) {
+      onPlayerStateChange(event);
+    } else {
+      onStandbyStateChange(event, videoId);
+    }
+  };
 
   // More robust state change handler
   const onPlayerStateChange = async (event) => {
@@ -1095,21 +1642,23 @@ function App() {
 
         try {
           // Get radio state
-          const radioState = await getRadioState();
+          const radioState = await getRadioState(channelId);
           if (radioState) {
             // Check if we need to reset played tracks (if all tracks have been played)
-            if (radioState.playedTracks && 
+            // Only the leader reshuffles; the others follow the new state when it arrives
+            if (isLeaderRef.current && radioState.playedTracks && 
                 radioState.playedTracks.length >= radioState.playlist.length) {
               // All tracks have been played, reset and reshuffle
               criticalLog("All tracks have been played, reshuffling playlist");
-              await checkAndResetPlayedTracks();
+              await checkAndResetPlayedTracks(channelId);
 
               // Get fresh state after reset
-              const freshState = await getRadioState();
+              const freshState = await getRadioState(channelId);
               if (freshState) {
-                const currentTrackInfo = getCurrentTrack(freshState, serverStartTime.current);
+                const currentTrackInfo = getCurrentTrack(freshState, serverStartTime.current, scheduleRef.current);
                 if (currentTrackInfo) {
                   console.log("Loading next track after playlist reset:", currentTrackInfo.track.snippet.title);
+                  switchToStandbyPlayer(currentTrackInfo);
                   setCurrentTrack(currentTrackInfo.track);
                   setCurrentPosition(currentTrackInfo.position);
                   setCurrentTime(formatTime(currentTrackInfo.position));
@@ -1117,9 +1666,10 @@ function App() {
               }
             } else {
               // Get next track that hasn't been played yet
-              const currentTrackInfo = getCurrentTrack(radioState, serverStartTime.current);
+              const currentTrackInfo = getCurrentTrack(radioState, serverStartTime.current, scheduleRef.current);
               if (currentTrackInfo) {
                 console.log("Loading next track:", currentTrackInfo.track.snippet.title);
+                switchToStandbyPlayer(currentTrackInfo);
                 setCurrentTrack(currentTrackInfo.track);
                 setCurrentPosition(currentTrackInfo.position);
                 setCurrentTime(formatTime(currentTrackInfo.position));
@@ -1132,9 +1682,30 @@ function App() {
       }
 
       // Robust state handling
+      // While the station is paused, keep the player paused instead of forcing playback
+      if (stationPausedRef.current) {
+        if (event.data === 1) {
+          safePlayerOperation(() => {
+            playerRef.current.pauseVideo();
+          }, "pauseVideo while station paused");
+        }
+        lastStateChangeRef.current = now;
+        return;
+      }
+
       if (event.data === 1) { // Playing
         setStablePlayState(true);
 
+        // A newly loaded track fades in from silence
+        if (pendingFadeInRef.current) {
+          pendingFadeInRef.current = false;
+          safePlayerOperation(() => {
+            if (!playerRef.current.isMuted()) {
+              fadePlayer(playerRef.current, 0, 100, crossfadeSecondsRef.current / 2);
+            }
+          }, "fade in new track");
+        }
+
         // Ensure we're unmuted and volume is up with safe operation
         setTimeout(() => {
           // First check if player is muted
@@ -1147,7 +1718,7 @@ function App() {
           if (isMuted || isMuted === undefined) {
             safePlayerOperation(() => {
               playerRef.current.unMute();
-              playerRef.current.setVolume(100);
+              setFullVolume();
             }, "unmute during playing");
           }
         }, 500);
@@ -1164,7 +1735,7 @@ function App() {
             setTimeout(() => {
               safePlayerOperation(() => {
                 playerRef.current.unMute();
-                playerRef.current.setVolume(100);
+                setFullVolume();
               }, "unmute after resume");
             }, 500);
           } else {
@@ -1178,7 +1749,7 @@ function App() {
               setTimeout(() => {
                 safePlayerOperation(() => {
                   playerRef.current.unMute();
-                  playerRef.current.setVolume(100);
+                  setFullVolume();
                 }, "unmute retry after resume");
               }, 500);
             }, 1500);
@@ -1196,7 +1767,7 @@ function App() {
             setTimeout(() => {
               safePlayerOperation(() => {
                 playerRef.current.unMute();
-                playerRef.current.setVolume(100);
+                setFullVolume();
               }, "unmute after unstarted");
             }, 1000);
           } else {
@@ -1210,7 +1781,7 @@ function App() {
               setTimeout(() => {
                 safePlayerOperation(() => {
                   playerRef.current.unMute();
-                  playerRef.current.setVolume(100);
+                  setFullVolume();
                 }, "unmute retry after unstarted");
               }, 1000);
             }, 2000);
@@ -1221,7 +1792,7 @@ function App() {
         setTimeout(() => {
           safePlayerOperation(() => {
             playerRef.current.unMute();
-            playerRef.current.setVolume(100);
+            setFullVolume();
           }, "unmute during buffering");
         }, 1000);
       }
@@ -1245,22 +1816,21 @@ function App() {
         return [];
       }
 
-      const radioState = await getRadioState();
+      const radioState = await getRadioState(channelId);
       if (!radioState || !radioState.playlist || !currentTrack) return [];
 
-      // Get current index
-      const currentVideoId = currentTrack.snippet.resourceId.videoId;
-      const currentIndex = radioState.playlist.findIndex(
-        item => item.snippet.resourceId.videoId === currentVideoId
-      );
+      // Get current index in the playlist that is on air (main rotation or program)
+      const currentTrackInfo = getCurrentTrack(radioState, serverStartTime.current, scheduleRef.current);
+      if (!currentTrackInfo) return [];
+      const { playlist, index: currentIndex } = currentTrackInfo;
 
       // Get the next 5 tracks (or loop back to start if needed)
-      const playlistLength = radioState.playlist.length;
+      const playlistLength = playlist.length;
       const nextTracks = [];
 
       for (let i = 1; i <= 5; i++) {
         const nextIndex = (currentIndex + i) % playlistLength;
-        nextTracks.push(radioState.playlist[nextIndex]);
+        nextTracks.push(playlist[nextIndex]);
       }
 
       return nextTracks;
@@ -1268,7 +1838,7 @@ function App() {
       console.error("Error getting upcoming tracks:", error);
       return [];
     }
-  }, [currentTrack, firebaseInitialized]);
+  }, [currentTrack, firebaseInitialized, channelId]);
 
   // Function to optimize player for audio only
   const optimizeForAudioOnly = () => {
@@ -1319,7 +1889,7 @@ function App() {
         try {
           // Don't log unmute actions
           playerRef.current.unMute();
-          playerRef.current.setVolume(100);
+          setFullVolume();
         } catch (err) {
           console.error("Error in unmuteMaintainer:", err);
 
@@ -1358,6 +1928,13 @@ function App() {
   // so the player can start initializing in the background
   const shouldRenderPlayer = currentTrack !== null;
 
+  // The standby slot cues the first upcoming track that differs from the one on air
+  const standbyVideoId = currentTrack
+    ? upcomingTracks
+        .map(track => track?.snippet?.resourceId?.videoId)
+        .find(videoId => videoId && videoId !== currentTrack.snippet.resourceId.videoId) || null
+    : null;
+
   // Calculate progress percentage for the progress bar
   const calculateProgress = () => {
     if (!currentTrack) return 0;
@@ -1378,7 +1955,7 @@ function App() {
 
   return (
     <Router>
-      <div className="app">
+      <div className={`app theme-${stationConfig.theme}`}>
         <Routes>
           <Route path="/login" element={<Login />} />
           <Route
@@ -1395,20 +1972,27 @@ function App() {
         ></div>
         <div className="background-overlay"></div>
 
-        {/* Invisible player */}
+        {/* Invisible players: one on air, one pre-buffering the next track */}
         {shouldRenderPlayer && (
           <div className="player-wrapper">
-            <div className="hidden-player">
-              <ErrorBoundary fallback={<div>YouTube player error - refresh page</div>}>
-                <YouTube
-                  videoId={currentTrack.snippet.resourceId.videoId}
-                  opts={opts}
-                  onReady={onPlayerReady}
-                  onStateChange={onPlayerStateChange}
-                  onError={(e) => console.error("YouTube player error:", e)}
-                />
-              </ErrorBoundary>
-            </div>
+            {['a', 'b'].map(slot => {
+              const videoId = slot === activeSlot ? currentTrack.snippet.resourceId.videoId : standbyVideoId;
+              if (!videoId) return null;
+
+              return (
+                <div key={`player-${slot}`} className="hidden-player">
+                  <ErrorBoundary fallback={<div>YouTube player error - refresh page</div>}>
+                    <YouTube
+                      videoId={videoId}
+                      opts={opts}
+                      onReady={(e) => handleSlotReady(slot, e)}
+                      onStateChange={(e) => handleSlotStateChange(slot, e, videoId)}
+                      onError={onPlayerError}
+                    />
+                  </ErrorBoundary>
+                </div>
+              );
+            })}
           </div>
         )}
 
@@ -1433,6 +2017,16 @@ function App() {
           <div className="now-playing-info">
             <div className="track-info">
               <div className="now-playing-text">{currentTrack.snippet.title}</div>
+              {stationPaused && (
+                <div className="station-paused-text">
+                  {pauseReason ? `Paused: ${pauseReason}` : 'Paused by the station'}
+                </div>
+              )}
+              {currentTrack.request && (
+                <div className="requested-by-text">Requested by {currentTrack.request.requesterName}</div>
+              )}
+              <TrackReactions track={currentTrack} />
+              {!stationPaused && <SkipVote trackInfo={skipVoteTrackInfo} channelId={channelId} />}
             </div>
 
             {/* Next up tracks */}
@@ -1472,16 +2066,14 @@ function App() {
                 if (playerRef.current) {
                   // Try to unmute with safe operation
                   const unmuteSuccess = safePlayerOperation(() => {
-                    playerRef.current.unMute();
-                    playerRef.current.setVolume(100);
+                    fadeIn();
                   }, "unmute");
 
                   // If unmute failed, retry after a delay
                   if (!unmuteSuccess) {
                     setTimeout(() => {
                       safePlayerOperation(() => {
-                        playerRef.current.unMute();
-                        playerRef.current.setVolume(100);
+                        fadeIn();
                       }, "unmute retry");
                     }, 1500);
                   }
@@ -1493,6 +2085,16 @@ function App() {
           </div>
         )}
 
+        {/* Off air notice */}
+        {offAirStatus && !showLoading && !error && (
+          <div className="off-air-container">
+            <p>Off air — {formatNextProgram(offAirStatus)}</p>
+            {offAirStatus.nextProgram?.name && (
+              <p className="off-air-program">Up next: {offAirStatus.nextProgram.name}</p>
+            )}
+          </div>
+        )}
+
         {/* Loading and error states */}
         {showLoading ? (
           <div className="loading-container">
@@ -1509,13 +2111,9 @@ function App() {
           <div className="modal-overlay">
             <div className="disclaimer-modal">
               <h3>Important Disclaimer</h3>
-              <p>
-                The playlist you are about to listen to is being created by students.
-                The website has no responsibility for the content of the songs that are being played.
-              </p>
-              <p>
-                We do not collect or share any information about who added these songs to the playlist.
-              </p>
+              {stationConfig.disclaimerText.split(/\n\s*\n/).map((paragraph, i) => (
+                <p key={i}>{paragraph}</p>
+              ))}
               <button 
                 className="modal-close-button" 
                 onClick={() => setShowDisclaimerModal(false)}
@@ -1563,6 +2161,12 @@ function App() {
                   );
                 })}
               </ul>
+              <div className="diagnostics-leader" style={{ marginTop: '8px' }}>
+                <strong>Maintenance leader:</strong>{' '}
+                {!leaderInfo
+                  ? 'none yet'
+                  : `${leaderInfo.isMe ? 'this client' : `client ${leaderInfo.owner}`} since ${new Date(leaderInfo.since).toLocaleTimeString()}`}
+              </div>
             </div>
           )}
                     </div>
@@ -1572,11 +2176,27 @@ function App() {
       {/* Additional content below the main player */}
       <div className="additional-content" id="content">
         <div className="container">
+          {/* Channel switcher */}
+          <ChannelSwitcher
+            channels={channels}
+            activeChannelId={channelId}
+            onSelect={switchChannel}
+          />
+
           {/* Stats Display */}
           <StatsDisplay playedTracks={radioStateData?.playedTracks} />
 
           {/* Ping Display */}
-          <PingDisplay apiKey={YOUTUBE_API_KEY} />
+          <PingDisplay />
+
+          {/* Song requests */}
+          <SongRequestForm apiKey={YOUTUBE_API_KEY} channelId={channelId} />
+
+          {/* Recently played */}
+          <RecentlyPlayed channelId={channelId} />
+
+          {/* Top tracks */}
+          <TopTracks />
 
           {/* Playlist Display */}
           <div id="playlist">
@@ -1606,6 +2226,22 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/analytics"
+            element={
+              <ProtectedRoute>
+                <Analytics />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin"
+            element={
+              <AdminRoute>
+                <AdminConsole apiKey={YOUTUBE_API_KEY} defaultPlaylistId={stationPlaylistId} />
+              </AdminRoute>
+            }
+          />
         </Routes>
     </div>
     </Router>
@@ -0,0 +1,528 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import './AdminConsole.css';
+import RequestModeration from './RequestModeration';
+import { getCachedPlaylistSources } from '../services/playlistCacheService';
+import { runAllDiagnostics } from '../services/connectionService';
+import { getMostDislikedTracks } from '../services/firebaseService';
+import { subscribeToBrokenTracks, clearBrokenTrack, BROKEN_TRACK_REASONS } from '../services/brokenTrackService';
+import {
+  DEFAULT_CHANNEL_ID,
+  subscribeToChannels,
+  subscribeToRadioState,
+  subscribeToServerStartTime,
+  getCurrentTrack,
+  resetRadioState,
+  initializeRadio,
+  checkAndResetPlayedTracks,
+  skipCurrentTrack,
+  jumpToTrack,
+  pauseStation,
+  resumeStation,
+  MAX_CROSSFADE_SECONDS,
+  subscribeToSkipVoteShare,
+  saveSkipVoteShare,
+  MIN_SKIP_VOTE_SHARE
+} from '../services/radioService';
+import {
+  subscribeToStationConfig,
+  saveStationConfig,
+  resetStationConfig,
+  THEMES,
+  MIN_REFRESH_MINUTES,
+  MAX_REFRESH_MINUTES
+} from '../services/configService';
+
+/**
+ * Admin console for running station maintenance without editing the database by hand
+ */
+const AdminConsole = ({ apiKey, defaultPlaylistId }) => {
+  const [channels, setChannels] = useState([]);
+  const [channelId, setChannelId] = useState(DEFAULT_CHANNEL_ID);
+  const [radioState, setRadioState] = useState(null);
+  const [serverStartTime, setServerStartTime] = useState(null);
+  const [nowPlaying, setNowPlaying] = useState(null);
+  const [busyAction, setBusyAction] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [diagnostics, setDiagnostics] = useState(null);
+  const [pauseReason, setPauseReason] = useState('');
+  const [jumpIndex, setJumpIndex] = useState(0);
+  const [stationConfig, setStationConfig] = useState(null);
+  const [skipVoteShare, setSkipVoteShare] = useState(null);
+  const [dislikedTracks, setDislikedTracks] = useState(null);
+  const [brokenTracks, setBrokenTracks] = useState(null);
+
+  const activeChannel = channels.find(channel => channel.id === channelId);
+  const playlistId = activeChannel?.playlistId || defaultPlaylistId;
+
+  // Keep the channel list up to date
+  useEffect(() => {
+    const unsubscribe = subscribeToChannels(setChannels);
+    return () => unsubscribe();
+  }, []);
+
+  // Load the station config once; the form is edited locally until saved
+  useEffect(() => {
+    const unsubscribe = subscribeToStationConfig((config) => {
+      setStationConfig(current => (current === null ? config : current));
+    });
+    return () => unsubscribe();
+  }, []);
+
+  // Same for the share of listeners needed to vote a track away
+  useEffect(() => {
+    const unsubscribe = subscribeToSkipVoteShare((share) => {
+      setSkipVoteShare(current => (current === null ? share : current));
+    });
+    return () => unsubscribe();
+  }, []);
+
+  // Load the tracks students most want removed
+  useEffect(() => {
+    getMostDislikedTracks(20)
+      .then(setDislikedTracks)
+      .catch(err => console.error('Error loading disliked tracks:', err));
+  }, []);
+
+  // Keep the list of unplayable videos up to date
+  useEffect(() => {
+    const unsubscribe = subscribeToBrokenTracks(setBrokenTracks);
+    return () => unsubscribe();
+  }, []);
+
+  // Follow the selected channel's state
+  useEffect(() => {
+    setRadioState(null);
+    setServerStartTime(null);
+
+    const unsubscribeState = subscribeToRadioState(setRadioState, channelId);
+    const unsubscribeStartTime = subscribeToServerStartTime(setServerStartTime, channelId);
+
+    return () => {
+      unsubscribeState();
+      unsubscribeStartTime();
+    };
+  }, [channelId]);
+
+  // Recompute what is playing every second
+  useEffect(() => {
+    const updateNowPlaying = () => {
+      if (!radioState || !serverStartTime) {
+        setNowPlaying(null);
+        return;
+      }
+      setNowPlaying(getCurrentTrack(radioState, serverStartTime, null));
+    };
+
+    updateNowPlaying();
+    const interval = setInterval(updateNowPlaying, 1000);
+    return () => clearInterval(interval);
+  }, [radioState, serverStartTime, channelId]);
+
+  // Run an admin action with shared busy/error/success handling
+  const runAction = async (name, action, successMessage) => {
+    setBusyAction(name);
+    setError('');
+    setSuccess('');
+    try {
+      await action();
+      setSuccess(successMessage);
+    } catch (err) {
+      console.error(`Admin action "${name}" failed:`, err);
+      setError(err.message || `Failed to ${name}`);
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const handleReset = () => {
+    if (!window.confirm('Reset the radio state? The playlist is fetched and shuffled again and playback restarts for everyone.')) {
+      return;
+    }
+
+    runAction('reset', async () => {
+      await resetRadioState(channelId);
+      // Always fetch fresh from YouTube; a reset is how admins pick up playlist changes right away
+      const { items } = await getCachedPlaylistSources(apiKey, playlistId, 0);
+      await initializeRadio(items, channelId);
+    }, 'Radio state reset and playlist rebuilt');
+  };
+
+  const handleCheckPlayedTracks = () => {
+    runAction('check played tracks', () => checkAndResetPlayedTracks(channelId), 'Played tracks checked');
+  };
+
+  const handleSkip = () => {
+    runAction('skip', () => skipCurrentTrack(channelId), 'Skipped to the next track');
+  };
+
+  const handleTogglePause = () => {
+    if (radioState?.isPlaying === false) {
+      runAction('resume', () => resumeStation(channelId), 'Station resumed');
+    } else {
+      runAction('pause', () => pauseStation(channelId, pauseReason.trim()), 'Station paused');
+    }
+  };
+
+  const handleJump = () => {
+    runAction('jump', () => jumpToTrack(jumpIndex, channelId), `Now playing track ${jumpIndex + 1}`);
+  };
+
+  const updateConfig = (changes) => {
+    setStationConfig(current => ({ ...current, ...changes }));
+  };
+
+  const updatePlaylistSource = (index, changes) => {
+    updateConfig({
+      playlists: stationConfig.playlists.map((source, i) => (i === index ? { ...source, ...changes } : source))
+    });
+  };
+
+  const handleSaveConfig = () => {
+    runAction('save station config', async () => {
+      setStationConfig(await saveStationConfig(stationConfig));
+    }, 'Station config saved for all listeners');
+  };
+
+  const handleResetConfig = () => {
+    if (!window.confirm('Reset the station config to the defaults from the environment?')) {
+      return;
+    }
+
+    runAction('reset station config', async () => {
+      setStationConfig(await resetStationConfig());
+    }, 'Station config reset to the defaults');
+  };
+
+  const handleSaveSkipVoteShare = () => {
+    runAction('save skip votes', async () => {
+      setSkipVoteShare(await saveSkipVoteShare(skipVoteShare));
+    }, 'Skip vote threshold saved');
+  };
+
+  const handleRefreshFeedback = () => {
+    runAction('refresh feedback', async () => {
+      setDislikedTracks(await getMostDislikedTracks(20));
+    }, 'Listener feedback refreshed');
+  };
+
+  const handleClearBrokenTrack = (track) => {
+    runAction('clear broken track', () => clearBrokenTrack(track.videoId),
+      `"${track.title}" will be tried again with the next playlist refresh`);
+  };
+
+  const handleDiagnostics = () => {
+    runAction('run diagnostics', async () => {
+      setDiagnostics(await runAllDiagnostics(apiKey, playlistId));
+    }, 'Diagnostics finished');
+  };
+
+  const isPaused = radioState?.isPlaying === false;
+
+  return (
+    <div className="admin-console">
+      <div className="admin-container">
+        <div className="admin-header">
+          <h1>Admin Console</h1>
+          <Link to="/" className="admin-back-link">Back to radio</Link>
+        </div>
+
+        {error && <div className="admin-error">{error}</div>}
+        {success && <div className="admin-success">{success}</div>}
+
+        <div className="admin-section">
+          <h2>Station</h2>
+          <div className="admin-field">
+            <label htmlFor="admin-channel">Channel</label>
+            <select id="admin-channel" value={channelId} onChange={(e) => setChannelId(e.target.value)}>
+              {channels.map(channel => (
+                <option key={channel.id} value={channel.id}>{channel.name || channel.id}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="admin-status">
+            {nowPlaying ? (
+              <>
+                <div><strong>Now playing:</strong> {nowPlaying.track.snippet.title}</div>
+                <div>
+                  <strong>Track:</strong> {nowPlaying.index + 1} / {nowPlaying.playlist.length}
+                  {' '}&middot; <strong>Position:</strong> {nowPlaying.position}s
+                  {isPaused && (
+                    <span className="admin-paused">
+                      {' '}(paused{radioState.pauseReason ? `: ${radioState.pauseReason}` : ''})
+                    </span>
+                  )}
+                </div>
+                <div><strong>Played this cycle:</strong> {radioState.playedTracks?.length || 0}</div>
+              </>
+            ) : (
+              <div>No radio state for this channel</div>
+            )}
+          </div>
+
+          {!isPaused && (
+            <div className="admin-field">
+              <label htmlFor="admin-pause-reason">Pause reason (optional)</label>
+              <input
+                id="admin-pause-reason"
+                type="text"
+                value={pauseReason}
+                onChange={(e) => setPauseReason(e.target.value)}
+                placeholder="e.g. Morning announcement"
+              />
+            </div>
+          )}
+
+          {radioState?.playlist?.length > 0 && (
+            <div className="admin-field">
+              <label htmlFor="admin-jump">Jump to track</label>
+              <div className="admin-inline">
+                <select id="admin-jump" value={jumpIndex} onChange={(e) => setJumpIndex(parseInt(e.target.value, 10))}>
+                  {radioState.playlist.map((track, index) => (
+                    <option key={`${index}-${track.snippet.resourceId.videoId}`} value={index}>
+                      {index + 1}. {track.snippet.title}
+                    </option>
+                  ))}
+                </select>
+                <div className="admin-actions">
+                  <button onClick={handleJump} disabled={busyAction !== null}>Play Now</button>
+                </div>
+              </div>
+            </div>
+          )}
+
+          <div className="admin-actions">
+            <button onClick={handleSkip} disabled={busyAction !== null || !nowPlaying}>
+              Skip Track
+            </button>
+            <button onClick={handleTogglePause} disabled={busyAction !== null || !radioState}>
+              {isPaused ? 'Resume Station' : 'Pause Station'}
+            </button>
+            <button onClick={handleCheckPlayedTracks} disabled={busyAction !== null}>
+              Check Played Tracks
+            </button>
+            <button className="admin-danger" onClick={handleReset} disabled={busyAction !== null}>
+              Reset Radio State
+            </button>
+          </div>
+        </div>
+
+        {stationConfig && (
+          <div className="admin-section">
+            <h2>Station Configuration</h2>
+            <p className="admin-hint">
+              Applies to every listener right away. Changed playlists are merged in at the next
+              playlist refresh; reset the radio state to start a fresh rotation with them.
+            </p>
+
+            <div className="admin-field">
+              <label>Playlists of the main channel (weight = share of airtime)</label>
+              {stationConfig.playlists.map((source, index) => (
+                <div className="admin-inline admin-playlist-row" key={index}>
+                  <input
+                    type="text"
+                    value={source.id}
+                    onChange={(e) => updatePlaylistSource(index, { id: e.target.value })}
+                    placeholder="Playlist ID"
+                    aria-label={`Playlist ${index + 1} ID`}
+                  />
+                  <input
+                    className="admin-weight"
+                    type="number"
+                    min="0.5"
+                    step="0.5"
+                    value={source.weight}
+                    onChange={(e) => updatePlaylistSource(index, { weight: e.target.value })}
+                    aria-label={`Playlist ${index + 1} weight`}
+                  />
+                  <div className="admin-actions">
+                    <button
+                      onClick={() => updateConfig({ playlists: stationConfig.playlists.filter((_, i) => i !== index) })}
+                      disabled={stationConfig.playlists.length <= 1}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              ))}
+              <div className="admin-actions">
+                <button onClick={() => updateConfig({ playlists: [...stationConfig.playlists, { id: '', weight: 1 }] })}>
+                  Add Playlist
+                </button>
+              </div>
+            </div>
+
+            <div className="admin-field">
+              <label htmlFor="admin-refresh">Check the playlists for changes every (minutes)</label>
+              <input
+                id="admin-refresh"
+                type="number"
+                min={MIN_REFRESH_MINUTES}
+                max={MAX_REFRESH_MINUTES}
+                value={stationConfig.refreshMinutes}
+                onChange={(e) => updateConfig({ refreshMinutes: e.target.value })}
+              />
+            </div>
+
+            <div className="admin-field">
+              <label htmlFor="admin-disclaimer">Disclaimer (separate paragraphs with a blank line)</label>
+              <textarea
+                id="admin-disclaimer"
+                rows="5"
+                value={stationConfig.disclaimerText}
+                onChange={(e) => updateConfig({ disclaimerText: e.target.value })}
+              />
+            </div>
+
+            <div className="admin-field">
+              <label htmlFor="admin-crossfade">
+                Crossfade between tracks: {stationConfig.crossfadeSeconds}s (0 switches without fading)
+              </label>
+              <input
+                id="admin-crossfade"
+                type="range"
+                min="0"
+                max={MAX_CROSSFADE_SECONDS}
+                step="0.5"
+                value={stationConfig.crossfadeSeconds}
+                onChange={(e) => updateConfig({ crossfadeSeconds: parseFloat(e.target.value) })}
+              />
+            </div>
+
+            <div className="admin-field">
+              <label htmlFor="admin-theme">Theme</label>
+              <select
+                id="admin-theme"
+                value={stationConfig.theme}
+                onChange={(e) => updateConfig({ theme: e.target.value })}
+              >
+                {THEMES.map(theme => (
+                  <option key={theme.id} value={theme.id}>{theme.name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="admin-actions">
+              <button onClick={handleSaveConfig} disabled={busyAction !== null}>Save Config</button>
+              <button className="admin-danger" onClick={handleResetConfig} disabled={busyAction !== null}>
+                Reset to Defaults
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="admin-section">
+          <h2>Playback</h2>
+          <div className="admin-field">
+            <label htmlFor="admin-skip-votes">
+              Votes needed to skip a track: {skipVoteShare === null ? '-' : Math.round(skipVoteShare * 100)}% of current listeners
+            </label>
+            <div className="admin-inline">
+              <input
+                id="admin-skip-votes"
+                type="range"
+                min={MIN_SKIP_VOTE_SHARE}
+                max="1"
+                step="0.05"
+                value={skipVoteShare ?? 0.5}
+                onChange={(e) => setSkipVoteShare(parseFloat(e.target.value))}
+                disabled={skipVoteShare === null}
+              />
+              <div className="admin-actions">
+                <button onClick={handleSaveSkipVoteShare} disabled={busyAction !== null || skipVoteShare === null}>
+                  Save
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <RequestModeration apiKey={apiKey} />
+
+        <div className="admin-section">
+          <h2>Listener Feedback</h2>
+          <p className="admin-hint">Tracks with the most dislikes, across all channels</p>
+          {dislikedTracks && dislikedTracks.length === 0 && <p>No track has been disliked yet.</p>}
+          {dislikedTracks && dislikedTracks.length > 0 && (
+            <ul className="admin-feedback">
+              {dislikedTracks.map(track => (
+                <li key={track.videoId}>
+                  <span className="admin-feedback-title">{track.title}</span>
+                  <span className="admin-feedback-votes">
+                    {track.dislikes} dislikes · {track.likes} likes
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="admin-actions">
+            <button onClick={handleRefreshFeedback} disabled={busyAction !== null}>
+              Refresh
+            </button>
+          </div>
+        </div>
+
+        <div className="admin-section">
+          <h2>Broken Tracks</h2>
+          <p className="admin-hint">Videos that can't be played and are kept out of the rotation, across all channels</p>
+          {brokenTracks && brokenTracks.length === 0 && <p>Every track can be played.</p>}
+          {brokenTracks && brokenTracks.length > 0 && (
+            <ul className="admin-feedback">
+              {brokenTracks.map(track => (
+                <li key={track.videoId}>
+                  <a
+                    className="admin-feedback-title"
+                    href={`https://www.youtube.com/watch?v=${track.videoId}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                  >
+                    {track.title}
+                  </a>
+                  <span className="admin-feedback-votes">
+                    {BROKEN_TRACK_REASONS[track.reason] || track.reason}
+                    {track.source === 'player' ? ` (player error ${track.errorCode})` : ''}
+                  </span>
+                  {track.source === 'player' && (
+                    <button
+                      className="admin-broken-retry"
+                      onClick={() => handleClearBrokenTrack(track)}
+                      disabled={busyAction !== null}
+                    >
+                      Retry
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="admin-section">
+          <h2>Diagnostics</h2>
+          <div className="admin-actions">
+            <button onClick={handleDiagnostics} disabled={busyAction !== null}>
+              {busyAction === 'run diagnostics' ? 'Running...' : 'Run Diagnostics'}
+            </button>
+          </div>
+
+          {diagnostics && (
+            <div className="admin-diagnostics">
+              <div className={diagnostics.criticalPassed ? 'success' : 'error'}>{diagnostics.summary}</div>
+              <ul>
+                {Object.entries(diagnostics.results).map(([key, check]) => (
+                  <li key={key} className={check.success ? 'success' : 'error'}>
+                    <strong>{key}:</strong> {check.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminConsole;
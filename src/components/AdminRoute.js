@@ -0,0 +1,44 @@
+import React, { useEffect, useState } from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { getAuth, onAuthStateChanged } from 'firebase/auth';
+import { isAdmin } from '../services/firebaseService';
+
+const AdminRoute = ({ children }) => {
+  const [isLoading, setIsLoading] = useState(true);
+  const [user, setUser] = useState(null);
+  const [isAdminUser, setIsAdminUser] = useState(false);
+  const auth = getAuth();
+  const location = useLocation();
+
+  useEffect(() => {
+    const unsubscribe = onAuthStateChanged(auth, async (user) => {
+      setUser(user);
+      setIsAdminUser(await isAdmin(user));
+      setIsLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [auth]);
+
+  if (isLoading) {
+    return (
+      <div className="loading-container">
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  if (!user || user.isAnonymous) {
+    // Admins need a real account, so send anonymous listeners to the login page
+    return <Navigate to="/login" state={{ from: location }} replace />;
+  }
+
+  if (!isAdminUser) {
+    // Signed in, but not an admin
+    return <Navigate to="/" replace />;
+  }
+
+  return children;
+};
+
+export default AdminRoute;
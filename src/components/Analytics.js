@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import './Analytics.css';
+import { getListenerAnalytics } from '../services/analyticsService';
+
+const RANGES = [7, 14, 30];
+
+// Format a day key as "Mon 12"
+const formatDay = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' });
+};
+
+const formatMinutes = (minutes) => {
+  if (minutes === null) return 'N/A';
+  if (minutes >= 60) return `${Math.floor(minutes / 60)} h ${Math.round(minutes % 60)} min`;
+  return `${Math.round(minutes)} min`;
+};
+
+/**
+ * Simple SVG bar chart
+ * @param {Array} data - [{ label, value }], value may be null for missing data
+ * @param {Function} formatValue - Formats values for tooltips
+ * @param {number} labelEvery - Only label every n-th bar to keep labels readable
+ */
+const BarChart = ({ data, formatValue = (value) => String(value), labelEvery = 1 }) => {
+  const width = 600;
+  const height = 180;
+  const labelHeight = 20;
+  const chartHeight = height - labelHeight;
+  const max = Math.max(1, ...data.map(entry => entry.value || 0));
+  const slot = width / data.length;
+  const barWidth = Math.max(2, slot * 0.7);
+
+  return (
+    <svg className="analytics-chart" viewBox={`0 0 ${width} ${height}`} role="img">
+      <line className="analytics-axis" x1="0" x2={width} y1={chartHeight} y2={chartHeight} />
+      {data.map((entry, i) => {
+        const barHeight = ((entry.value || 0) / max) * (chartHeight - 10);
+        const x = i * slot + (slot - barWidth) / 2;
+        return (
+          <g key={entry.label}>
+            <rect
+              className={entry.value === null ? 'analytics-bar analytics-bar-empty' : 'analytics-bar'}
+              x={x}
+              y={chartHeight - barHeight}
+              width={barWidth}
+              height={barHeight}
+            >
+              <title>{`${entry.label}: ${entry.value === null ? 'no data' : formatValue(entry.value)}`}</title>
+            </rect>
+            {i % labelEvery === 0 && (
+              <text className="analytics-label" x={i * slot + slot / 2} y={height - 5} textAnchor="middle">
+                {entry.label}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+/**
+ * Listener analytics: when people tune in, how many and for how long
+ */
+const Analytics = () => {
+  const [days, setDays] = useState(14);
+  const [analytics, setAnalytics] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let isMounted = true;
+    setIsLoading(true);
+
+    getListenerAnalytics(days)
+      .then(result => {
+        if (!isMounted) return;
+        setAnalytics(result);
+        setError('');
+      })
+      .catch(err => {
+        console.error('Error loading analytics:', err);
+        if (isMounted) setError('Could not load listener analytics');
+      })
+      .finally(() => {
+        if (isMounted) setIsLoading(false);
+      });
+
+    return () => {
+      isMounted = false;
+    };
+  }, [days]);
+
+  return (
+    <div className="analytics">
+      <div className="analytics-container">
+        <div className="analytics-header">
+          <h1>Listener Analytics</h1>
+          <Link to="/" className="analytics-back-link">Back to radio</Link>
+        </div>
+
+        <div className="analytics-range">
+          {RANGES.map(range => (
+            <button
+              key={range}
+              className={range === days ? 'active' : ''}
+              onClick={() => setDays(range)}
+            >
+              Last {range} days
+            </button>
+          ))}
+        </div>
+
+        {error && <div className="analytics-error">{error}</div>}
+        {isLoading && <div className="analytics-loading">Loading analytics...</div>}
+
+        {!isLoading && analytics && (
+          <>
+            <div className="analytics-summary">
+              <div className="analytics-card">
+                <div className="analytics-value">{analytics.uniqueListeners}</div>
+                <div className="analytics-card-label">Unique listeners</div>
+              </div>
+              <div className="analytics-card">
+                <div className="analytics-value">{analytics.peakListeners}</div>
+                <div className="analytics-card-label">
+                  Peak concurrent{analytics.peakDay && ` (${formatDay(analytics.peakDay)})`}
+                </div>
+              </div>
+              <div className="analytics-card">
+                <div className="analytics-value">{formatMinutes(analytics.averageSessionMinutes)}</div>
+                <div className="analytics-card-label">Average session</div>
+              </div>
+            </div>
+
+            <div className="analytics-section">
+              <h2>When people tune in</h2>
+              <p className="analytics-hint">Average listeners by hour of day</p>
+              <BarChart
+                data={analytics.hourly.map((value, hour) => ({ label: String(hour).padStart(2, '0'), value }))}
+                formatValue={(value) => `${value.toFixed(1)} listeners`}
+                labelEvery={2}
+              />
+            </div>
+
+            <div className="analytics-section">
+              <h2>Unique listeners per day</h2>
+              <BarChart
+                data={analytics.days.map(day => ({ label: formatDay(day.day), value: day.uniqueListeners }))}
+                labelEvery={days > 14 ? 3 : 1}
+              />
+            </div>
+
+            <div className="analytics-section">
+              <h2>Peak concurrent listeners per day</h2>
+              <BarChart
+                data={analytics.days.map(day => ({ label: formatDay(day.day), value: day.peakListeners }))}
+                labelEvery={days > 14 ? 3 : 1}
+              />
+            </div>
+
+            <div className="analytics-section">
+              <h2>Average session length per day</h2>
+              <BarChart
+                data={analytics.days.map(day => ({ label: formatDay(day.day), value: day.averageSessionMinutes }))}
+                formatValue={formatMinutes}
+                labelEvery={days > 14 ? 3 : 1}
+              />
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Analytics;
@@ -0,0 +1,34 @@
+import React from 'react';
+import './ChannelSwitcher.css';
+
+/**
+ * Component to switch between radio channels
+ * Every channel has its own synchronized timeline, so switching
+ * joins the listeners already tuned in to that channel
+ */
+const ChannelSwitcher = ({ channels, activeChannelId, onSelect }) => {
+  // Nothing to switch between with a single channel
+  if (!channels || channels.length < 2) {
+    return null;
+  }
+
+  return (
+    <div className="channel-switcher-container">
+      <h2>Channels</h2>
+      <div className="channel-list">
+        {channels.map(channel => (
+          <button
+            key={channel.id}
+            className={`channel-button ${channel.id === activeChannelId ? 'active-channel' : ''}`}
+            onClick={() => onSelect(channel.id)}
+            disabled={channel.id === activeChannelId}
+          >
+            {channel.name || channel.id}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ChannelSwitcher;
@@ -23,7 +23,7 @@ const FAQ = () => {
     {
       id: 3,
       question: "Can I request songs?",
-      answer: "Currently, song requests are not supported directly through the interface. The playlist is curated by the radio administrators."
+      answer: "Yes! Sign in with Google or GitHub, then paste a YouTube link or search for a song in the 'Request a Song' section. Once a moderator approves your request, it plays right after the current song."
     },
     {
       id: 4,
@@ -1,20 +1,24 @@
 import React, { useState, useEffect } from 'react';
 import { getAuth, onAuthStateChanged, signOut } from 'firebase/auth';
 import { useNavigate } from 'react-router-dom';
+import { isAdmin } from '../services/firebaseService';
 import './Header.css';
 
 const Header = () => {
   const [user, setUser] = useState(null);
   const [showMenu, setShowMenu] = useState(false);
+  const [isAdminUser, setIsAdminUser] = useState(false);
   const navigate = useNavigate();
   const auth = getAuth();
 
   useEffect(() => {
-    const unsubscribe = onAuthStateChanged(auth, (user) => {
+    const unsubscribe = onAuthStateChanged(auth, async (user) => {
       if (user && !user.isAnonymous) {
         setUser(user);
+        setIsAdminUser(await isAdmin(user));
       } else {
         setUser(null);
+        setIsAdminUser(false);
       }
     });
 
@@ -35,6 +39,16 @@ const Header = () => {
     setShowMenu(false);
   };
 
+  const handleAnalytics = () => {
+    navigate('/analytics');
+    setShowMenu(false);
+  };
+
+  const handleAdminConsole = () => {
+    navigate('/admin');
+    setShowMenu(false);
+  };
+
   return (
     <>
       <div className="header-trigger"></div>
@@ -67,6 +81,16 @@ const Header = () => {
                     <i className="fas fa-cog"></i>
                     Account Settings
                   </div>
+                  <div className="menu-item" onClick={handleAnalytics}>
+                    <i className="fas fa-chart-bar"></i>
+                    Listener Analytics
+                  </div>
+                  {isAdminUser && (
+                    <div className="menu-item" onClick={handleAdminConsole}>
+                      <i className="fas fa-tools"></i>
+                      Admin Console
+                    </div>
+                  )}
                   <div className="menu-item" onClick={handleLogout}>
                     <i className="fas fa-sign-out-alt"></i>
                     Logout
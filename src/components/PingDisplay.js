@@ -1,139 +1,155 @@
-import React, { useState, useEffect } from 'react';
-import axios from 'axios';
+import React, { useState, useEffect, useRef } from 'react';
 import './PingDisplay.css';
-import { measureFirebasePing } from '../services/firebaseService';
+import { measureFirebasePing, subscribeToServerTimeOffset } from '../services/firebaseService';
+import { SYNC_SERVER_ENABLED } from '../services/syncServerService';
+import { measureYouTubePing, measureServerPing, createPingStats, PING_WINDOW } from '../services/pingService';
+
+// How often to measure (in milliseconds)
+const PING_INTERVAL = 15000;
+
+// Targets shown in the panel; pings above `slow` ms are highlighted
+// Firebase only carries station data when the sync server isn't used
+const PING_TARGETS = [
+  { key: 'youtube', label: 'YouTube', slow: 200, measure: measureYouTubePing },
+  { key: 'server', label: SYNC_SERVER_ENABLED ? 'Sync Server' : 'Server', slow: 100, measure: measureServerPing },
+  ...(SYNC_SERVER_ENABLED ? [] : [{ key: 'firebase', label: 'Firebase', slow: 150, measure: measureFirebasePing }])
+];
 
 /**
- * Component to display ping information
+ * Small line chart of recent pings; failed measurements leave a gap
  */
-const PingDisplay = ({ apiKey }) => {
-  const [youtubePing, setYoutubePing] = useState(null);
-  const [serverPing, setServerPing] = useState(null);
-  const [firebasePing, setFirebasePing] = useState(null);
-  const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  // Function to measure ping to YouTube API
-  const measureYoutubePing = async () => {
-    try {
-      const startTime = Date.now();
-
-      // Make a lightweight call to YouTube API
-      await axios.get('https://www.googleapis.com/youtube/v3/videos', {
-        params: {
-          part: 'id',
-          chart: 'mostPopular',
-          maxResults: 1,
-          key: apiKey
-        },
-        timeout: 10000 // 10 second timeout
-      });
-
-      const endTime = Date.now();
-      return endTime - startTime;
-    } catch (error) {
-      console.error('Error measuring YouTube ping:', error);
-      return null;
+const Sparkline = ({ history, slow }) => {
+  const width = 120;
+  const height = 28;
+  const max = Math.max(slow, ...history.filter(ping => ping !== null));
+  const step = width / (PING_WINDOW - 1);
+  const offset = PING_WINDOW - history.length;
+
+  // Split the history into runs of successful measurements
+  const segments = [];
+  let current = [];
+  history.forEach((ping, i) => {
+    if (ping === null) {
+      if (current.length > 0) segments.push(current);
+      current = [];
+      return;
     }
-  };
+    const x = ((offset + i) * step).toFixed(1);
+    const y = (height - 2 - (ping / max) * (height - 4)).toFixed(1);
+    current.push(`${x},${y}`);
+  });
+  if (current.length > 0) segments.push(current);
 
-  // Function to simulate ping to server
-  // In a real app, this would ping your actual backend
-  const measureServerPing = async () => {
-    try {
-      const startTime = Date.now();
+  const slowY = (height - 2 - (slow / max) * (height - 4)).toFixed(1);
 
-      // Simulate server ping with a small delay
-      await new Promise(resolve => setTimeout(resolve, Math.random() * 50 + 10));
+  return (
+    <svg className="ping-sparkline" viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" aria-hidden="true">
+      <line className="ping-sparkline-threshold" x1="0" x2={width} y1={slowY} y2={slowY} />
+      {segments.map(points => (
+        points.length === 1
+          ? <circle key={points[0]} cx={points[0].split(',')[0]} cy={points[0].split(',')[1]} r="1.5" />
+          : <polyline key={points[0]} points={points.join(' ')} />
+      ))}
+    </svg>
+  );
+};
 
-      const endTime = Date.now();
-      return endTime - startTime;
-    } catch (error) {
-      console.error('Error measuring server ping:', error);
-      return null;
-    }
-  };
+/**
+ * Component to display ping information
+ */
+const PingDisplay = () => {
+  const [stats, setStats] = useState({});
+  const [clockOffset, setClockOffset] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const pingStatsRef = useRef(null);
+
+  if (!pingStatsRef.current) {
+    pingStatsRef.current = Object.fromEntries(PING_TARGETS.map(target => [target.key, createPingStats()]));
+  }
+
+  // Effect to follow the measured offset between this device's clock and the server clock
+  useEffect(() => {
+    const unsubscribe = subscribeToServerTimeOffset(setClockOffset);
+    return () => unsubscribe();
+  }, []);
 
   // Effect to measure pings on component mount and periodically
   useEffect(() => {
     let isMounted = true;
 
     const updatePings = async () => {
-      try {
-        setIsLoading(true);
-
-        // Measure pings
-        const [ytPing, srvPing, fbPing] = await Promise.all([
-          measureYoutubePing(),
-          measureServerPing(),
-          measureFirebasePing()
-        ]);
-
-        // Only update state if component is still mounted
-        if (isMounted) {
-          setYoutubePing(ytPing);
-          setServerPing(srvPing);
-          setFirebasePing(fbPing);
-          setError(null);
-        }
-      } catch (err) {
-        if (isMounted) {
-          setError('Failed to measure ping');
-        }
-      } finally {
-        if (isMounted) {
-          setIsLoading(false);
-        }
-      }
+      // Each measure function resolves to null on failure, so this never rejects
+      const pings = await Promise.all(PING_TARGETS.map(target => target.measure()));
+      if (!isMounted) return;
+
+      PING_TARGETS.forEach((target, i) => pingStatsRef.current[target.key].add(pings[i]));
+      setStats(Object.fromEntries(PING_TARGETS.map(target => [target.key, pingStatsRef.current[target.key].getStats()])));
+      setIsLoading(false);
     };
 
     // Initial update
     updatePings();
 
-    // Set up interval to update pings every 30 seconds
-    const interval = setInterval(updatePings, 30000);
+    // Set up interval to update pings periodically
+    const interval = setInterval(updatePings, PING_INTERVAL);
 
     // Cleanup
     return () => {
       isMounted = false;
       clearInterval(interval);
     };
-  }, [apiKey]);
+  }, []);
 
   // Helper to format ping display
   const formatPing = (ping) => {
-    if (ping === null) return 'N/A';
+    if (ping === null || ping === undefined) return 'N/A';
     return `${ping} ms`;
   };
 
+  // Helper to format clock offset display, e.g. "+40.2 s" or "-15 ms"
+  const formatOffset = (offset) => {
+    if (offset === null) return 'N/A';
+    const sign = offset > 0 ? '+' : offset < 0 ? '-' : '';
+    const magnitude = Math.abs(offset);
+    if (magnitude >= 1000) return `${sign}${(magnitude / 1000).toFixed(1)} s`;
+    return `${sign}${Math.round(magnitude)} ms`;
+  };
+
   return (
     <div className="ping-container">
       <h2>Connection Status</h2>
 
       {isLoading && <div className="ping-loading">Measuring connection...</div>}
 
-      {error && <div className="ping-error">{error}</div>}
-
-      {!isLoading && !error && (
+      {!isLoading && (
         <div className="ping-grid">
-          <div className="ping-item">
-            <div className="ping-label">YouTube API</div>
-            <div className={`ping-value ${youtubePing > 200 ? 'ping-slow' : 'ping-good'}`}>
-              {formatPing(youtubePing)}
-            </div>
-          </div>
-
-          <div className="ping-item">
-            <div className="ping-label">Server</div>
-            <div className={`ping-value ${serverPing > 100 ? 'ping-slow' : 'ping-good'}`}>
-              {formatPing(serverPing)}
-            </div>
-          </div>
-
-          <div className="ping-item">
-            <div className="ping-label">Firebase</div>
-            <div className={`ping-value ${firebasePing > 150 ? 'ping-slow' : 'ping-good'}`}>
-              {formatPing(firebasePing)}
+          {PING_TARGETS.map(target => {
+            const targetStats = stats[target.key];
+            return (
+              <div className="ping-item" key={target.key}>
+                <div className="ping-label">{target.label}</div>
+                <div className={`ping-value ${targetStats.last === null || targetStats.last > target.slow ? 'ping-slow' : 'ping-good'}`}>
+                  {formatPing(targetStats.last)}
+                </div>
+                <Sparkline history={targetStats.history} slow={target.slow} />
+                <div className="ping-details">
+                  {targetStats.min === null ? 'No answer yet' : (
+                    <>
+                      min {targetStats.min} · avg {targetStats.avg} · max {targetStats.max}
+                      <br />
+                      jitter {targetStats.jitter} ms
+                      {targetStats.lost > 0 && ` · ${targetStats.lost} lost`}
+                    </>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+
+          <div className="ping-item" title="Difference between this device's clock and the server clock. Playback is corrected for it.">
+            <div className="ping-label">Clock Offset</div>
+            <div className={`ping-value ${Math.abs(clockOffset || 0) > 5000 ? 'ping-slow' : 'ping-good'}`}>
+              {formatOffset(clockOffset)}
             </div>
           </div>
         </div>
@@ -1,6 +1,8 @@
 import React, { useEffect, useState, useRef, useCallback } from "react";
 import YouTube from "react-youtube";
 import "./Player.css";
+import { rampVolume } from "../services/volumeService";
+import { DEFAULT_CROSSFADE_SECONDS } from "../services/radioService";
 
 const Player = ({
   isLoading,
@@ -11,11 +13,13 @@ const Player = ({
   totalDuration,
   currentPosition,
   playlistName,
+  crossfadeSeconds = DEFAULT_CROSSFADE_SECONDS,
 }) => {
   const playerRef = useRef(null);
   const playerErrorCountRef = useRef(0);
   const unmuteRetriesRef = useRef(0);
   const unstartedTimeoutRef = useRef(null);
+  const cancelFadeRef = useRef(() => {});
   const opts = {
     height: "0",
     width: "0",
@@ -77,6 +81,19 @@ const Player = ({
     }
   }, []);
 
+  // Ramp up to full volume instead of jumping there, from silence if the player was muted
+  const safePlayerFadeIn = useCallback((fromSilence) => {
+    try {
+      cancelFadeRef.current();
+      const player = playerRef.current;
+      if (!player) return;
+      const from = fromSilence ? 0 : player.getVolume();
+      cancelFadeRef.current = rampVolume(player, from, 100, crossfadeSeconds * 1000);
+    } catch (error) {
+      safePlayerSetVolume(100);
+    }
+  }, [crossfadeSeconds, safePlayerSetVolume]);
+
   const optimizeForAudioOnly = useCallback(() => {
     if (playerRef.current) {
       try {
@@ -123,9 +140,15 @@ const Player = ({
   );
 
   const ensureAudio = useCallback(() => {
+    let wasMuted = false;
+    try {
+      wasMuted = playerRef.current?.isMuted() ?? false;
+    } catch (error) {
+      // Handle error
+    }
+    safePlayerFadeIn(wasMuted);
     safePlayerUnMute();
-    safePlayerSetVolume(100);
-  }, [safePlayerUnMute, safePlayerSetVolume]);
+  }, [safePlayerUnMute, safePlayerFadeIn]);
 
   // Define resetYouTubePlayer first to avoid circular reference
   const resetYouTubePlayer = useCallback(() => {
@@ -0,0 +1,78 @@
+import React, { useState, useEffect } from 'react';
+import './RecentlyPlayed.css';
+import { subscribeToRecentlyPlayed, getPlayHistory, playHistoryToCsv } from '../services/playHistoryService';
+
+// How many days the CSV export covers
+const EXPORT_DAYS = 30;
+
+// Format a start time as "14:05", with the date for earlier days
+const formatStartTime = (startedAt) => {
+  const date = new Date(startedAt);
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  if (date.toDateString() === new Date().toDateString()) return time;
+  return `${date.toLocaleDateString([], { day: 'numeric', month: 'short' })} ${time}`;
+};
+
+/**
+ * Component to display the tracks played most recently on a channel
+ */
+const RecentlyPlayed = ({ channelId }) => {
+  const [entries, setEntries] = useState([]);
+  const [isExporting, setIsExporting] = useState(false);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToRecentlyPlayed(setEntries, 20, channelId);
+    return () => unsubscribe();
+  }, [channelId]);
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const history = await getPlayHistory(EXPORT_DAYS, channelId);
+      const blob = new Blob([playHistoryToCsv(history)], { type: 'text/csv;charset=utf-8' });
+      const url = URL.createObjectURL(blob);
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `play-history-${channelId}-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting play history:', error);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="recently-played-container">
+      <h2>Recently Played</h2>
+
+      {entries.length === 0 ? (
+        <div className="recently-played-empty">Nothing played yet today</div>
+      ) : (
+        <div className="recently-played-list">
+          {entries.map(entry => (
+            <div key={`${entry.startedAt}_${entry.videoId}`} className="recently-played-item">
+              <div className="recently-played-time">{formatStartTime(entry.startedAt)}</div>
+              <div className="recently-played-info">
+                <div className="recently-played-title">{entry.title}</div>
+                <div className="recently-played-meta">
+                  {entry.channelTitle}
+                  {entry.requestedBy && ` · requested by ${entry.requestedBy}`}
+                  {` · ${entry.listeners} listening`}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <button className="recently-played-export" onClick={handleExport} disabled={isExporting}>
+        {isExporting ? 'Exporting...' : `Export last ${EXPORT_DAYS} days (CSV)`}
+      </button>
+    </div>
+  );
+};
+
+export default RecentlyPlayed;
@@ -0,0 +1,114 @@
+import React, { useState, useEffect } from 'react';
+import { getAuth, onAuthStateChanged } from 'firebase/auth';
+import './RequestModeration.css';
+import { isAdmin } from '../services/firebaseService';
+import { subscribeToSongRequests, approveSongRequest, rejectSongRequest } from '../services/requestService';
+
+/**
+ * Component for admins to approve or reject pending song requests
+ * Renders nothing for listeners who aren't admins
+ */
+const RequestModeration = ({ apiKey }) => {
+  const [user, setUser] = useState(null);
+  const [isAdminUser, setIsAdminUser] = useState(false);
+  const [requests, setRequests] = useState([]);
+  const [busyRequestId, setBusyRequestId] = useState(null);
+  const [error, setError] = useState('');
+  const auth = getAuth();
+
+  // Track the signed-in user and whether they may moderate
+  useEffect(() => {
+    const unsubscribe = onAuthStateChanged(auth, async (user) => {
+      setUser(user);
+      setIsAdminUser(await isAdmin(user));
+    });
+
+    return () => unsubscribe();
+  }, [auth]);
+
+  // Only admins subscribe to the queue
+  useEffect(() => {
+    if (!isAdminUser) return;
+
+    const unsubscribe = subscribeToSongRequests(setRequests);
+    return () => unsubscribe();
+  }, [isAdminUser]);
+
+  const handleApprove = async (request) => {
+    setBusyRequestId(request.id);
+    setError('');
+    try {
+      const queued = await approveSongRequest(request, user, apiKey);
+      if (!queued) {
+        setError(`"${request.title}" is no longer available and was rejected`);
+      }
+    } catch (err) {
+      console.error('Error approving song request:', err);
+      setError(err.message || 'Failed to approve request');
+    } finally {
+      setBusyRequestId(null);
+    }
+  };
+
+  const handleReject = async (request) => {
+    setBusyRequestId(request.id);
+    setError('');
+    try {
+      await rejectSongRequest(request, user);
+    } catch (err) {
+      console.error('Error rejecting song request:', err);
+      setError(err.message || 'Failed to reject request');
+    } finally {
+      setBusyRequestId(null);
+    }
+  };
+
+  if (!isAdminUser) {
+    return null;
+  }
+
+  return (
+    <div className="moderation-container">
+      <h2>Song Requests ({requests.length})</h2>
+
+      {error && <div className="moderation-error">{error}</div>}
+
+      {requests.length === 0 ? (
+        <p className="moderation-empty">No pending requests</p>
+      ) : (
+        <div className="moderation-list">
+          {requests.map(request => (
+            <div key={request.id} className="moderation-item">
+              {request.thumbnail && <img src={request.thumbnail} alt={request.title} />}
+              <div className="moderation-info">
+                <div className="moderation-title">{request.title}</div>
+                <div className="moderation-meta">
+                  Requested by {request.requesterName}
+                  {request.channelId ? ` on ${request.channelId}` : ''}
+                </div>
+              </div>
+              <div className="moderation-actions">
+                <button
+                  className="approve-button"
+                  onClick={() => handleApprove(request)}
+                  disabled={busyRequestId === request.id}
+                >
+                  Approve
+                </button>
+                <button
+                  className="reject-button"
+                  onClick={() => handleReject(request)}
+                  disabled={busyRequestId === request.id}
+                >
+                  Reject
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RequestModeration;
@@ -0,0 +1,82 @@
+import React, { useState, useEffect } from 'react';
+import { getAuth, onAuthStateChanged } from 'firebase/auth';
+import './SkipVote.css';
+import { subscribeToStats } from '../services/firebaseService';
+import {
+  castSkipVote,
+  getSkipTrackKey,
+  getRequiredSkipVotes,
+  subscribeToSkipVotes,
+  subscribeToSkipVoteShare,
+  DEFAULT_SKIP_VOTE_SHARE
+} from '../services/radioService';
+
+/**
+ * Vote to skip the track that's playing, with a live "3/10 votes to skip" count
+ * Only shown for the main rotation; scheduled programs play as planned
+ */
+const SkipVote = ({ trackInfo, channelId }) => {
+  const [user, setUser] = useState(null);
+  const [voters, setVoters] = useState([]);
+  const [listeners, setListeners] = useState(0);
+  const [share, setShare] = useState(DEFAULT_SKIP_VOTE_SHARE);
+  const [isVoting, setIsVoting] = useState(false);
+  const trackKey = trackInfo && !trackInfo.programId ? getSkipTrackKey(trackInfo) : null;
+  const uid = user?.uid || null;
+
+  useEffect(() => {
+    const unsubscribe = onAuthStateChanged(getAuth(), setUser);
+    return () => unsubscribe();
+  }, []);
+
+  useEffect(() => {
+    const unsubscribeStats = subscribeToStats(stats => setListeners(stats?.currentListeners || 0));
+    const unsubscribeShare = subscribeToSkipVoteShare(setShare);
+    return () => {
+      unsubscribeStats();
+      unsubscribeShare();
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!trackKey) return undefined;
+
+    setVoters([]);
+    const unsubscribe = subscribeToSkipVotes(trackKey, setVoters, channelId);
+    return () => unsubscribe();
+  }, [trackKey, channelId]);
+
+  const handleVote = async () => {
+    if (!uid || isVoting) return;
+
+    setIsVoting(true);
+    try {
+      await castSkipVote(trackInfo, uid, channelId);
+    } catch (error) {
+      console.error('Error voting to skip:', error);
+    }
+    setIsVoting(false);
+  };
+
+  if (!trackKey) return null;
+
+  const hasVoted = Boolean(uid) && voters.includes(uid);
+
+  return (
+    <div className="skip-vote">
+      <button
+        className={`skip-vote-button ${hasVoted ? 'active' : ''}`}
+        onClick={handleVote}
+        disabled={!uid || hasVoted || isVoting}
+        title={hasVoted ? 'You voted to skip this song' : 'Vote to skip this song'}
+      >
+        <i className="fas fa-forward"></i> Skip
+      </button>
+      <span className="skip-vote-count">
+        {voters.length}/{getRequiredSkipVotes(listeners, share)} votes to skip
+      </span>
+    </div>
+  );
+};
+
+export default SkipVote;
@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import { getAuth, onAuthStateChanged } from 'firebase/auth';
+import './SongRequestForm.css';
+import { extractVideoId, getVideoDetails, searchVideos } from '../services/youtubeService';
+import { submitSongRequest } from '../services/requestService';
+
+/**
+ * Component for students to request songs
+ * Accepts a YouTube link or search terms; anonymous listeners are asked to sign in
+ */
+const SongRequestForm = ({ apiKey, channelId }) => {
+  const [user, setUser] = useState(null);
+  const [input, setInput] = useState('');
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const auth = getAuth();
+
+  useEffect(() => {
+    const unsubscribe = onAuthStateChanged(auth, (user) => {
+      setUser(user && !user.isAnonymous ? user : null);
+    });
+
+    return () => unsubscribe();
+  }, [auth]);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+    setResults([]);
+
+    if (!input.trim()) return;
+
+    setIsSearching(true);
+    try {
+      const videoId = extractVideoId(input);
+
+      if (videoId) {
+        // A link or video ID: look up that one video
+        const video = await getVideoDetails(apiKey, videoId);
+        if (!video) {
+          setError('Could not find that video');
+        } else {
+          setResults([{
+            videoId: video.id,
+            title: video.snippet.title,
+            thumbnail: video.snippet.thumbnails?.default?.url || null,
+            channelTitle: video.snippet.channelTitle
+          }]);
+        }
+      } else {
+        // Anything else is treated as search terms
+        const items = await searchVideos(apiKey, input);
+        setResults(items.map(item => ({
+          videoId: item.id.videoId,
+          title: item.snippet.title,
+          thumbnail: item.snippet.thumbnails?.default?.url || null,
+          channelTitle: item.snippet.channelTitle
+        })));
+        if (items.length === 0) {
+          setError('No videos found');
+        }
+      }
+    } catch (err) {
+      console.error('Error searching for song request:', err);
+      setError('Search failed. Please try again.');
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const handleRequest = async (video) => {
+    setError('');
+    try {
+      await submitSongRequest(user, video, channelId);
+      setMessage(`Requested "${video.title}". It will play once a moderator approves it.`);
+      setResults([]);
+      setInput('');
+    } catch (err) {
+      console.error('Error submitting song request:', err);
+      setError(err.message || 'Failed to submit request');
+    }
+  };
+
+  return (
+    <div className="song-request-container">
+      <h2>Request a Song</h2>
+
+      {!user ? (
+        <p className="song-request-note">Sign in with Google or GitHub to request songs.</p>
+      ) : (
+        <>
+          <form className="song-request-form" onSubmit={handleSearch}>
+            <input
+              type="text"
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              placeholder="Paste a YouTube link or search for a song"
+            />
+            <button type="submit" disabled={isSearching}>
+              {isSearching ? 'Searching...' : 'Search'}
+            </button>
+          </form>
+
+          {error && <div className="song-request-error">{error}</div>}
+          {message && <div className="song-request-success">{message}</div>}
+
+          {results.length > 0 && (
+            <div className="song-request-results">
+              {results.map(video => (
+                <div key={video.videoId} className="song-request-result">
+                  {video.thumbnail && <img src={video.thumbnail} alt={video.title} />}
+                  <div className="song-request-info">
+                    <div className="song-request-title">{video.title}</div>
+                    <div className="song-request-channel">{video.channelTitle}</div>
+                  </div>
+                  <button onClick={() => handleRequest(video)}>Request</button>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SongRequestForm;
@@ -1,6 +1,10 @@
 import React, { useState, useEffect } from 'react';
+import { getAuth, onAuthStateChanged } from 'firebase/auth';
 import './StatsDisplay.css';
 import { registerListener, unregisterListener, subscribeToStats, cleanupInactiveListeners } from '../services/firebaseService';
+import { recordListenerCount, recordListenerVisit } from '../services/analyticsService';
+import { isLeader } from '../services/leaderService';
+import { DEFAULT_CHANNEL_ID } from '../services/radioService';
 
 /**
  * Component to display radio statistics
@@ -17,27 +21,40 @@ const StatsDisplay = ({ playedTracks }) => {
       console.error('Failed to register listener:', error);
     });
 
-    // Run cleanup once on mount to fix any existing issues with the count
-    cleanupInactiveListeners().catch(error => {
-      console.error('Failed to clean up inactive listeners:', error);
+    // Listeners are shared by all channels, so only the leader of the main channel cleans them up
+    const cleanupIfLeader = () => {
+      if (!isLeader(DEFAULT_CHANNEL_ID)) return;
+      cleanupInactiveListeners().catch(error => {
+        console.error('Failed to clean up inactive listeners:', error);
+      });
+    };
+
+    // Count this user once per day for the analytics page
+    const unsubscribeAuth = onAuthStateChanged(getAuth(), (user) => {
+      if (user) recordListenerVisit(user.uid);
     });
 
-    // Subscribe to real-time updates on listener stats
+    // Subscribe to real-time updates on listener stats and record them for the analytics page
+    let currentListeners = null;
     const unsubscribe = subscribeToStats((stats) => {
-      setListeners(stats.currentListeners || 0);
+      currentListeners = stats.currentListeners || 0;
+      setListeners(currentListeners);
       setTotalListeners(stats.totalListeners || 0);
+      recordListenerCount(currentListeners);
     });
 
     // Set up periodic cleanup of inactive listeners
     const cleanupInterval = setInterval(() => {
-      cleanupInactiveListeners().catch(error => {
-        console.error('Failed to clean up inactive listeners:', error);
-      });
+      cleanupIfLeader();
+
+      // Also sample quiet periods when the count doesn't change
+      if (currentListeners !== null) recordListenerCount(currentListeners);
     }, 60000); // Run every minute
 
     // Clean up on unmount
     return () => {
       unsubscribe();
+      unsubscribeAuth();
       clearInterval(cleanupInterval);
       unregisterListener().catch(error => {
         console.error('Failed to unregister listener:', error);
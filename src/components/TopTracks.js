@@ -0,0 +1,56 @@
+import React, { useState, useEffect } from 'react';
+import './TopTracks.css';
+import { getTopTracks } from '../services/firebaseService';
+
+// How often to refresh the list (in milliseconds)
+const REFRESH_INTERVAL = 60000;
+
+/**
+ * Component to display the tracks listeners like most
+ */
+const TopTracks = () => {
+  const [tracks, setTracks] = useState([]);
+
+  useEffect(() => {
+    let isMounted = true;
+
+    const loadTopTracks = async () => {
+      try {
+        const topTracks = await getTopTracks(10);
+        if (isMounted) setTracks(topTracks);
+      } catch (error) {
+        console.error('Error loading top tracks:', error);
+      }
+    };
+
+    loadTopTracks();
+    const interval = setInterval(loadTopTracks, REFRESH_INTERVAL);
+
+    return () => {
+      isMounted = false;
+      clearInterval(interval);
+    };
+  }, []);
+
+  if (tracks.length === 0) return null;
+
+  return (
+    <div className="top-tracks-container">
+      <h2>Top Tracks</h2>
+      <ol className="top-tracks-list">
+        {tracks.map(track => (
+          <li key={track.videoId} className="top-tracks-item">
+            <span className="top-tracks-title">{track.title}</span>
+            <span className="top-tracks-votes">
+              <i className="fas fa-thumbs-up"></i> {track.likes}
+              {' '}
+              <i className="fas fa-thumbs-down"></i> {track.dislikes}
+            </span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default TopTracks;
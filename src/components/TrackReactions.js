@@ -0,0 +1,63 @@
+import React, { useState, useEffect } from 'react';
+import { getAuth, onAuthStateChanged } from 'firebase/auth';
+import './TrackReactions.css';
+import { setTrackReaction, subscribeToTrackReactions } from '../services/firebaseService';
+
+/**
+ * Like and dislike buttons for the track that's playing, with live counts
+ */
+const TrackReactions = ({ track }) => {
+  const [user, setUser] = useState(null);
+  const [reactions, setReactions] = useState({ likes: 0, dislikes: 0, myReaction: null });
+  const [isSaving, setIsSaving] = useState(false);
+  const videoId = track?.snippet?.resourceId?.videoId;
+  const uid = user?.uid || null;
+
+  useEffect(() => {
+    const unsubscribe = onAuthStateChanged(getAuth(), setUser);
+    return () => unsubscribe();
+  }, []);
+
+  useEffect(() => {
+    if (!videoId) return undefined;
+
+    setReactions({ likes: 0, dislikes: 0, myReaction: null });
+    const unsubscribe = subscribeToTrackReactions(videoId, uid, setReactions);
+    return () => unsubscribe();
+  }, [videoId, uid]);
+
+  const handleReaction = async (reaction) => {
+    if (!uid || isSaving) return;
+
+    // Clicking the active button takes the vote back
+    const next = reactions.myReaction === reaction ? null : reaction;
+    setIsSaving(true);
+    await setTrackReaction(videoId, uid, next, track.snippet.title);
+    setIsSaving(false);
+  };
+
+  if (!videoId) return null;
+
+  return (
+    <div className="track-reactions">
+      <button
+        className={`reaction-button ${reactions.myReaction === 'like' ? 'active' : ''}`}
+        onClick={() => handleReaction('like')}
+        disabled={!uid || isSaving}
+        title="I like this song"
+      >
+        <i className="fas fa-thumbs-up"></i> {reactions.likes}
+      </button>
+      <button
+        className={`reaction-button dislike ${reactions.myReaction === 'dislike' ? 'active' : ''}`}
+        onClick={() => handleReaction('dislike')}
+        disabled={!uid || isSaving}
+        title="I don't like this song"
+      >
+        <i className="fas fa-thumbs-down"></i> {reactions.dislikes}
+      </button>
+    </div>
+  );
+};
+
+export default TrackReactions;
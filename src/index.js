@@ -4,7 +4,6 @@ import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
 import { getServerStartTime, resetRadioState, getRadioState } from './services/radioService';
-import { fetchPlaylistItems } from './services/youtubeService';
 
 // Initialize server start time when the application first loads
 // This ensures we have a timestamp for synchronizing playback
@@ -25,26 +24,8 @@ const refreshPlaylistOnStartup = async () => {
   } else {
     console.log("Existing radio state found - syncing with current playback");
   }
-  
-  // Pre-fetch playlist to warm up the cache
-  const YOUTUBE_API_KEY = process.env.REACT_APP_YOUTUBE_API_KEY;
-  const PLAYLIST_ID = process.env.REACT_APP_PLAYLIST_ID;
-  
-  if (YOUTUBE_API_KEY && PLAYLIST_ID) {
-    try {
-      // Add a small delay to ensure Firebase is properly initialized
-      // This helps prevent "No radio state found in timer" errors
-      await new Promise(resolve => setTimeout(resolve, 1500));
-      
-      // Pre-fetch playlist after we've determined state handling
-      await fetchPlaylistItems(YOUTUBE_API_KEY, PLAYLIST_ID);
-      console.log("Playlist pre-fetched successfully");
-    } catch (error) {
-      console.error("Failed to pre-fetch playlist:", error);
-    }
-  } else {
-    console.warn("Missing API key or Playlist ID - skipping playlist pre-fetch");
-  }
+
+  // The playlist itself is loaded by App through the shared playlist cache
 };
 
 // Execute the refresh but wrap in try/catch for resilience
@@ -0,0 +1,22 @@
+/**
+ * Firebase Service stand-in for the service tests
+ *
+ * Tests use it with jest.mock('./firebaseService'). The services only take the shared
+ * clock and this client's session ID from Firebase; the clock stands still at TEST_NOW
+ * until a test moves it with setServerNow.
+ */
+
+export const TEST_NOW = Date.UTC(2024, 0, 8, 10, 0, 0);
+
+let serverNow = TEST_NOW;
+
+export const app = {};
+
+export const getServerNow = () => serverNow;
+
+export const getSessionId = () => 'this-client';
+
+// Move the service clock, for tests that need a specific moment
+export const setServerNow = (time) => {
+  serverNow = time;
+};
@@ -0,0 +1,187 @@
+import { getServerNow } from './firebaseService';
+import { getStorage } from './radioService';
+
+/**
+ * Analytics Service - Listener history for the analytics page
+ *
+ * Everything lives under analytics/, keyed by local date (YYYY-MM-DD) on the server clock:
+ *
+ *   analytics/samples/{day}/{HH:MM}        - Listener count at the start of each sample slot
+ *   analytics/daily/{day}/peak             - { listeners, at }: most concurrent listeners that day
+ *   analytics/daily/{day}/listeners/{uid}  - true for every (anonymous) user who tuned in
+ *   analytics/sessions/{day}/{sessionId}   - { startedAt, lastSeen }, kept up to date by presence
+ *   analytics/listeners/{uid}              - Day the user was first seen
+ *
+ * stats/totalListeners counts users the first time they are seen, not every page load.
+ */
+
+// Length of one listener count sample (in minutes)
+export const SAMPLE_MINUTES = 5;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Get the analytics key for the day a moment falls on
+ * @param {number} time - Time in milliseconds
+ * @returns {string} - Local date as YYYY-MM-DD
+ */
+export const getDayKey = (time) => {
+  const date = new Date(time);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Key of the sample slot a moment falls in, e.g. "09:35"
+const getSlotKey = (time) => {
+  const date = new Date(time);
+  const minutes = Math.floor(date.getMinutes() / SAMPLE_MINUTES) * SAMPLE_MINUTES;
+  return `${pad(date.getHours())}:${pad(minutes)}`;
+};
+
+// Skip writes this client already knows are unnecessary
+let lastSampledSlot = null;
+let knownPeak = { day: null, listeners: -1 };
+
+/**
+ * Record the current listener count
+ * Call whenever the count changes and at least once per sample slot. The first client
+ * in each slot stores the sample; the day's peak is raised whenever it is exceeded.
+ * @param {number} count - Current number of listeners
+ * @returns {Promise<boolean>} - Whether the count was recorded
+ */
+export const recordListenerCount = async (count) => {
+  const now = getServerNow();
+  const day = getDayKey(now);
+  const slot = `${day}/${getSlotKey(now)}`;
+
+  try {
+    if (slot !== lastSampledSlot) {
+      lastSampledSlot = slot;
+      await getStorage().transaction(`analytics/samples/${slot}`, sample => (sample === null ? count : undefined));
+    }
+
+    if (knownPeak.day !== day || count > knownPeak.listeners) {
+      const result = await getStorage().transaction(`analytics/daily/${day}/peak`, peak => (
+        peak && peak.listeners >= count ? undefined : { listeners: count, at: now }
+      ));
+      knownPeak = { day, listeners: result.value ? result.value.listeners : count };
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error recording listener count:', error);
+    return false;
+  }
+};
+
+/**
+ * Record that a user tuned in today
+ * @param {string} uid - Firebase auth uid (anonymous listeners have one too)
+ * @returns {Promise<boolean>} - Whether the visit was recorded
+ */
+export const recordListenerVisit = async (uid) => {
+  if (!uid) return false;
+
+  const day = getDayKey(getServerNow());
+
+  try {
+    await getStorage().set(`analytics/daily/${day}/listeners/${uid}`, true);
+
+    const firstVisit = await getStorage().transaction(`analytics/listeners/${uid}`, firstSeen => (
+      firstSeen === null ? day : undefined
+    ));
+    if (firstVisit.committed) {
+      await getStorage().transaction('stats/totalListeners', total => (total || 0) + 1);
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error recording listener visit:', error);
+    return false;
+  }
+};
+
+/**
+ * Summarize one day of analytics data
+ * @param {string} day - Day key
+ * @param {Object} data - { samples, daily, sessions } as stored for that day
+ * @returns {Object} - Day summary, see getListenerAnalytics
+ */
+const summarizeDay = (day, { samples, daily, sessions }) => {
+  const hourly = Array.from({ length: 24 }, () => null);
+
+  Object.entries(samples || {}).forEach(([slot, count]) => {
+    const hour = parseInt(slot, 10);
+    if (Number.isNaN(hour) || hour < 0 || hour > 23) return;
+
+    const entry = hourly[hour] || { total: 0, samples: 0, peak: 0 };
+    hourly[hour] = { total: entry.total + count, samples: entry.samples + 1, peak: Math.max(entry.peak, count) };
+  });
+
+  const durations = Object.values(sessions || {})
+    .filter(session => typeof session.startedAt === 'number' && typeof session.lastSeen === 'number')
+    .map(session => Math.max(0, session.lastSeen - session.startedAt));
+
+  const sampledPeak = Math.max(0, ...hourly.filter(Boolean).map(entry => entry.peak));
+  const peak = daily && daily.peak;
+  const uids = Object.keys((daily && daily.listeners) || {});
+
+  return {
+    day,
+    uids,
+    uniqueListeners: uids.length,
+    peakListeners: Math.max(peak ? peak.listeners : 0, sampledPeak),
+    peakAt: peak ? peak.at : null,
+    sessions: durations.length,
+    averageSessionMinutes: durations.length > 0
+      ? durations.reduce((sum, duration) => sum + duration, 0) / durations.length / 60000
+      : null,
+    hourly: hourly.map(entry => (entry ? { average: entry.total / entry.samples, peak: entry.peak } : null))
+  };
+};
+
+/**
+ * Get listener analytics for the most recent days
+ * @param {number} days - Number of days including today (default: 14)
+ * @returns {Promise<Object>} - { days, uniqueListeners, peakListeners, peakDay, averageSessionMinutes, hourly }
+ *   days holds one summary per day, oldest first: { day, uniqueListeners, peakListeners, peakAt,
+ *   sessions, averageSessionMinutes, hourly }, where hourly has 24 entries of { average, peak }
+ *   (null for hours without samples). The top-level hourly averages each hour over all days
+ *   that have samples for it.
+ */
+export const getListenerAnalytics = async (days = 14) => {
+  const today = new Date(getServerNow());
+  const dayKeys = Array.from({ length: days }, (_, i) =>
+    getDayKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - (days - 1 - i)).getTime())
+  );
+
+  const storage = getStorage();
+  const summaries = await Promise.all(dayKeys.map(async (day) => {
+    const [samples, daily, sessions] = await Promise.all([
+      storage.get(`analytics/samples/${day}`),
+      storage.get(`analytics/daily/${day}`),
+      storage.get(`analytics/sessions/${day}`)
+    ]);
+    return summarizeDay(day, { samples, daily, sessions });
+  }));
+
+  const busiest = summaries.reduce((best, summary) => (
+    !best || summary.peakListeners > best.peakListeners ? summary : best
+  ), null);
+  const totalSessions = summaries.reduce((sum, summary) => sum + summary.sessions, 0);
+
+  const hourly = Array.from({ length: 24 }, (_, hour) => {
+    const values = summaries.map(summary => summary.hourly[hour]).filter(Boolean);
+    return values.length > 0 ? values.reduce((sum, entry) => sum + entry.average, 0) / values.length : null;
+  });
+
+  return {
+    days: summaries.map(({ uids, ...summary }) => summary),
+    uniqueListeners: new Set(summaries.flatMap(summary => summary.uids)).size,
+    peakListeners: busiest ? busiest.peakListeners : 0,
+    peakDay: busiest && busiest.peakListeners > 0 ? busiest.day : null,
+    averageSessionMinutes: totalSessions > 0
+      ? summaries.reduce((sum, summary) => sum + (summary.averageSessionMinutes || 0) * summary.sessions, 0) / totalSessions
+      : null,
+    hourly
+  };
+};
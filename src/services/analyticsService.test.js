@@ -0,0 +1,79 @@
+import { createMemoryAdapter } from './storageAdapters';
+
+jest.mock('./firebaseService');
+
+// Local time, since analytics are keyed by the school's local date and hour
+const at = (day, hours, minutes = 0) => new Date(2024, 0, day, hours, minutes).getTime();
+
+let storage;
+let analytics;
+let firebase;
+
+beforeEach(() => {
+  // Fresh module state per test: the service remembers what it already recorded
+  jest.resetModules();
+  analytics = require('./analyticsService');
+  firebase = require('./firebaseService');
+  storage = createMemoryAdapter();
+  require('./radioService').setStorageAdapter(storage);
+  firebase.setServerNow(at(8, 10, 1));
+});
+
+describe('recordListenerCount', () => {
+  test('keeps the first sample per slot and the highest count as the peak', async () => {
+    await analytics.recordListenerCount(3);
+    await analytics.recordListenerCount(5);
+    await analytics.recordListenerCount(4);
+    firebase.setServerNow(at(8, 10, 6));
+    await analytics.recordListenerCount(2);
+
+    expect(await storage.get('analytics/samples/2024-01-08')).toEqual({ '10:00': 3, '10:05': 2 });
+    expect(await storage.get('analytics/daily/2024-01-08/peak')).toEqual({ listeners: 5, at: at(8, 10, 1) });
+  });
+});
+
+describe('recordListenerVisit', () => {
+  test('counts a listener once per day and once in the total', async () => {
+    await analytics.recordListenerVisit('uid1');
+    await analytics.recordListenerVisit('uid1');
+    firebase.setServerNow(at(9, 9));
+    await analytics.recordListenerVisit('uid1');
+    await analytics.recordListenerVisit('uid2');
+
+    expect(await storage.get('analytics/daily/2024-01-08/listeners')).toEqual({ uid1: true });
+    expect(await storage.get('analytics/daily/2024-01-09/listeners')).toEqual({ uid1: true, uid2: true });
+    expect(await storage.get('stats/totalListeners')).toBe(2);
+  });
+});
+
+describe('getListenerAnalytics', () => {
+  test('summarizes samples, visits and sessions per day', async () => {
+    await storage.set('analytics', {
+      samples: {
+        '2024-01-07': { '12:00': 10, '12:30': 20 },
+        '2024-01-08': { '12:05': 30, '08:00': 4 }
+      },
+      daily: {
+        '2024-01-07': { listeners: { a: true, b: true }, peak: { listeners: 25, at: at(7, 12, 40) } },
+        '2024-01-08': { listeners: { b: true, c: true, d: true } }
+      },
+      sessions: {
+        '2024-01-08': {
+          s1: { startedAt: at(8, 8), lastSeen: at(8, 8, 30) },
+          s2: { startedAt: at(8, 9), lastSeen: at(8, 9, 10) }
+        }
+      }
+    });
+
+    const result = await analytics.getListenerAnalytics(3);
+
+    expect(result.days.map(day => day.day)).toEqual(['2024-01-06', '2024-01-07', '2024-01-08']);
+    expect(result.days[1]).toMatchObject({ uniqueListeners: 2, peakListeners: 25 });
+    expect(result.days[2]).toMatchObject({ uniqueListeners: 3, peakListeners: 30, sessions: 2, averageSessionMinutes: 20 });
+    expect(result.uniqueListeners).toBe(4);
+    expect(result.peakDay).toBe('2024-01-08');
+    expect(result.hourly[12]).toBe(22.5);
+    expect(result.hourly[8]).toBe(4);
+    expect(result.hourly[13]).toBeNull();
+  });
+});
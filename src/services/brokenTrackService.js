@@ -0,0 +1,115 @@
+import { getServerNow } from './firebaseService';
+import { getStorage } from './radioService';
+
+/**
+ * Broken Track Service - Videos that can't be played, kept out of the rotation
+ *
+ * Every broken video has an entry at brokenTracks/{videoId}:
+ * { videoId, title, reason, source, errorCode, reportedAt }, where source is
+ *   'fetch'  - the YouTube API reported it deleted, private, not embeddable or blocked in
+ *              REACT_APP_REGION_CODE when the playlist was fetched
+ *   'player' - the player failed to play it with error 100, 101 or 150
+ *
+ * Fetch-time entries go away by themselves once the video is playable again. Player reports
+ * stay until an admin clears them in the admin console, since the API can't tell when a
+ * video starts working in the player.
+ */
+
+// YouTube player errors for a video that won't play here, whatever we retry:
+// 100 = removed or private, 101 and 150 = the owner doesn't allow embedding (here)
+export const UNPLAYABLE_ERROR_CODES = [100, 101, 150];
+
+// Labels for the reasons, see getUnplayableReason in youtubeService
+export const BROKEN_TRACK_REASONS = {
+  deleted: 'Deleted',
+  private: 'Private',
+  notEmbeddable: 'Embedding disabled',
+  regionBlocked: 'Blocked in this region',
+  unavailable: 'Unavailable'
+};
+
+const PATH = 'brokenTracks';
+
+// Reason for a player error code
+const getPlayerErrorReason = (errorCode) => (errorCode === 100 ? 'unavailable' : 'notEmbeddable');
+
+/**
+ * Record that the player couldn't play a track
+ * @param {Object} track - Playlist item
+ * @param {number} errorCode - YouTube player error, one of UNPLAYABLE_ERROR_CODES
+ */
+export const reportBrokenTrack = async (track, errorCode) => {
+  const videoId = track?.snippet?.resourceId?.videoId;
+  if (!videoId) return;
+
+  await getStorage().set(`${PATH}/${videoId}`, {
+    videoId,
+    title: track.snippet.title || videoId,
+    reason: getPlayerErrorReason(errorCode),
+    source: 'player',
+    errorCode,
+    reportedAt: getServerNow()
+  });
+};
+
+/**
+ * Keep broken tracks out of a fetched playlist and bring the broken list up to date
+ * Records the items the fetch set aside as unplayable, drops fetch-time entries for videos
+ * that are playable again, and removes the items the player reported from the result.
+ * @param {Object} result - { items, totalCount, unavailable } as from fetchPlaylistItems
+ * @returns {Promise<Object>} - The result without player-reported tracks, totalCount adjusted
+ */
+export const excludeBrokenTracks = async (result) => {
+  const storage = getStorage();
+  let broken = {};
+  try {
+    broken = (await storage.get(PATH)) || {};
+  } catch (error) {
+    console.error('Error loading broken tracks:', error);
+    return result;
+  }
+
+  const updates = {};
+  (result.unavailable || []).forEach(({ videoId, title, reason }) => {
+    if (broken[videoId]?.source === 'fetch' && broken[videoId].reason === reason) return;
+    if (broken[videoId]?.source === 'player') return; // Already known
+    updates[`${PATH}/${videoId}`] = { videoId, title, reason, source: 'fetch', reportedAt: getServerNow() };
+  });
+
+  const items = [];
+  result.items.forEach(item => {
+    const videoId = item?.snippet?.resourceId?.videoId;
+    const entry = broken[videoId];
+    if (entry?.source === 'player') return;
+    if (entry?.source === 'fetch') updates[`${PATH}/${videoId}`] = null; // Playable again
+    items.push(item);
+  });
+
+  if (Object.keys(updates).length > 0) {
+    await storage.update(updates).catch(error => console.error('Error updating broken tracks:', error));
+  }
+
+  return { ...result, items, totalCount: result.totalCount - (result.items.length - items.length) };
+};
+
+// Get the IDs of every broken video
+export const getBrokenVideoIds = async () => Object.keys((await getStorage().get(PATH)) || {});
+
+/**
+ * Get real-time updates on the broken tracks, newest first
+ * @param {Function} callback - Called with [{ videoId, title, reason, source, errorCode, reportedAt }]
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToBrokenTracks = (callback) => {
+  try {
+    return getStorage().subscribe(PATH, (broken) => {
+      callback(Object.values(broken || {}).sort((a, b) => b.reportedAt - a.reportedAt));
+    });
+  } catch (error) {
+    console.error('Error subscribing to broken tracks:', error);
+    return () => {}; // Return empty function if subscription fails
+  }
+};
+
+// Forget a broken track, so it goes back into the rotation with the next playlist refresh
+export const clearBrokenTrack = (videoId) => getStorage().set(`${PATH}/${videoId}`, null);
@@ -0,0 +1,63 @@
+import { excludeBrokenTracks, reportBrokenTrack, clearBrokenTrack, getBrokenVideoIds } from './brokenTrackService';
+import { setStorageAdapter } from './radioService';
+import { createMemoryAdapter } from './storageAdapters';
+import { TEST_NOW } from './firebaseService';
+import { makeTrack, videoIds } from './testFixtures';
+
+jest.mock('./firebaseService');
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+let storage;
+
+beforeEach(() => {
+  storage = createMemoryAdapter();
+  setStorageAdapter(storage);
+});
+
+describe('excludeBrokenTracks', () => {
+  test('records the tracks a fetch set aside', async () => {
+    const result = await excludeBrokenTracks({
+      items: [makeTrack('a')],
+      totalCount: 1,
+      unavailable: [{ videoId: 'gone', title: 'Deleted video', reason: 'deleted' }]
+    });
+
+    expect(videoIds(result.items)).toEqual(['a']);
+    expect(await storage.get('brokenTracks/gone')).toEqual({
+      videoId: 'gone',
+      title: 'Deleted video',
+      reason: 'deleted',
+      source: 'fetch',
+      reportedAt: TEST_NOW
+    });
+  });
+
+  test('leaves out tracks the player reported', async () => {
+    await reportBrokenTrack(makeTrack('b'), 150);
+
+    const result = await excludeBrokenTracks({ items: [makeTrack('a'), makeTrack('b')], totalCount: 2 });
+
+    expect(videoIds(result.items)).toEqual(['a']);
+    expect(result.totalCount).toBe(1);
+    expect((await storage.get('brokenTracks/b')).reason).toBe('notEmbeddable');
+  });
+
+  test('forgets fetch-time entries once the video is playable again', async () => {
+    await excludeBrokenTracks({ items: [], totalCount: 0, unavailable: [{ videoId: 'a', title: 'Private video', reason: 'private' }] });
+
+    const result = await excludeBrokenTracks({ items: [makeTrack('a')], totalCount: 1, unavailable: [] });
+
+    expect(videoIds(result.items)).toEqual(['a']);
+    expect(await getBrokenVideoIds()).toEqual([]);
+  });
+
+  test('puts a cleared player report back into the playlist', async () => {
+    await reportBrokenTrack(makeTrack('a'), 100);
+    await clearBrokenTrack('a');
+
+    const result = await excludeBrokenTracks({ items: [makeTrack('a')], totalCount: 1 });
+
+    expect(videoIds(result.items)).toEqual(['a']);
+  });
+});
@@ -0,0 +1,120 @@
+import { getStorage, clampCrossfadeSeconds, DEFAULT_CROSSFADE_SECONDS } from './radioService';
+import { parsePlaylistSources } from './youtubeService';
+
+/**
+ * Config Service - Station configuration edited at runtime from the admin console
+ *
+ * The settings live in the database under config/, so changing the playlists or the
+ * disclaimer doesn't need a rebuild:
+ *
+ *   config/playlists         - [{ id, weight }] for the main channel, see parsePlaylistSources
+ *   config/refreshMinutes    - How often open players check the playlists for changes
+ *   config/disclaimerText    - Shown before listening; blank lines separate paragraphs
+ *   config/crossfadeSeconds  - Track transition length, see radioService
+ *   config/theme             - One of THEMES
+ *
+ * Settings that aren't stored fall back to the defaults, which come from the environment
+ * (REACT_APP_PLAYLIST_ID) or the values below.
+ */
+
+export const THEMES = [
+  { id: 'classic', name: 'Classic' },
+  { id: 'ocean', name: 'Ocean' },
+  { id: 'sunset', name: 'Sunset' },
+  { id: 'forest', name: 'Forest' }
+];
+
+export const DEFAULT_REFRESH_MINUTES = 5;
+export const MIN_REFRESH_MINUTES = 1;
+export const MAX_REFRESH_MINUTES = 120;
+
+export const DEFAULT_DISCLAIMER_TEXT = [
+  'The playlist you are about to listen to is being created by students. ' +
+    'The website has no responsibility for the content of the songs that are being played.',
+  'We do not collect or share any information about who added these songs to the playlist.'
+].join('\n\n');
+
+const CONFIG_KEYS = ['playlists', 'refreshMinutes', 'disclaimerText', 'crossfadeSeconds', 'theme'];
+
+/**
+ * Get the configuration used for everything that isn't stored
+ * @returns {Object} - { playlists, refreshMinutes, disclaimerText, crossfadeSeconds, theme }
+ */
+export const getDefaultStationConfig = () => ({
+  playlists: parsePlaylistSources(process.env.REACT_APP_PLAYLIST_ID),
+  refreshMinutes: DEFAULT_REFRESH_MINUTES,
+  disclaimerText: DEFAULT_DISCLAIMER_TEXT,
+  crossfadeSeconds: DEFAULT_CROSSFADE_SECONDS,
+  theme: THEMES[0].id
+});
+
+/**
+ * Fill in defaults and keep every setting within its supported range
+ * @param {Object|null} stored - Config as stored (or edited)
+ * @returns {Object} - Complete station config
+ */
+export const normalizeStationConfig = (stored) => {
+  const defaults = getDefaultStationConfig();
+  const config = stored || {};
+
+  const playlists = parsePlaylistSources(config.playlists);
+  const refreshMinutes = Number(config.refreshMinutes);
+  const disclaimerText = typeof config.disclaimerText === 'string' ? config.disclaimerText.trim() : '';
+
+  return {
+    playlists: playlists.length > 0 ? playlists : defaults.playlists,
+    refreshMinutes: Number.isFinite(refreshMinutes) && config.refreshMinutes !== null && config.refreshMinutes !== undefined
+      ? Math.min(MAX_REFRESH_MINUTES, Math.max(MIN_REFRESH_MINUTES, Math.round(refreshMinutes)))
+      : defaults.refreshMinutes,
+    disclaimerText: disclaimerText || defaults.disclaimerText,
+    crossfadeSeconds: config.crossfadeSeconds !== null && config.crossfadeSeconds !== undefined
+      ? clampCrossfadeSeconds(config.crossfadeSeconds)
+      : defaults.crossfadeSeconds,
+    theme: THEMES.some(theme => theme.id === config.theme) ? config.theme : defaults.theme
+  };
+};
+
+// Get the current station config
+export const getStationConfig = async () => {
+  try {
+    return normalizeStationConfig(await getStorage().get('config'));
+  } catch (error) {
+    console.error('Error loading station config:', error);
+    return getDefaultStationConfig();
+  }
+};
+
+// Subscribe to the station config; called right away and on every change
+export const subscribeToStationConfig = (callback) => {
+  try {
+    return getStorage().subscribe('config', (stored) => {
+      callback(normalizeStationConfig(stored));
+    });
+  } catch (error) {
+    console.error('Error subscribing to station config:', error);
+    callback(getDefaultStationConfig());
+    return () => {}; // Return empty function if subscription fails
+  }
+};
+
+/**
+ * Save the station config for every client
+ * Other settings under config/ (like the skip vote share) are left alone.
+ * @param {Object} config - Settings to save; missing ones get their defaults
+ * @returns {Promise<Object>} - The config as saved
+ */
+export const saveStationConfig = async (config) => {
+  const value = normalizeStationConfig(config);
+  await getStorage().update(
+    Object.fromEntries(CONFIG_KEYS.map(key => [`config/${key}`, value[key]]))
+  );
+  return value;
+};
+
+// Remove the stored settings so the defaults apply again
+export const resetStationConfig = async () => {
+  await getStorage().update(
+    Object.fromEntries(CONFIG_KEYS.map(key => [`config/${key}`, null]))
+  );
+  return getDefaultStationConfig();
+};
@@ -0,0 +1,89 @@
+import {
+  getDefaultStationConfig,
+  normalizeStationConfig,
+  getStationConfig,
+  subscribeToStationConfig,
+  saveStationConfig,
+  resetStationConfig,
+  DEFAULT_DISCLAIMER_TEXT,
+  MAX_REFRESH_MINUTES
+} from './configService';
+import { setStorageAdapter, MAX_CROSSFADE_SECONDS } from './radioService';
+import { createMemoryAdapter } from './storageAdapters';
+
+jest.mock('./firebaseService');
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+const ENV_PLAYLIST_ID = process.env.REACT_APP_PLAYLIST_ID;
+
+let storage;
+
+beforeEach(() => {
+  process.env.REACT_APP_PLAYLIST_ID = 'PLenv';
+  storage = createMemoryAdapter();
+  setStorageAdapter(storage);
+});
+
+afterAll(() => {
+  process.env.REACT_APP_PLAYLIST_ID = ENV_PLAYLIST_ID;
+});
+
+describe('normalizeStationConfig', () => {
+  test('falls back to the environment and built-in defaults', () => {
+    expect(normalizeStationConfig(null)).toEqual({
+      playlists: [{ id: 'PLenv', weight: 1 }],
+      refreshMinutes: 5,
+      disclaimerText: DEFAULT_DISCLAIMER_TEXT,
+      crossfadeSeconds: 4,
+      theme: 'classic'
+    });
+  });
+
+  test('keeps settings within their ranges', () => {
+    const config = normalizeStationConfig({
+      playlists: [{ id: ' PLa ', weight: '2' }, { id: '', weight: 1 }],
+      refreshMinutes: '1000',
+      disclaimerText: '   ',
+      crossfadeSeconds: 30,
+      theme: 'neon'
+    });
+
+    expect(config.playlists).toEqual([{ id: 'PLa', weight: 2 }]);
+    expect(config.refreshMinutes).toBe(MAX_REFRESH_MINUTES);
+    expect(config.disclaimerText).toBe(DEFAULT_DISCLAIMER_TEXT);
+    expect(config.crossfadeSeconds).toBe(MAX_CROSSFADE_SECONDS);
+    expect(config.theme).toBe('classic');
+  });
+});
+
+describe('saveStationConfig', () => {
+  test('stores the config for every client', async () => {
+    const updates = [];
+    const unsubscribe = subscribeToStationConfig(config => updates.push(config));
+
+    await saveStationConfig({ ...getDefaultStationConfig(), playlists: 'PLa, PLb:3', theme: 'ocean' });
+    unsubscribe();
+
+    const expected = { playlists: [{ id: 'PLa', weight: 1 }, { id: 'PLb', weight: 3 }], theme: 'ocean' };
+    expect(await getStationConfig()).toMatchObject(expected);
+    expect(updates[updates.length - 1]).toMatchObject(expected);
+  });
+
+  test('leaves other settings under config alone', async () => {
+    await storage.set('config/skipVoteShare', 0.3);
+
+    await saveStationConfig({ refreshMinutes: 10 });
+
+    expect(await storage.get('config/skipVoteShare')).toBe(0.3);
+    expect(await storage.get('config/refreshMinutes')).toBe(10);
+  });
+
+  test('goes back to the defaults after a reset', async () => {
+    await saveStationConfig({ playlists: 'PLa', disclaimerText: 'Be nice' });
+
+    await resetStationConfig();
+
+    expect(await getStationConfig()).toEqual(getDefaultStationConfig());
+  });
+});
@@ -1,126 +1,155 @@
-import axios from 'axios';
-import { fetchPlaylistItems } from './youtubeService';
+import { fetchPlaylistItems, parsePlaylistSources } from './youtubeService';
+import { youtubeGet, getQuotaUsage, isQuotaBackoffActive, isQuotaExceededError } from './quotaService';
+import { getCachedPlaylist } from './playlistCacheService';
 import { checkFirebaseAccess } from './firebaseService';
 
 /**
  * Service to check various connectivity and API requirements
  */
 
+// The connectivity checks below share one lightweight API call, made at most once a
+// minute, so diagnostics cost a single quota unit
+const PROBE_CACHE_TIME = 60 * 1000;
+let probe = { apiKey: null, at: 0, promise: null };
+
+// Call the YouTube Data API once; resolves to { response } or { error }
+const probeYouTubeApi = (apiKey) => {
+  const now = Date.now();
+  if (probe.promise && probe.apiKey === apiKey && now - probe.at < PROBE_CACHE_TIME) {
+    return probe.promise;
+  }
+
+  const promise = youtubeGet('videos', {
+    part: 'id',
+    chart: 'mostPopular',
+    maxResults: 1,
+    key: apiKey
+  }, { timeout: 5000 })
+    .then(response => ({ response }))
+    .catch(error => ({ error }));
+
+  probe = { apiKey, at: now, promise };
+  return promise;
+};
+
+const BACKOFF_MESSAGE = 'Not checked while the YouTube API is paused after quotaExceeded';
+
 // Test if the service can connect to the internet using the YouTube API
 // This avoids CORS issues since the API supports cross-origin requests
 export const checkInternetConnection = async (apiKey) => {
-  try {
-    // Use the YouTube API instead of a direct domain check to avoid CORS issues
-    if (!apiKey) {
-      return { success: false, message: 'Cannot check internet connection without API key' };
-    }
-
-    // Try a lightweight call to the YouTube API
-    await axios.get('https://www.googleapis.com/youtube/v3/videos', {
-      params: {
-        part: 'id',
-        chart: 'mostPopular',
-        maxResults: 1,
-        key: apiKey
-      },
-      timeout: 5000
-    });
+  // Use the YouTube API instead of a direct domain check to avoid CORS issues
+  if (!apiKey) {
+    return { success: false, message: 'Cannot check internet connection without API key' };
+  }
 
+  const { error } = await probeYouTubeApi(apiKey);
+  if (!error) {
     return { success: true, message: 'Connected to the internet' };
-  } catch (error) {
-    console.error('Internet connection check failed:', error);
-    // Network error indicates no internet
-    if (error.code === 'ERR_NETWORK') {
-      return { success: false, message: 'No internet connection detected' };
-    }
-    // If we get any response, even an error one, internet is working
-    return { success: true, message: 'Internet connection available (detected via API response)' };
   }
+
+  console.error('Internet connection check failed:', error);
+  if (error.code === 'QUOTA_BACKOFF') {
+    return { success: true, message: BACKOFF_MESSAGE };
+  }
+  // Network error indicates no internet
+  if (error.code === 'ERR_NETWORK') {
+    return { success: false, message: 'No internet connection detected' };
+  }
+  // If we get any response, even an error one, internet is working
+  return { success: true, message: 'Internet connection available (detected via API response)' };
 };
 
 // Test if YouTube is accessible via the API
 export const checkYouTubeAccess = async (apiKey) => {
-  try {
-    if (!apiKey) {
-      return { success: false, message: 'Cannot check YouTube access without API key' };
-    }
-
-    // Use the YouTube Data API instead of direct website access
-    const result = await axios.get('https://www.googleapis.com/youtube/v3/videos', {
-      params: {
-        part: 'id',
-        chart: 'mostPopular',
-        maxResults: 1,
-        key: apiKey
-      },
-      timeout: 5000
-    });
+  if (!apiKey) {
+    return { success: false, message: 'Cannot check YouTube access without API key' };
+  }
 
+  const { response, error } = await probeYouTubeApi(apiKey);
+  if (response) {
     // Any valid response means YouTube services are accessible
-    if (result.status >= 200 && result.status < 300) {
+    if (response.status >= 200 && response.status < 300) {
       return { success: true, message: 'YouTube API is accessible' };
     }
+    return { success: false, message: `YouTube API returned status ${response.status}` };
+  }
 
-    return { success: false, message: `YouTube API returned status ${result.status}` };
-  } catch (error) {
-    console.error('YouTube access check failed:', error);
-    // If we got a 403, it might be an API key issue, not an access issue
-    if (error.response && error.response.status === 403) {
-      return { success: true, message: 'YouTube API is reachable (but API key may be invalid)' };
-    }
-    return { success: false, message: 'Unable to access YouTube API. It may be blocked or down.' };
+  console.error('YouTube access check failed:', error);
+  if (error.code === 'QUOTA_BACKOFF') {
+    return { success: true, message: BACKOFF_MESSAGE };
+  }
+  // If we got a 403, it might be an API key issue, not an access issue
+  if (error.response && error.response.status === 403) {
+    return { success: true, message: 'YouTube API is reachable (but API key may be invalid)' };
   }
+  return { success: false, message: 'Unable to access YouTube API. It may be blocked or down.' };
 };
 
 // Test if the YouTube API key works
 export const checkAPIKey = async (apiKey) => {
-  try {
-    if (!apiKey) {
-      return { success: false, message: 'No API key provided' };
-    }
-
-    // Make a simple API call that would fail with invalid key
-    const result = await axios.get('https://www.googleapis.com/youtube/v3/videos', {
-      params: {
-        part: 'snippet',
-        chart: 'mostPopular',
-        maxResults: 1,
-        key: apiKey
-      },
-      timeout: 5000
-    });
+  if (!apiKey) {
+    return { success: false, message: 'No API key provided' };
+  }
 
+  const { response, error } = await probeYouTubeApi(apiKey);
+  if (response) {
     // Check if we got a valid response
-    if (result.status >= 200 && result.status < 300) {
+    if (response.status >= 200 && response.status < 300) {
       return { success: true, message: 'API key is valid' };
     }
+    return { success: false, message: `API returned unexpected status: ${response.status}` };
+  }
 
-    return { success: false, message: `API returned unexpected status: ${result.status}` };
-  } catch (error) {
-    console.error('API key check failed:', error);
-    if (error.response && error.response.status === 403) {
-      return { success: false, message: 'API key is invalid or quota exceeded' };
-    }
-    return { success: false, message: 'Unable to validate API key' };
+  console.error('API key check failed:', error);
+  if (error.code === 'QUOTA_BACKOFF' || isQuotaExceededError(error)) {
+    return { success: false, message: 'YouTube API quota exceeded' };
   }
+  if (error.response && error.response.status === 403) {
+    return { success: false, message: 'API key is invalid' };
+  }
+  return { success: false, message: 'Unable to validate API key' };
 };
 
-// Test if the playlist exists and is accessible
+// Report how much YouTube API quota this client used today
+export const checkQuota = () => {
+  const usage = getQuotaUsage();
+  const calls = Object.entries(usage.calls).map(([endpoint, count]) => `${endpoint} ${count}`).join(', ');
+  const used = `${usage.units} units used by this client today${calls ? ` (${calls})` : ''}`;
+
+  if (isQuotaBackoffActive()) {
+    return {
+      success: false,
+      message: `Quota exceeded, YouTube API paused until ${new Date(usage.backoffUntil).toLocaleTimeString()}; ${used}`
+    };
+  }
+  return { success: true, message: used };
+};
+
+// Test if the playlists exist and are accessible
+// playlistId may list several playlists, see parsePlaylistSources
 export const checkPlaylistExists = async (apiKey, playlistId) => {
   try {
-    if (!apiKey || !playlistId) {
+    const sources = parsePlaylistSources(playlistId);
+    if (!apiKey || sources.length === 0) {
       return { success: false, message: 'API key or Playlist ID missing' };
     }
 
-    const items = await fetchPlaylistItems(apiKey, playlistId, 1);
-    if (items && items.length > 0) {
-      return { success: true, message: 'Playlist exists and contains videos' };
-    } else {
-      return { 
-        success: false, 
-        message: 'Playlist exists but contains no videos or is not accessible'
-      };
+    for (const source of sources) {
+      // The shared playlist cache answers without spending quota
+      const cached = await getCachedPlaylist(source.id);
+      const { items } = cached?.items?.length > 0 ? cached : await fetchPlaylistItems(apiKey, source.id, 1);
+      if (!items || items.length === 0) {
+        return { 
+          success: false, 
+          message: `Playlist ${source.id} exists but contains no videos or is not accessible`
+        };
+      }
     }
+
+    return {
+      success: true,
+      message: sources.length > 1 ? `All ${sources.length} playlists exist and contain videos` : 'Playlist exists and contains videos'
+    };
   } catch (error) {
     console.error('Playlist check failed:', error);
     if (error.response && error.response.status === 404) {
@@ -169,6 +198,7 @@ export const runAllDiagnostics = async (apiKey, playlistId) => {
     apiKey: await checkAPIKey(apiKey),
     playlist: await checkPlaylistExists(apiKey, playlistId),
     firebase: await checkFirebaseAccess(),
+    quota: checkQuota(),
     system: checkSystemCompatibility()
   };
 
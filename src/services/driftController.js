@@ -0,0 +1,95 @@
+/**
+ * Drift Controller - Keeps the local YouTube player on the shared timeline
+ *
+ * Buffering stalls and slow seeks make players fall behind (or jump ahead of)
+ * the position the timeline expects. The controller compares both positions on
+ * every tick, tells the caller when to seek and keeps drift statistics for logging.
+ */
+
+// Default drift in seconds before we seek back onto the timeline
+const DEFAULT_THRESHOLD = 1.0;
+
+// Default time in milliseconds to let a seek settle before measuring again
+const DEFAULT_COOLDOWN = 5000;
+
+// Number of recent samples kept for statistics
+const DEFAULT_WINDOW = 60;
+
+/**
+ * Create a drift controller
+ * @param {Object} options - Controller options
+ * @param {number} options.threshold - Drift in seconds that triggers a seek (default: 1)
+ * @param {number} options.cooldown - Milliseconds to wait after a seek before measuring again (default: 5000)
+ * @param {number} options.windowSize - Number of samples kept for statistics (default: 60)
+ * @returns {Object} - { measure, settle, getStats }
+ */
+export const createDriftController = ({
+  threshold = DEFAULT_THRESHOLD,
+  cooldown = DEFAULT_COOLDOWN,
+  windowSize = DEFAULT_WINDOW
+} = {}) => {
+  let samples = [];
+  let corrections = 0;
+  let settleUntil = 0;
+
+  /**
+   * Measure drift between the player and the timeline
+   * @param {number} expectedSeconds - Position the timeline expects
+   * @param {number} actualSeconds - Position reported by the player
+   * @param {number} now - Current timestamp (default: Date.now())
+   * @returns {Object} - { drift, shouldSeek } where drift is positive when the player is ahead
+   */
+  const measure = (expectedSeconds, actualSeconds, now = Date.now()) => {
+    if (!Number.isFinite(expectedSeconds) || !Number.isFinite(actualSeconds)) {
+      return { drift: null, shouldSeek: false };
+    }
+
+    // Give the last seek or track change time to settle before judging the player again
+    if (now < settleUntil) {
+      return { drift: null, shouldSeek: false };
+    }
+
+    const drift = actualSeconds - expectedSeconds;
+    samples.push(drift);
+    if (samples.length > windowSize) {
+      samples = samples.slice(-windowSize);
+    }
+
+    const shouldSeek = Math.abs(drift) > threshold;
+    if (shouldSeek) {
+      corrections += 1;
+      settleUntil = now + cooldown;
+    }
+
+    return { drift, shouldSeek };
+  };
+
+  /**
+   * Get drift statistics over the recent window
+   * @returns {Object} - { samples, mean, meanAbsolute, max, corrections }
+   */
+  const getStats = () => {
+    if (samples.length === 0) {
+      return { samples: 0, mean: 0, meanAbsolute: 0, max: 0, corrections };
+    }
+
+    const sum = samples.reduce((total, drift) => total + drift, 0);
+    const absoluteSum = samples.reduce((total, drift) => total + Math.abs(drift), 0);
+    const max = samples.reduce((largest, drift) => Math.max(largest, Math.abs(drift)), 0);
+
+    return {
+      samples: samples.length,
+      mean: sum / samples.length,
+      meanAbsolute: absoluteSum / samples.length,
+      max,
+      corrections
+    };
+  };
+
+  // Skip measurements for a while, e.g. while a new track loads
+  const settle = (now = Date.now()) => {
+    settleUntil = now + cooldown;
+  };
+
+  return { measure, settle, getStats };
+};
@@ -1,5 +1,9 @@
 import { initializeApp } from 'firebase/app';
-import { getDatabase, ref, onValue, set, increment, serverTimestamp, get } from 'firebase/database';
+import { getAuth, onIdTokenChanged } from 'firebase/auth';
+import { getDatabase, ref, onValue, onDisconnect, set, update, increment, serverTimestamp, get, runTransaction } from 'firebase/database';
+import * as syncServer from './syncServerService';
+import { getDayKey } from './analyticsService';
+import { createFirebaseAdapter, createSyncServerAdapter } from './storageAdapters';
 
 // Firebase configuration
 // Replace with your own Firebase config
@@ -15,53 +19,180 @@ const firebaseConfig = {
 
 // Initialize Firebase
 export const app = initializeApp(firebaseConfig);
-const database = getDatabase(app);
+
+// With REACT_APP_SYNC_BACKEND=websocket the functions below use the self-hosted sync
+// server instead of the Realtime Database, and Firebase is only used for signing in
+const useSyncServer = syncServer.SYNC_SERVER_ENABLED;
+const database = useSyncServer ? null : getDatabase(app);
 
 // Generate a unique ID for this session
 const sessionId = Date.now().toString(36) + Math.random().toString(36).substring(2);
 
+// ID of this open player, e.g. to tell which client holds a lock
+export const getSessionId = () => sessionId;
+
+// Offset between this device's clock and the Firebase server clock in milliseconds
+// Firebase estimates it when connecting and exposes it at .info/serverTimeOffset
+let serverTimeOffset = 0;
+
+// The sync server checks the Firebase sign-in itself, so it gets every new ID token
+if (useSyncServer) {
+  onIdTokenChanged(getAuth(app), async (user) => {
+    try {
+      syncServer.setAuthToken(user ? await user.getIdToken() : null);
+    } catch (error) {
+      console.error('Error getting sign-in token for sync server:', error);
+    }
+  });
+}
+
+if (!useSyncServer) {
+  try {
+    onValue(ref(database, '.info/serverTimeOffset'), (snapshot) => {
+      serverTimeOffset = snapshot.val() || 0;
+    });
+  } catch (error) {
+    console.error('Error subscribing to server time offset:', error);
+  }
+}
+
+/**
+ * Get the current time on the Firebase server clock
+ * Use this instead of Date.now() for anything shared between clients
+ * @returns {number} - Estimated server time in milliseconds
+ */
+export const getServerNow = () => (useSyncServer ? syncServer.getServerNow() : Date.now() + serverTimeOffset);
+
+/**
+ * Get the last known offset between the local clock and the server clock
+ * @returns {number} - Offset in milliseconds (positive when the local clock is behind)
+ */
+export const getServerTimeOffset = () => (useSyncServer ? syncServer.getServerTimeOffset() : serverTimeOffset);
+
+/**
+ * Get real-time updates on the server time offset
+ * @param {Function} callback - Function to call with the offset in milliseconds
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToServerTimeOffset = (callback) => {
+  if (useSyncServer) return syncServer.subscribeToServerTimeOffset(callback);
+
+  try {
+    return onValue(ref(database, '.info/serverTimeOffset'), (snapshot) => {
+      callback(snapshot.val() || 0);
+    });
+  } catch (error) {
+    console.error('Error subscribing to server time offset:', error);
+    return () => {}; // Return empty function if subscription fails
+  }
+};
+
+/**
+ * Listener presence
+ *
+ * Every open player has an entry under listeners/{sessionId} while it is connected.
+ * The entry and the stats/currentListeners counter are written together with
+ * increment(), and onDisconnect() makes the database undo both when the connection
+ * drops, so sleeping or crashed laptops leave the count without running any code.
+ * A heartbeat refreshes the entry's timestamp; cleanupInactiveListeners removes
+ * entries whose heartbeat stopped and corrects the counter. The session's start and
+ * last heartbeat are kept under analytics/sessions for the analytics page.
+ */
+
+// How often a connected listener refreshes its timestamp (in milliseconds)
+const HEARTBEAT_INTERVAL = 60 * 1000;
+
+// Entries without a heartbeat for this long are considered gone (in milliseconds)
+const INACTIVE_THRESHOLD = 3 * HEARTBEAT_INTERVAL;
+
+let unsubscribeConnected = null;
+let heartbeatInterval = null;
+
+// Whether this session is currently counted in stats/currentListeners
+let isCounted = false;
+
+// Analytics path of this session, set when it first joins
+let sessionAnalyticsPath = null;
+
+// Count this session while connected; called again after every reconnect
+const joinPresence = async () => {
+  const listenerPath = `listeners/${sessionId}`;
+  const isFirstJoin = !sessionAnalyticsPath;
+  if (isFirstJoin) {
+    sessionAnalyticsPath = `analytics/sessions/${getDayKey(getServerNow())}/${sessionId}`;
+  }
+
+  // Register the undo first, so a crash right after joining can't leave us counted
+  await onDisconnect(ref(database)).update({
+    [listenerPath]: null,
+    'stats/currentListeners': increment(-1),
+    [`${sessionAnalyticsPath}/lastSeen`]: serverTimestamp()
+  });
+
+  await update(ref(database), {
+    [listenerPath]: { timestamp: serverTimestamp(), active: true },
+    'stats/currentListeners': increment(1),
+    'stats/lastUpdated': serverTimestamp(),
+    [`${sessionAnalyticsPath}/lastSeen`]: serverTimestamp(),
+    ...(isFirstJoin ? { [`${sessionAnalyticsPath}/startedAt`]: serverTimestamp() } : {})
+  });
+
+  isCounted = true;
+};
+
+// Mark this session as still listening
+const sendHeartbeat = async () => {
+  // Only touch an existing entry: a null result leaves a removed one removed
+  const { snapshot } = await runTransaction(ref(database, `listeners/${sessionId}`), (listener) => (
+    listener && { ...listener, timestamp: getServerNow(), active: true }
+  ));
+
+  // Cleanup or a late onDisconnect from an earlier connection removed the entry and
+  // lowered the count with it, so this session has to be counted again
+  if (!snapshot.exists()) {
+    await joinPresence();
+    return;
+  }
+
+  await update(ref(database), { [`${sessionAnalyticsPath}/lastSeen`]: serverTimestamp() });
+};
+
 /**
  * Register a new listener when the app loads
- * This will increment the current listeners count and total listeners count
+ * Counts this session while it is connected to the database, across reconnects
+ * @returns {Promise<boolean>} - Whether presence tracking was started
  */
 export const registerListener = async () => {
-  try {
-    // Reference to the stats in the database
-    const statsRef = ref(database, 'stats');
+  if (useSyncServer) {
+    window.addEventListener('beforeunload', unregisterListener);
+    return syncServer.registerListener(sessionId);
+  }
 
-    // Get current stats
-    const snapshot = await get(statsRef);
-    const stats = snapshot.exists() ? snapshot.val() : { currentListeners: 0, totalListeners: 0 };
+  if (unsubscribeConnected) return true;
 
-    // Store the session ID to track this listener
-    await set(ref(database, `listeners/${sessionId}`), {
-      timestamp: serverTimestamp(),
-      active: true
-    });
+  try {
+    // .info/connected turns false when the connection drops; the database then runs
+    // the onDisconnect writes, so this session has to join again once it's back
+    unsubscribeConnected = onValue(ref(database, '.info/connected'), (snapshot) => {
+      if (snapshot.val() !== true) {
+        isCounted = false;
+        return;
+      }
 
-    // Count active listeners to ensure accuracy
-    const listenersRef = ref(database, 'listeners');
-    const listenersSnapshot = await get(listenersRef);
-    let activeListenersCount = 0;
-
-    if (listenersSnapshot.exists()) {
-      const listeners = listenersSnapshot.val();
-      // Count only active listeners
-      Object.values(listeners).forEach(listener => {
-        if (listener.active === true) {
-          activeListenersCount++;
-        }
+      joinPresence().catch(error => {
+        console.error('Error registering listener:', error);
       });
-    }
-
-    // Update stats with accurate count
-    await set(statsRef, {
-      currentListeners: activeListenersCount,
-      totalListeners: stats.totalListeners + 1,
-      lastUpdated: serverTimestamp()
     });
 
-    // Set up cleanup on window close/refresh
+    heartbeatInterval = setInterval(() => {
+      if (!isCounted) return;
+
+      sendHeartbeat().catch(error => {
+        console.error('Error sending listener heartbeat:', error);
+      });
+    }, HEARTBEAT_INTERVAL);
+
+    // Leave right away when the page closes instead of waiting for the server to notice
     window.addEventListener('beforeunload', unregisterListener);
 
     return true;
@@ -73,31 +204,31 @@ export const registerListener = async () => {
 
 /**
  * Unregister a listener when they leave
- * This will update the current listeners count based on active listeners
+ * Removes this session's entry and decrements the current listeners count
+ * @returns {Promise<boolean>} - Whether the request was successful
  */
 export const unregisterListener = async () => {
-  try {
-    // Mark this listener as inactive
-    await set(ref(database, `listeners/${sessionId}/active`), false);
-
-    // Count active listeners to ensure accuracy
-    const listenersRef = ref(database, 'listeners');
-    const listenersSnapshot = await get(listenersRef);
-    let activeListenersCount = 0;
-
-    if (listenersSnapshot.exists()) {
-      const listeners = listenersSnapshot.val();
-      // Count only active listeners
-      Object.values(listeners).forEach(listener => {
-        if (listener.active === true) {
-          activeListenersCount++;
-        }
-      });
-    }
+  if (useSyncServer) return syncServer.unregisterListener();
+
+  if (unsubscribeConnected) {
+    unsubscribeConnected();
+    unsubscribeConnected = null;
+  }
+  clearInterval(heartbeatInterval);
+  heartbeatInterval = null;
+  window.removeEventListener('beforeunload', unregisterListener);
+
+  if (!isCounted) return true;
+  isCounted = false;
 
-    // Update stats with accurate count
-    const statsRef = ref(database, 'stats/currentListeners');
-    await set(statsRef, activeListenersCount);
+  try {
+    await onDisconnect(ref(database)).cancel();
+    await update(ref(database), {
+      [`listeners/${sessionId}`]: null,
+      'stats/currentListeners': increment(-1),
+      'stats/lastUpdated': serverTimestamp(),
+      [`${sessionAnalyticsPath}/lastSeen`]: serverTimestamp()
+    });
 
     return true;
   } catch (error) {
@@ -112,6 +243,12 @@ export const unregisterListener = async () => {
  * @returns {Function} - Unsubscribe function
  */
 export const subscribeToStats = (callback) => {
+  if (useSyncServer) {
+    return syncServer.subscribe('stats', (stats) => {
+      callback(stats || { currentListeners: 0, totalListeners: 0 });
+    });
+  }
+
   const statsRef = ref(database, 'stats');
 
   // Listen for changes to the stats
@@ -128,6 +265,8 @@ export const subscribeToStats = (callback) => {
  * @returns {Promise<number|null>} - Ping time in milliseconds or null if error
  */
 export const measureFirebasePing = async () => {
+  if (useSyncServer) return syncServer.measureServerPing();
+
   try {
     const startTime = Date.now();
 
@@ -150,6 +289,13 @@ export const measureFirebasePing = async () => {
  * @returns {Promise<Object>} - Result of the check
  */
 export const checkFirebaseAccess = async () => {
+  if (useSyncServer) {
+    const ping = await syncServer.measureServerPing();
+    return ping !== null
+      ? { success: true, message: 'Sync server is accessible' }
+      : { success: false, message: 'Unable to reach the sync server. Is it running?' };
+  }
+
   try {
     // Try to access Firebase
     const pingRef = ref(database, 'ping');
@@ -165,50 +311,206 @@ export const checkFirebaseAccess = async () => {
 };
 
 /**
- * Clean up inactive listeners and update the current listeners count
- * This helps handle cases where the beforeunload event doesn't fire
+ * Clean up listeners whose heartbeat stopped
+ * Normally onDisconnect removes listeners; this catches what slipped through, such as
+ * entries from older versions of the app. The count is lowered by the number removed
+ * rather than set, so it can't overwrite increments from listeners joining meanwhile. A
+ * session removed while still open is counted again by its next heartbeat.
  * @returns {Promise<boolean>} - Whether the cleanup was successful
  */
 export const cleanupInactiveListeners = async () => {
+  // The sync server drops listeners itself when their connection closes
+  if (useSyncServer) return true;
+
   try {
-    // Get all listeners
-    const listenersRef = ref(database, 'listeners');
-    const listenersSnapshot = await get(listenersRef);
+    const listenersSnapshot = await get(ref(database, 'listeners'));
+    const listeners = listenersSnapshot.exists() ? listenersSnapshot.val() : {};
+    const now = getServerNow();
+
+    const staleIds = Object.keys(listeners).filter(id => {
+      const listener = listeners[id];
+      return listener.active !== true ||
+        typeof listener.timestamp !== 'number' ||
+        now - listener.timestamp > INACTIVE_THRESHOLD;
+    });
+    if (staleIds.length === 0) return true;
+
+    const updates = { 'stats/currentListeners': increment(-staleIds.length) };
+    staleIds.forEach(id => {
+      updates[`listeners/${id}`] = null;
+    });
+    await update(ref(database), updates);
+
+    return true;
+  } catch (error) {
+    console.error('Error cleaning up inactive listeners:', error);
+    return false;
+  }
+};
 
-    if (!listenersSnapshot.exists()) {
+/**
+ * Check whether a user is a radio admin
+ * Admins either carry an `admin: true` custom claim or are listed in the
+ * database as admins/{uid}: true
+ * @param {Object|null} user - Firebase auth user
+ * @returns {Promise<boolean>} - Whether the user is an admin
+ */
+export const isAdmin = async (user) => {
+  if (!user || user.isAnonymous) return false;
+
+  try {
+    const tokenResult = await user.getIdTokenResult();
+    if (tokenResult.claims.admin === true) {
       return true;
     }
 
-    const listeners = listenersSnapshot.val();
-    let activeListenersCount = 0;
-    const now = Date.now();
-    const INACTIVE_THRESHOLD = 5 * 60 * 1000; // 5 minutes in milliseconds
-
-    // Process each listener
-    for (const [id, listener] of Object.entries(listeners)) {
-      if (listener.active === true) {
-        // Check if the listener has a timestamp
-        if (listener.timestamp) {
-          const listenerTime = new Date(listener.timestamp).getTime();
-          // If the listener hasn't updated in the threshold time, mark as inactive
-          if (now - listenerTime > INACTIVE_THRESHOLD) {
-            await set(ref(database, `listeners/${id}/active`), false);
-          } else {
-            activeListenersCount++;
-          }
-        } else {
-          activeListenersCount++;
-        }
-      }
+    if (useSyncServer) {
+      const { value } = await syncServer.request({ type: 'get', path: `admins/${user.uid}` });
+      return value === true;
     }
 
-    // Update the current listeners count
-    const statsRef = ref(database, 'stats/currentListeners');
-    await set(statsRef, activeListenersCount);
+    const snapshot = await get(ref(database, `admins/${user.uid}`));
+    return snapshot.exists() && snapshot.val() === true;
+  } catch (error) {
+    console.error('Error checking admin role:', error);
+    return false;
+  }
+};
+
+/**
+ * Track reactions
+ *
+ * Every user (anonymous ones included) has one vote per track, stored as
+ * reactionVotes/{videoId}/{uid}: "like" | "dislike". The totals per track are kept
+ * separately under reactionTotals/{videoId}: { likes, dislikes, title }, so the top
+ * tracks can be listed without downloading every vote. Both are changed with
+ * transactions: the vote first, then the totals by the difference it made.
+ */
+
+// Reactions go through the storage adapter interface so they work on either backend
+let reactionStorage = null;
+const getReactionStorage = () => {
+  if (!reactionStorage) {
+    reactionStorage = useSyncServer
+      ? createSyncServerAdapter(syncServer.syncServerConnection)
+      : createFirebaseAdapter(database);
+  }
+  return reactionStorage;
+};
+
+const REACTIONS = ['like', 'dislike'];
+
+/**
+ * Set this user's reaction to a track
+ * @param {string} videoId - Track to react to
+ * @param {string} uid - Firebase auth uid of the user
+ * @param {string|null} reaction - "like", "dislike" or null to take the vote back
+ * @param {string} title - Track title, kept with the totals for the top tracks list
+ * @returns {Promise<boolean>} - Whether the reaction was saved
+ */
+export const setTrackReaction = async (videoId, uid, reaction, title = '') => {
+  if (!videoId || !uid) return false;
+  const vote = REACTIONS.includes(reaction) ? reaction : null;
+
+  try {
+    // The last run of the update sees the vote that was actually replaced
+    let previous = null;
+    await getReactionStorage().transaction(`reactionVotes/${videoId}/${uid}`, (current) => {
+      previous = current;
+      return vote;
+    });
+
+    if (previous === vote) return true;
+
+    await getReactionStorage().transaction(`reactionTotals/${videoId}`, (totals) => {
+      const next = { likes: 0, dislikes: 0, ...(totals || {}) };
+      if (previous) next[`${previous}s`] = Math.max(0, next[`${previous}s`] - 1);
+      if (vote) next[`${vote}s`] += 1;
+      if (title) next.title = title;
+      return next;
+    });
 
     return true;
   } catch (error) {
-    console.error('Error cleaning up inactive listeners:', error);
+    console.error('Error saving track reaction:', error);
     return false;
   }
 };
+
+/**
+ * Get real-time updates on a track's reaction counts and this user's vote
+ * @param {string} videoId - Track to follow
+ * @param {string|null} uid - Firebase auth uid of the user, if signed in
+ * @param {Function} callback - Function to call with { likes, dislikes, myReaction }
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToTrackReactions = (videoId, uid, callback) => {
+  let totals = null;
+  let myReaction = null;
+  const notify = () => callback({
+    likes: (totals && totals.likes) || 0,
+    dislikes: (totals && totals.dislikes) || 0,
+    myReaction
+  });
+
+  try {
+    const unsubscribeTotals = getReactionStorage().subscribe(`reactionTotals/${videoId}`, (value) => {
+      totals = value;
+      notify();
+    });
+    const unsubscribeVote = uid
+      ? getReactionStorage().subscribe(`reactionVotes/${videoId}/${uid}`, (value) => {
+        myReaction = value;
+        notify();
+      })
+      : () => {};
+
+    return () => {
+      unsubscribeTotals();
+      unsubscribeVote();
+    };
+  } catch (error) {
+    console.error('Error subscribing to track reactions:', error);
+    return () => {}; // Return empty function if subscription fails
+  }
+};
+
+/**
+ * Get the reaction totals of all tracks
+ * @returns {Promise<Array>} - [{ videoId, title, likes, dislikes }]
+ */
+export const getReactionTotals = async () => {
+  const totals = await getReactionStorage().get('reactionTotals');
+  return Object.entries(totals || {}).map(([videoId, entry]) => ({
+    videoId,
+    title: entry.title || videoId,
+    likes: entry.likes || 0,
+    dislikes: entry.dislikes || 0
+  }));
+};
+
+/**
+ * Get the best liked tracks
+ * @param {number} limit - Maximum number of tracks (default: 10)
+ * @returns {Promise<Array>} - Tracks with more likes than dislikes, best first
+ */
+export const getTopTracks = async (limit = 10) => {
+  const totals = await getReactionTotals();
+  return totals
+    .filter(track => track.likes > track.dislikes)
+    .sort((a, b) => (b.likes - b.dislikes) - (a.likes - a.dislikes) || b.likes - a.likes)
+    .slice(0, limit);
+};
+
+/**
+ * Get the tracks students most want removed
+ * @param {number} limit - Maximum number of tracks (default: 10)
+ * @returns {Promise<Array>} - Tracks with dislikes, most disliked first
+ */
+export const getMostDislikedTracks = async (limit = 10) => {
+  const totals = await getReactionTotals();
+  return totals
+    .filter(track => track.dislikes > 0)
+    .sort((a, b) => b.dislikes - a.dislikes || a.likes - b.likes)
+    .slice(0, limit);
+};
@@ -0,0 +1,126 @@
+import { getServerNow, getSessionId } from './firebaseService';
+import { getStorage, channelPath, DEFAULT_CHANNEL_ID } from './radioService';
+
+/**
+ * Leader Service - One client per channel runs the station maintenance
+ *
+ * Playlist refreshes, the played-tracks check and reshuffles and the inactive listener
+ * cleanup only need to run once, not in every open tab. The client holding the lease at
+ * leader ({ owner, since, until } per channel) is the leader and runs them. It renews the
+ * lease every RENEW_INTERVAL; when it goes away, the lease runs out after LEASE_DURATION
+ * and the next client to try takes over.
+ */
+
+export const LEASE_DURATION = 30 * 1000;
+export const RENEW_INTERVAL = 10 * 1000;
+
+// Until when this client's lease runs, per channel (0 when it doesn't lead)
+// A background tab whose renewals stall stops counting itself as leader once it runs out
+const leaseUntil = {};
+
+/**
+ * Take or renew the lease for a channel
+ * @param {string} channelId - Channel to lead
+ * @returns {Promise<boolean>} - Whether this client is the leader now
+ */
+export const tryAcquireLeadership = async (channelId = DEFAULT_CHANNEL_ID) => {
+  const owner = getSessionId();
+  const now = getServerNow();
+
+  try {
+    const result = await getStorage().transaction(channelPath(channelId, 'leader'), (current) => {
+      if (current && current.owner !== owner && current.until > now) return; // Someone else leads
+      return {
+        owner,
+        since: current && current.owner === owner ? current.since : now,
+        until: now + LEASE_DURATION
+      };
+    });
+    leaseUntil[channelId] = result.committed ? result.value.until : 0;
+  } catch (error) {
+    console.error('Error renewing leader lease:', error);
+    leaseUntil[channelId] = 0;
+  }
+
+  return isLeader(channelId);
+};
+
+/**
+ * Give up the lease, so another client can take over right away
+ * @param {string} channelId - Channel to stop leading
+ */
+export const releaseLeadership = async (channelId = DEFAULT_CHANNEL_ID) => {
+  if (!leaseUntil[channelId]) return;
+  leaseUntil[channelId] = 0;
+
+  const owner = getSessionId();
+  try {
+    await getStorage().transaction(channelPath(channelId, 'leader'), current => (
+      current && current.owner === owner ? null : current
+    ));
+  } catch (error) {
+    console.error('Error releasing leader lease:', error);
+  }
+};
+
+/**
+ * Whether this client leads a channel (or any channel) right now
+ * @param {string|null} channelId - Channel to check, or null for any channel
+ * @returns {boolean}
+ */
+export const isLeader = (channelId = null) => {
+  const now = getServerNow();
+  if (channelId === null) return Object.values(leaseUntil).some(until => until > now);
+  return (leaseUntil[channelId] || 0) > now;
+};
+
+/**
+ * Take part in the leader election for a channel until stopped
+ * @param {string} channelId - Channel to lead
+ * @param {Function} onChange - Called with true/false whenever this client's leadership changes
+ * @returns {Function} - Stops renewing and releases the lease
+ */
+export const startLeaderElection = (channelId = DEFAULT_CHANNEL_ID, onChange = () => {}) => {
+  let stopped = false;
+  let wasLeader = false;
+
+  const renew = async () => {
+    const leads = await tryAcquireLeadership(channelId);
+    if (stopped) return;
+    if (leads !== wasLeader) {
+      wasLeader = leads;
+      onChange(leads);
+    }
+  };
+
+  renew();
+  const interval = setInterval(renew, RENEW_INTERVAL);
+
+  // Hand over quickly when the tab closes; the lease runs out anyway if this doesn't finish
+  const handlePageHide = () => releaseLeadership(channelId);
+  window.addEventListener('pagehide', handlePageHide);
+
+  return () => {
+    stopped = true;
+    clearInterval(interval);
+    window.removeEventListener('pagehide', handlePageHide);
+    releaseLeadership(channelId);
+  };
+};
+
+/**
+ * Get real-time updates on who leads a channel
+ * @param {Function} callback - Called with { owner, since, until, isMe } or null without a leader
+ * @param {string} channelId - Channel to follow
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToLeader = (callback, channelId = DEFAULT_CHANNEL_ID) => {
+  try {
+    return getStorage().subscribe(channelPath(channelId, 'leader'), (lease) => {
+      callback(lease ? { ...lease, isMe: lease.owner === getSessionId() } : null);
+    });
+  } catch (error) {
+    console.error('Error subscribing to leader lease:', error);
+    return () => {}; // Return empty function if subscription fails
+  }
+};
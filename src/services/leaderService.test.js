@@ -0,0 +1,125 @@
+import {
+  tryAcquireLeadership,
+  releaseLeadership,
+  isLeader,
+  subscribeToLeader,
+  LEASE_DURATION
+} from './leaderService';
+import { setStorageAdapter, channelPath } from './radioService';
+import { createMemoryAdapter } from './storageAdapters';
+import { setServerNow, TEST_NOW } from './firebaseService';
+
+jest.mock('./firebaseService');
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+const START = TEST_NOW;
+
+let storage;
+
+// Another tab holds the lease, written straight to storage so this module doesn't remember it
+const leaseTakenBy = (owner, since = START) =>
+  storage.set(channelPath('main', 'leader'), { owner, since, until: since + LEASE_DURATION });
+
+beforeEach(async () => {
+  // Drop any lease this module still remembers from the previous test
+  await releaseLeadership('main');
+  await releaseLeadership('other');
+
+  setServerNow(START);
+  storage = createMemoryAdapter();
+  setStorageAdapter(storage);
+});
+
+describe('tryAcquireLeadership', () => {
+  test('takes a free lease', async () => {
+    expect(await tryAcquireLeadership('main')).toBe(true);
+    expect(isLeader('main')).toBe(true);
+    expect(await storage.get(channelPath('main', 'leader'))).toEqual({
+      owner: 'this-client',
+      since: START,
+      until: START + LEASE_DURATION
+    });
+  });
+
+  test('renewing extends the lease but keeps since', async () => {
+    await tryAcquireLeadership('main');
+    setServerNow(START + 10000);
+    await tryAcquireLeadership('main');
+
+    const lease = await storage.get(channelPath('main', 'leader'));
+    expect(lease.since).toBe(START);
+    expect(lease.until).toBe(START + 10000 + LEASE_DURATION);
+  });
+
+  test('another client cannot take a running lease', async () => {
+    await leaseTakenBy('client-b');
+
+    setServerNow(START + LEASE_DURATION - 1);
+    expect(await tryAcquireLeadership('main')).toBe(false);
+    expect((await storage.get(channelPath('main', 'leader'))).owner).toBe('client-b');
+  });
+
+  test('another client takes over once the lease expires', async () => {
+    await leaseTakenBy('client-b');
+
+    setServerNow(START + LEASE_DURATION + 1);
+    expect(await tryAcquireLeadership('main')).toBe(true);
+    expect(await storage.get(channelPath('main', 'leader'))).toEqual({
+      owner: 'this-client',
+      since: START + LEASE_DURATION + 1,
+      until: START + 2 * LEASE_DURATION + 1
+    });
+  });
+
+  test('leases are per channel', async () => {
+    await leaseTakenBy('client-b');
+
+    expect(await tryAcquireLeadership('other')).toBe(true);
+    expect(isLeader('main')).toBe(false);
+    expect(isLeader('other')).toBe(true);
+    expect(isLeader()).toBe(true);
+  });
+});
+
+describe('isLeader', () => {
+  test('stops counting once the lease ran out without renewal', async () => {
+    await tryAcquireLeadership('main');
+    setServerNow(START + LEASE_DURATION);
+    expect(isLeader('main')).toBe(false);
+    expect(isLeader()).toBe(false);
+  });
+});
+
+describe('releaseLeadership', () => {
+  test('frees the lease for the next client right away', async () => {
+    await tryAcquireLeadership('main');
+    await releaseLeadership('main');
+
+    expect(isLeader('main')).toBe(false);
+    expect(await storage.get(channelPath('main', 'leader'))).toBeNull();
+  });
+
+  test('leaves another client\'s lease alone', async () => {
+    await leaseTakenBy('client-b');
+
+    await tryAcquireLeadership('main');
+    await releaseLeadership('main');
+    expect((await storage.get(channelPath('main', 'leader'))).owner).toBe('client-b');
+  });
+});
+
+describe('subscribeToLeader', () => {
+  test('reports the leader and whether it is this client', async () => {
+    const callback = jest.fn();
+    subscribeToLeader(callback, 'main');
+
+    await leaseTakenBy('client-b');
+    expect(callback).toHaveBeenLastCalledWith(expect.objectContaining({ owner: 'client-b', isMe: false }));
+
+    await tryAcquireLeadership('main'); // Still running, nothing changes
+    setServerNow(START + LEASE_DURATION);
+    await tryAcquireLeadership('main');
+    expect(callback).toHaveBeenLastCalledWith(expect.objectContaining({ owner: 'this-client', isMe: true }));
+  });
+});
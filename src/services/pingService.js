@@ -0,0 +1,97 @@
+import { SYNC_SERVER_ENABLED, measureServerPing as measureSyncServerPing } from './syncServerService';
+
+/**
+ * Ping Service - Round trip measurements for the connection status panel
+ *
+ * Keeps a rolling window per target so IT can tell whether stutters come from the
+ * network: a high minimum means a slow link, a high jitter means an unstable one.
+ */
+
+// Number of samples kept per target
+export const PING_WINDOW = 20;
+
+// Give up on a single measurement after this long (in milliseconds)
+const PING_TIMEOUT = 10000;
+
+// Time a fetch, resolving to the round trip in milliseconds or null if it failed
+const timeFetch = async (url, options = {}) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), PING_TIMEOUT);
+
+  try {
+    const startTime = performance.now();
+    await fetch(url, { cache: 'no-store', signal: controller.signal, ...options });
+    return Math.round(performance.now() - startTime);
+  } catch (error) {
+    console.error(`Error measuring ping to ${url}:`, error);
+    return null;
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+/**
+ * Measure the round trip to YouTube
+ * Uses YouTube's empty 204 endpoint, which costs no API quota. The response is opaque
+ * (no CORS), but its timing is still the network round trip to YouTube.
+ * @returns {Promise<number|null>} - Ping time in milliseconds or null if error
+ */
+export const measureYouTubePing = () =>
+  timeFetch('https://www.youtube.com/generate_204', { mode: 'no-cors' });
+
+/**
+ * Measure the round trip to the server the station syncs with
+ * That's the sync server with REACT_APP_SYNC_BACKEND=websocket, otherwise the web
+ * server the app was loaded from
+ * @returns {Promise<number|null>} - Ping time in milliseconds or null if error
+ */
+export const measureServerPing = () => {
+  if (SYNC_SERVER_ENABLED) {
+    return measureSyncServerPing();
+  }
+  return timeFetch(`${process.env.PUBLIC_URL || ''}/manifest.json`, { method: 'HEAD' });
+};
+
+/**
+ * Rolling ping statistics for one target
+ * @param {number} windowSize - Number of samples to keep (default: PING_WINDOW)
+ * @returns {Object} - { add(ping), getStats() }
+ */
+export const createPingStats = (windowSize = PING_WINDOW) => {
+  // Measurements, oldest first; null for failed ones
+  let samples = [];
+
+  const add = (ping) => {
+    samples = [...samples, ping === null || ping === undefined ? null : ping].slice(-windowSize);
+  };
+
+  /**
+   * @returns {Object} - { last, min, avg, max, jitter, lost, history }; values are in
+   *   milliseconds and null until a measurement succeeded. Jitter is the mean difference
+   *   between consecutive successful measurements.
+   */
+  const getStats = () => {
+    const values = samples.filter(sample => sample !== null);
+    const last = samples.length > 0 ? samples[samples.length - 1] : null;
+
+    if (values.length === 0) {
+      return { last, min: null, avg: null, max: null, jitter: null, lost: samples.length, history: samples };
+    }
+
+    const differences = values.slice(1).map((value, i) => Math.abs(value - values[i]));
+
+    return {
+      last,
+      min: Math.min(...values),
+      avg: Math.round(values.reduce((sum, value) => sum + value, 0) / values.length),
+      max: Math.max(...values),
+      jitter: differences.length > 0
+        ? Math.round(differences.reduce((sum, value) => sum + value, 0) / differences.length)
+        : 0,
+      lost: samples.length - values.length,
+      history: samples
+    };
+  };
+
+  return { add, getStats };
+};
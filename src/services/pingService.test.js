@@ -0,0 +1,38 @@
+import { createPingStats } from './pingService';
+
+describe('createPingStats', () => {
+  test('reports min, average, max and jitter over the window', () => {
+    const stats = createPingStats(5);
+
+    [40, 60, 50, 70].forEach(ping => stats.add(ping));
+
+    expect(stats.getStats()).toEqual({
+      last: 70, min: 40, avg: 55, max: 70, jitter: 17, lost: 0, history: [40, 60, 50, 70]
+    });
+  });
+
+  test('keeps only the most recent samples', () => {
+    const stats = createPingStats(3);
+
+    [500, 10, 20, 30].forEach(ping => stats.add(ping));
+
+    expect(stats.getStats().max).toBe(30);
+    expect(stats.getStats().history).toEqual([10, 20, 30]);
+  });
+
+  test('counts failed measurements as lost without skewing the numbers', () => {
+    const stats = createPingStats(5);
+
+    [20, null, 30, null].forEach(ping => stats.add(ping));
+
+    expect(stats.getStats()).toMatchObject({ last: null, min: 20, avg: 25, jitter: 10, lost: 2 });
+  });
+
+  test('has no numbers before the first answer', () => {
+    const stats = createPingStats();
+
+    stats.add(null);
+
+    expect(stats.getStats()).toMatchObject({ min: null, avg: null, jitter: null, lost: 1 });
+  });
+});
@@ -0,0 +1,125 @@
+import { getServerNow } from './firebaseService';
+import { getStorage, channelPath, DEFAULT_CHANNEL_ID } from './radioService';
+import { getDayKey } from './analyticsService';
+
+/**
+ * Play History Service - Append-only log of every track the station played
+ *
+ * Entries live under playHistory/{day}/{startedAt}_{videoId} (per channel, see
+ * channelPath), bucketed by local day so the "recently played" panel only reads
+ * today. The key comes from the shared timeline, so every client that sees the same
+ * track change writes the same key and only the first write is kept.
+ */
+
+// How many days the "recently played" panel looks back
+const RECENT_DAYS = 2;
+
+// Path of the log for one day
+const historyPath = (day, channelId) => `${channelPath(channelId, 'playHistory')}/${day}`;
+
+// Turn a day's log into entries, newest first
+const toEntries = (log) => Object.values(log || {})
+  .filter(entry => entry && typeof entry.startedAt === 'number')
+  .sort((a, b) => b.startedAt - a.startedAt);
+
+/**
+ * Log the track that just started
+ * @param {Object} trackInfo - Current track info from getCurrentTrack
+ * @param {string} channelId - Channel the track plays on
+ * @returns {Promise<boolean>} - Whether this call added the entry (false if it was already logged)
+ */
+export const recordTrackPlay = async (trackInfo, channelId = DEFAULT_CHANNEL_ID) => {
+  const videoId = trackInfo?.track?.snippet?.resourceId?.videoId;
+  if (!videoId || typeof trackInfo.startedAt !== 'number') return false;
+
+  const startedAt = Math.round(trackInfo.startedAt);
+  const path = `${historyPath(getDayKey(startedAt), channelId)}/${startedAt}_${videoId}`;
+
+  try {
+    const listeners = await getStorage().get('stats/currentListeners');
+
+    const result = await getStorage().transaction(path, existing => {
+      if (existing !== null) return undefined; // Another client logged it first
+
+      return {
+        videoId,
+        title: trackInfo.track.snippet.title || '',
+        channelTitle: trackInfo.track.snippet.videoOwnerChannelTitle || '',
+        startedAt,
+        listeners: listeners || 0,
+        ...(trackInfo.programId ? { programId: trackInfo.programId } : {}),
+        ...(trackInfo.track.request ? { requestedBy: trackInfo.track.request.requesterName || '' } : {})
+      };
+    });
+
+    return result.committed;
+  } catch (error) {
+    console.error('Error recording track play:', error);
+    return false;
+  }
+};
+
+/**
+ * Get real-time updates on the most recently played tracks
+ * @param {Function} callback - Function to call with entries, newest first
+ * @param {number} limit - Maximum number of entries (default: 20)
+ * @param {string} channelId - Channel to follow
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToRecentlyPlayed = (callback, limit = 20, channelId = DEFAULT_CHANNEL_ID) => {
+  // Follow today and the days before it, so the list isn't empty just after midnight
+  const today = new Date(getServerNow());
+  const days = Array.from({ length: RECENT_DAYS }, (_, i) =>
+    getDayKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - i).getTime())
+  );
+
+  const logs = {};
+  const unsubscribes = days.map(day => getStorage().subscribe(historyPath(day, channelId), (log) => {
+    logs[day] = log;
+    callback(days.flatMap(key => toEntries(logs[key])).slice(0, limit));
+  }));
+
+  return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+};
+
+/**
+ * Get the log for a range of days
+ * @param {number} days - Number of days including today
+ * @param {string} channelId - Channel to read
+ * @returns {Promise<Array>} - Entries, oldest first
+ */
+export const getPlayHistory = async (days, channelId = DEFAULT_CHANNEL_ID) => {
+  const today = new Date(getServerNow());
+  const dayKeys = Array.from({ length: days }, (_, i) =>
+    getDayKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - (days - 1 - i)).getTime())
+  );
+
+  const logs = await Promise.all(dayKeys.map(day => getStorage().get(historyPath(day, channelId))));
+  return logs.flatMap(log => toEntries(log).reverse());
+};
+
+// Quote a CSV field when needed
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Turn play history entries into CSV
+ * @param {Array} entries - Entries from getPlayHistory
+ * @returns {string} - CSV with a header row; times are ISO 8601 in UTC
+ */
+export const playHistoryToCsv = (entries) => {
+  const header = ['Started At', 'Video ID', 'Title', 'Channel', 'Listeners', 'Program', 'Requested By'];
+  const rows = entries.map(entry => [
+    new Date(entry.startedAt).toISOString(),
+    entry.videoId,
+    entry.title,
+    entry.channelTitle,
+    entry.listeners,
+    entry.programId,
+    entry.requestedBy
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n');
+};
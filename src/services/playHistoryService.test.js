@@ -0,0 +1,74 @@
+import { recordTrackPlay, getPlayHistory, playHistoryToCsv } from './playHistoryService';
+import { setStorageAdapter } from './radioService';
+import { createMemoryAdapter } from './storageAdapters';
+import { setServerNow } from './firebaseService';
+
+jest.mock('./firebaseService');
+
+// Local time, since the log is bucketed by the school's local date
+const at = (day, hours, minutes = 0) => new Date(2024, 0, day, hours, minutes).getTime();
+
+const makeTrackInfo = (videoId, startedAt, extra = {}) => ({
+  track: { snippet: { title: `Track ${videoId}`, videoOwnerChannelTitle: 'Artist', resourceId: { videoId } }, ...extra },
+  startedAt
+});
+
+let storage;
+
+beforeEach(() => {
+  storage = createMemoryAdapter({ stats: { currentListeners: 12 } });
+  setStorageAdapter(storage);
+  setServerNow(at(8, 12));
+});
+
+describe('recordTrackPlay', () => {
+  test('logs a track change once when many clients report it', async () => {
+    const results = await Promise.all(Array.from({ length: 10 }, () => recordTrackPlay(makeTrackInfo('abc', at(8, 11, 58)))));
+
+    const log = await storage.get('playHistory/2024-01-08');
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(Object.values(log)).toEqual([{
+      videoId: 'abc', title: 'Track abc', channelTitle: 'Artist', startedAt: at(8, 11, 58), listeners: 12
+    }]);
+  });
+
+  test('logs each play of the same track separately', async () => {
+    await recordTrackPlay(makeTrackInfo('abc', at(8, 9)));
+    await recordTrackPlay(makeTrackInfo('abc', at(8, 11)));
+
+    expect(Object.keys(await storage.get('playHistory/2024-01-08'))).toHaveLength(2);
+  });
+
+  test('keeps each channel in its own log', async () => {
+    await recordTrackPlay(makeTrackInfo('abc', at(8, 11)), 'jazz');
+
+    expect(await storage.get('playHistory')).toBeNull();
+    expect(await storage.get('channels/jazz/playHistory/2024-01-08')).not.toBeNull();
+  });
+});
+
+describe('getPlayHistory', () => {
+  test('returns entries across days, oldest first', async () => {
+    await recordTrackPlay(makeTrackInfo('late', at(8, 11)));
+    await recordTrackPlay(makeTrackInfo('early', at(8, 9)));
+    await recordTrackPlay(makeTrackInfo('yesterday', at(7, 15)));
+    await recordTrackPlay(makeTrackInfo('too-old', at(5, 15)));
+
+    const entries = await getPlayHistory(2);
+
+    expect(entries.map(entry => entry.videoId)).toEqual(['yesterday', 'early', 'late']);
+  });
+});
+
+describe('playHistoryToCsv', () => {
+  test('quotes fields that need it', () => {
+    const csv = playHistoryToCsv([
+      { startedAt: Date.UTC(2024, 0, 8, 9, 0), videoId: 'abc', title: 'Hello, "World"', channelTitle: 'Artist', listeners: 3 }
+    ]);
+
+    expect(csv.split('\r\n')).toEqual([
+      'Started At,Video ID,Title,Channel,Listeners,Program,Requested By',
+      '2024-01-08T09:00:00.000Z,abc,"Hello, ""World""",Artist,3,,'
+    ]);
+  });
+});
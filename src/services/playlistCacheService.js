@@ -0,0 +1,139 @@
+import { getServerNow, getSessionId } from './firebaseService';
+import { getStorage } from './radioService';
+import { fetchPlaylistItems, fetchPlaylistSources, PAGE_SIZE } from './youtubeService';
+import { excludeBrokenTracks } from './brokenTrackService';
+
+/**
+ * Playlist Cache Service - One shared copy of the YouTube playlists in the database
+ *
+ * Players read playlists from youtubeCache/playlists/{playlistId}:
+ * { items, totalCount, etag, unavailable, fetchedAt, fetchedBy }. Only when that copy is older than
+ * maxAge does a client go to YouTube, and only the one that wins the fetch lock at
+ * youtubeCache/locks/{playlistId} ({ owner, until }); everyone else keeps using the copy,
+ * or waits a moment for the first one. The fetch sends the stored ETag and reuses the
+ * known video details, so an unchanged playlist costs as little quota as possible.
+ * Broken tracks (see brokenTrackService) are left out of what callers get.
+ */
+
+// Refetch a playlist once the shared copy is older than this (in milliseconds)
+export const PLAYLIST_CACHE_MAX_AGE = 5 * 60 * 1000;
+
+// How long a fetch lock holds before another client may take over
+const FETCH_LOCK_TIME = 60 * 1000;
+
+// How long a client without any copy waits for another client's fetch
+const WAIT_FOR_FETCH = 20 * 1000;
+const WAIT_STEP = 1000;
+
+const cachePath = (playlistId) => `youtubeCache/playlists/${playlistId}`;
+const lockPath = (playlistId) => `youtubeCache/locks/${playlistId}`;
+
+// Storage drops empty arrays, so an empty playlist comes back without items
+const toResult = (entry) => ({
+  items: entry.items || [],
+  totalCount: entry.totalCount || 0,
+  unavailable: entry.unavailable || []
+});
+
+// Wait until another client stored a copy fetched after `since`
+const waitForFetch = async (playlistId, since) => {
+  const deadline = Date.now() + WAIT_FOR_FETCH;
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, WAIT_STEP));
+    const entry = await getStorage().get(cachePath(playlistId));
+    if (entry && entry.fetchedAt >= since) return entry;
+  }
+  return null;
+};
+
+/**
+ * Get the shared copy of a playlist as stored, without calling YouTube
+ * @param {string} playlistId - YouTube playlist ID
+ * @returns {Promise<Object|null>} - { items, totalCount, etag, fetchedAt, fetchedBy } or null
+ */
+export const getCachedPlaylist = (playlistId) => getStorage().get(cachePath(playlistId));
+
+/**
+ * Get a playlist through the shared cache, fetching it from YouTube when the copy is stale
+ * @param {string} apiKey - YouTube Data API key
+ * @param {string} playlistId - YouTube playlist ID
+ * @param {number} maxAge - Oldest copy to use in milliseconds (0 always refetches)
+ * @returns {Promise<{items: Array, totalCount: number, unavailable: Array}>} - Same as
+ * fetchPlaylistItems, without broken tracks
+ */
+export const getCachedPlaylistItems = async (apiKey, playlistId, maxAge = PLAYLIST_CACHE_MAX_AGE) =>
+  excludeBrokenTracks(await loadPlaylist(apiKey, playlistId, maxAge));
+
+// Get the shared copy, fetching it from YouTube when it is stale
+const loadPlaylist = async (apiKey, playlistId, maxAge) => {
+  const storage = getStorage();
+  const cached = await storage.get(cachePath(playlistId));
+  const now = getServerNow();
+
+  if (cached && now - cached.fetchedAt < maxAge) {
+    return toResult(cached);
+  }
+
+  // Elect the client that fetches: the first one to take the lock, or whoever finds it expired
+  const owner = getSessionId();
+  const lock = await storage.transaction(lockPath(playlistId), (current) => {
+    if (current && current.owner !== owner && current.until > now) return; // Someone else is fetching
+    return { owner, until: now + FETCH_LOCK_TIME };
+  });
+
+  if (!lock.committed) {
+    if (cached) return toResult(cached);
+
+    const fetched = await waitForFetch(playlistId, now);
+    if (fetched) return toResult(fetched);
+    // The other client seems stuck; fetch without waiting any longer
+  }
+
+  try {
+    // The ETag covers the first page only, so it only tells about playlists that fit on it
+    const etag = cached && cached.etag && cached.totalCount <= PAGE_SIZE ? cached.etag : undefined;
+    const knownDetails = {};
+    (cached?.items || []).forEach(item => {
+      if (item.contentDetails?.duration) {
+        knownDetails[item.snippet.resourceId.videoId] = item.contentDetails;
+      }
+    });
+
+    const result = await fetchPlaylistItems(apiKey, playlistId, Infinity, { etag, knownDetails });
+    const entry = result.notModified
+      ? { ...cached, fetchedAt: getServerNow(), fetchedBy: owner }
+      : {
+          items: result.items,
+          totalCount: result.totalCount,
+          etag: result.etag || null,
+          unavailable: result.unavailable || [],
+          fetchedAt: getServerNow(),
+          fetchedBy: owner
+        };
+
+    await storage.set(cachePath(playlistId), entry);
+    return toResult(entry);
+  } catch (error) {
+    // A stale playlist beats no music, e.g. while backing off after quotaExceeded
+    if (cached) {
+      console.warn(`Could not refresh playlist ${playlistId}, using the copy from ${new Date(cached.fetchedAt).toLocaleTimeString()}:`, error.message);
+      return toResult(cached);
+    }
+    throw error;
+  } finally {
+    if (lock.committed) {
+      await storage.transaction(lockPath(playlistId), current => (current && current.owner === owner ? null : current))
+        .catch(error => console.error('Error releasing playlist fetch lock:', error));
+    }
+  }
+};
+
+/**
+ * Fetch every playlist of a playlist config through the shared cache
+ * @param {string} apiKey - YouTube Data API key
+ * @param {string|Array} config - Playlist config, see parsePlaylistSources
+ * @param {number} maxAge - Oldest copy to use in milliseconds
+ * @returns {Promise<{items: Array, totalCount: number}>} - Merged items, see mergePlaylistSources
+ */
+export const getCachedPlaylistSources = (apiKey, config, maxAge = PLAYLIST_CACHE_MAX_AGE) =>
+  fetchPlaylistSources(apiKey, config, (key, playlistId) => getCachedPlaylistItems(key, playlistId, maxAge));
@@ -0,0 +1,106 @@
+import { getCachedPlaylistItems, getCachedPlaylist } from './playlistCacheService';
+import { fetchPlaylistItems } from './youtubeService';
+import { setStorageAdapter } from './radioService';
+import { createMemoryAdapter } from './storageAdapters';
+import { TEST_NOW } from './firebaseService';
+import { makeTrack } from './testFixtures';
+
+jest.mock('./firebaseService');
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+jest.mock('./youtubeService', () => ({
+  ...jest.requireActual('./youtubeService'),
+  fetchPlaylistItems: jest.fn()
+}));
+
+const MINUTE = 60 * 1000;
+
+let storage;
+
+beforeEach(() => {
+  storage = createMemoryAdapter();
+  setStorageAdapter(storage);
+  fetchPlaylistItems.mockReset();
+  fetchPlaylistItems.mockResolvedValue({ items: [makeTrack('new')], totalCount: 1, etag: 'etag-2' });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const storeCopy = (fetchedAt, extra = {}) => storage.set('youtubeCache/playlists/PL1', {
+  items: [makeTrack('old')], totalCount: 1, etag: 'etag-1', fetchedAt, fetchedBy: 'other-client', ...extra
+});
+
+describe('getCachedPlaylistItems', () => {
+  test('uses a fresh copy without calling YouTube', async () => {
+    await storeCopy(TEST_NOW - MINUTE);
+
+    const { items } = await getCachedPlaylistItems('key', 'PL1', 5 * MINUTE);
+
+    expect(items[0].snippet.resourceId.videoId).toBe('old');
+    expect(fetchPlaylistItems).not.toHaveBeenCalled();
+  });
+
+  test('fetches a stale copy again with its ETag and known video details', async () => {
+    await storeCopy(TEST_NOW - 10 * MINUTE);
+
+    const { items } = await getCachedPlaylistItems('key', 'PL1', 5 * MINUTE);
+
+    expect(items[0].snippet.resourceId.videoId).toBe('new');
+    expect(fetchPlaylistItems).toHaveBeenCalledWith('key', 'PL1', Infinity, {
+      etag: 'etag-1',
+      knownDetails: { old: { duration: 'PT3M' } }
+    });
+    expect(await getCachedPlaylist('PL1')).toMatchObject({ etag: 'etag-2', fetchedAt: TEST_NOW, fetchedBy: 'this-client' });
+    expect(await storage.get('youtubeCache/locks/PL1')).toBeNull();
+  });
+
+  test('keeps the copy when YouTube reports it unchanged', async () => {
+    await storeCopy(TEST_NOW - 10 * MINUTE);
+    fetchPlaylistItems.mockResolvedValue({ notModified: true, etag: 'etag-1' });
+
+    const { items } = await getCachedPlaylistItems('key', 'PL1', 5 * MINUTE);
+
+    expect(items[0].snippet.resourceId.videoId).toBe('old');
+    expect((await getCachedPlaylist('PL1')).fetchedAt).toBe(TEST_NOW);
+  });
+
+  test('leaves the fetch to the client holding the lock', async () => {
+    await storeCopy(TEST_NOW - 10 * MINUTE);
+    await storage.set('youtubeCache/locks/PL1', { owner: 'other-client', until: TEST_NOW + MINUTE });
+
+    const { items } = await getCachedPlaylistItems('key', 'PL1', 5 * MINUTE);
+
+    expect(items[0].snippet.resourceId.videoId).toBe('old');
+    expect(fetchPlaylistItems).not.toHaveBeenCalled();
+  });
+
+  test('takes over an expired lock', async () => {
+    await storeCopy(TEST_NOW - 10 * MINUTE);
+    await storage.set('youtubeCache/locks/PL1', { owner: 'other-client', until: TEST_NOW - 1 });
+
+    await getCachedPlaylistItems('key', 'PL1', 5 * MINUTE);
+
+    expect(fetchPlaylistItems).toHaveBeenCalledTimes(1);
+  });
+
+  test('falls back to the stale copy when the fetch fails', async () => {
+    await storeCopy(TEST_NOW - 10 * MINUTE);
+    fetchPlaylistItems.mockRejectedValue(Object.assign(new Error('paused'), { code: 'QUOTA_BACKOFF' }));
+
+    const { items } = await getCachedPlaylistItems('key', 'PL1', 5 * MINUTE);
+
+    expect(items[0].snippet.resourceId.videoId).toBe('old');
+  });
+
+  test('only trusts the ETag for playlists that fit on one page', async () => {
+    await storeCopy(TEST_NOW - 10 * MINUTE, { totalCount: 120 });
+
+    await getCachedPlaylistItems('key', 'PL1', 5 * MINUTE);
+
+    expect(fetchPlaylistItems.mock.calls[0][3].etag).toBeUndefined();
+  });
+});
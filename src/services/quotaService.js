@@ -0,0 +1,135 @@
+import axios from 'axios';
+
+/**
+ * Quota Service - Keeps this client within the YouTube Data API quota
+ *
+ * All YouTube Data API calls go through youtubeGet, which
+ *   - counts the quota units this browser used today (the quota resets at midnight
+ *     Pacific Time), kept in localStorage so reloads don't start from zero
+ *   - backs off when YouTube answers 403 quotaExceeded: no calls for 15 minutes, doubling
+ *     on every further quotaExceeded up to the next quota reset
+ */
+
+const API_BASE = 'https://www.googleapis.com/youtube/v3';
+const STORAGE_KEY = 'youtubeQuota';
+
+// Quota units per call, see https://developers.google.com/youtube/v3/determine_quota_cost
+export const QUOTA_COSTS = {
+  playlistItems: 1,
+  videos: 1,
+  search: 100
+};
+
+const FIRST_BACKOFF = 15 * 60 * 1000;
+
+// Day the YouTube quota is counted for, e.g. "2024-01-08"
+const getQuotaDay = (time) =>
+  new Date(time).toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
+
+// Next moment the quota day changes (checked in 15 minute steps, which is close enough)
+const getNextQuotaReset = (time) => {
+  const day = getQuotaDay(time);
+  let reset = time;
+  while (getQuotaDay(reset) === day) {
+    reset += 15 * 60 * 1000;
+  }
+  return reset;
+};
+
+const loadUsage = (now) => {
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch (error) {
+    // Ignore a damaged entry and start counting again
+  }
+
+  const usage = { day: getQuotaDay(now), units: 0, calls: {}, backoffUntil: 0, backoffCount: 0, ...(stored || {}) };
+  if (usage.day !== getQuotaDay(now)) {
+    // A new quota day: the count starts over, a running back-off stays in force
+    return { ...usage, day: getQuotaDay(now), units: 0, calls: {} };
+  }
+  return usage;
+};
+
+const saveUsage = (usage) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(usage));
+  } catch (error) {
+    // Counting is best effort; a full localStorage must not stop playback
+  }
+};
+
+/**
+ * Get this client's YouTube API usage for the current quota day
+ * @param {number} now - Current time in milliseconds (default: Date.now())
+ * @returns {Object} - { day, units, calls: { endpoint: count }, backoffUntil, backoffCount }
+ */
+export const getQuotaUsage = (now = Date.now()) => loadUsage(now);
+
+/**
+ * Whether this client is currently backing off after quotaExceeded
+ * @param {number} now - Current time in milliseconds (default: Date.now())
+ * @returns {boolean}
+ */
+export const isQuotaBackoffActive = (now = Date.now()) => loadUsage(now).backoffUntil > now;
+
+/**
+ * Whether an axios error is YouTube reporting an exhausted quota
+ * @param {Error} error - Error thrown by axios
+ * @returns {boolean}
+ */
+export const isQuotaExceededError = (error) => {
+  if (error?.response?.status !== 403) return false;
+  const reasons = (error.response.data?.error?.errors || []).map(entry => entry.reason);
+  return reasons.includes('quotaExceeded') || reasons.includes('dailyLimitExceeded');
+};
+
+// Start or extend the back-off after quotaExceeded
+const startBackoff = (now) => {
+  const usage = loadUsage(now);
+  const delay = FIRST_BACKOFF * 2 ** usage.backoffCount;
+  const backoffUntil = Math.min(now + delay, getNextQuotaReset(now));
+  saveUsage({ ...usage, backoffUntil, backoffCount: usage.backoffCount + 1 });
+  console.warn(`YouTube API quota exceeded, pausing API calls until ${new Date(backoffUntil).toLocaleTimeString()}`);
+};
+
+/**
+ * Call the YouTube Data API, counting the quota it costs
+ * Fails right away with error.code 'QUOTA_BACKOFF' while backing off.
+ * @param {string} endpoint - API resource, e.g. 'playlistItems'
+ * @param {Object} params - Query parameters (including key)
+ * @param {Object} options - Extra axios options, e.g. { headers, timeout, validateStatus }
+ * @returns {Promise<Object>} - axios response
+ */
+export const youtubeGet = async (endpoint, params, options = {}) => {
+  const now = Date.now();
+  const usage = loadUsage(now);
+
+  if (usage.backoffUntil > now) {
+    const error = new Error(`YouTube API paused after quotaExceeded until ${new Date(usage.backoffUntil).toLocaleTimeString()}`);
+    error.code = 'QUOTA_BACKOFF';
+    throw error;
+  }
+
+  saveUsage({
+    ...usage,
+    units: usage.units + (QUOTA_COSTS[endpoint] ?? 1),
+    calls: { ...usage.calls, [endpoint]: (usage.calls[endpoint] || 0) + 1 }
+  });
+
+  try {
+    const response = await axios.get(`${API_BASE}/${endpoint}`, { ...options, params });
+
+    const current = loadUsage(Date.now());
+    if (current.backoffCount > 0) {
+      saveUsage({ ...current, backoffUntil: 0, backoffCount: 0 });
+    }
+    return response;
+  } catch (error) {
+    if (isQuotaExceededError(error)) {
+      startBackoff(Date.now());
+    }
+    throw error;
+  }
+};
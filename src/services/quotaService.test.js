@@ -0,0 +1,90 @@
+import axios from 'axios';
+import { youtubeGet, getQuotaUsage, isQuotaBackoffActive, isQuotaExceededError } from './quotaService';
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+const quotaExceeded = () => {
+  const error = new Error('Request failed with status code 403');
+  error.response = { status: 403, data: { error: { errors: [{ reason: 'quotaExceeded' }] } } };
+  return error;
+};
+
+let now;
+
+beforeEach(() => {
+  localStorage.clear();
+  now = Date.UTC(2024, 0, 8, 18, 0, 0); // 10:00 in California
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  axios.get.mockReset();
+  axios.get.mockResolvedValue({ status: 200, data: { items: [] } });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('youtubeGet', () => {
+  test('counts the quota units of every call', async () => {
+    await youtubeGet('playlistItems', { key: 'k' });
+    await youtubeGet('videos', { key: 'k' });
+    await youtubeGet('search', { key: 'k' });
+
+    const usage = getQuotaUsage();
+    expect(usage.units).toBe(102);
+    expect(usage.calls).toEqual({ playlistItems: 1, videos: 1, search: 1 });
+  });
+
+  test('starts counting again on a new quota day', async () => {
+    await youtubeGet('videos', { key: 'k' });
+
+    now += 24 * 60 * 60 * 1000;
+
+    expect(getQuotaUsage().units).toBe(0);
+  });
+
+  test('backs off after quotaExceeded and stops calling YouTube', async () => {
+    axios.get.mockRejectedValueOnce(quotaExceeded());
+
+    await expect(youtubeGet('videos', { key: 'k' })).rejects.toThrow('403');
+    expect(isQuotaBackoffActive()).toBe(true);
+
+    await expect(youtubeGet('videos', { key: 'k' })).rejects.toMatchObject({ code: 'QUOTA_BACKOFF' });
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('backs off longer every time and calls again afterwards', async () => {
+    axios.get.mockRejectedValueOnce(quotaExceeded());
+    await expect(youtubeGet('videos', { key: 'k' })).rejects.toThrow();
+    const firstBackoff = getQuotaUsage().backoffUntil - now;
+
+    now = getQuotaUsage().backoffUntil;
+    axios.get.mockRejectedValueOnce(quotaExceeded());
+    await expect(youtubeGet('videos', { key: 'k' })).rejects.toThrow();
+    expect(getQuotaUsage().backoffUntil - now).toBe(firstBackoff * 2);
+
+    now = getQuotaUsage().backoffUntil;
+    await youtubeGet('videos', { key: 'k' });
+    expect(getQuotaUsage().backoffCount).toBe(0);
+  });
+
+  test('ends the back-off at the quota reset', async () => {
+    now = Date.UTC(2024, 0, 9, 7, 50, 0); // 23:50 in California
+    axios.get.mockRejectedValueOnce(quotaExceeded());
+
+    await expect(youtubeGet('videos', { key: 'k' })).rejects.toThrow();
+
+    expect(getQuotaUsage().backoffUntil).toBeLessThanOrEqual(Date.UTC(2024, 0, 9, 8, 15, 0));
+  });
+});
+
+describe('isQuotaExceededError', () => {
+  test('tells quota errors from other 403s', () => {
+    const forbidden = new Error('Forbidden');
+    forbidden.response = { status: 403, data: { error: { errors: [{ reason: 'forbidden' }] } } };
+
+    expect(isQuotaExceededError(quotaExceeded())).toBe(true);
+    expect(isQuotaExceededError(forbidden)).toBe(false);
+    expect(isQuotaExceededError(new Error('Network Error'))).toBe(false);
+  });
+});
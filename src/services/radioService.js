@@ -1,5 +1,7 @@
-import { getDatabase, ref, get, set, onValue } from 'firebase/database';
-import { app } from './firebaseService';
+import { getDatabase } from 'firebase/database';
+import { app, getServerNow } from './firebaseService';
+import { SYNC_SERVER_ENABLED, syncServerConnection } from './syncServerService';
+import { createFirebaseAdapter, createSyncServerAdapter, createLocalStorageAdapter, createFallbackAdapter } from './storageAdapters';
 
 /**
  * Radio Service - Manages the shared state for synchronized music playback
@@ -38,182 +40,186 @@ const criticalLog = (...args) => {
   console.log(...args);
 };
 
-// We'll use localStorage to simulate a server-side state
-// In a production environment, this would be replaced with a backend service
+// Shared station data goes through a storage adapter (see storageAdapters.js).
+// By default that's the Firebase database, or the self-hosted sync server with
+// REACT_APP_SYNC_BACKEND=websocket, with a copy in localStorage to fall back on while
+// it is unreachable. Created on first use so tests can swap it.
+// Other services that keep shared data (analytics, play history) use the same adapter.
+let storage = null;
+
+export const getStorage = () => {
+  if (!storage) {
+    const primary = SYNC_SERVER_ENABLED
+      ? createSyncServerAdapter(syncServerConnection)
+      : createFirebaseAdapter(getDatabase(app));
+    storage = createFallbackAdapter(primary, createLocalStorageAdapter());
+  }
+  return storage;
+};
 
-// Get the database instance
-const database = getDatabase(app);
+// Use another storage adapter, e.g. the in-memory adapter in tests
+export const setStorageAdapter = (adapter) => {
+  storage = adapter;
+};
 
-// Get the server start time or set it if it doesn't exist
-export const getServerStartTime = async () => {
-  try {
-    // Reference to the server start time in the database
-    const startTimeRef = ref(database, 'radioServerStartTime');
+/**
+ * Channels
+ *
+ * Every channel keeps its own radioState, radioServerStartTime and radioSchedule.
+ * The default channel uses the original top-level paths so existing stations keep
+ * their state; other channels live under channels/{id}/... The list of channels and
+ * their playlists is kept separately under channelList/{id} so listing them doesn't
+ * download every channel's state.
+ */
+export const DEFAULT_CHANNEL_ID = 'main';
 
-    // Get the current value
-    const snapshot = await get(startTimeRef);
+// Resolve a per-channel database path (also used as the localStorage fallback key)
+export const channelPath = (channelId, key) => {
+  if (!channelId || channelId === DEFAULT_CHANNEL_ID) return key;
+  return `channels/${channelId}/${key}`;
+};
 
-    if (snapshot.exists()) {
-      // If it exists, return it
-      return parseInt(snapshot.val(), 10);
-    } else {
-      // If it doesn't exist, set it
-      const startTime = Date.now();
-      await set(startTimeRef, startTime.toString());
-      return startTime;
-    }
-  } catch (error) {
-    console.error('Error getting server start time from Firebase:', error);
-
-    // Fallback to localStorage if Firebase fails
-    const storedStartTime = localStorage.getItem('radioServerStartTime');
-    if (!storedStartTime) {
-      const startTime = Date.now();
-      localStorage.setItem('radioServerStartTime', startTime.toString());
-      return startTime;
-    }
-    return parseInt(storedStartTime, 10);
+// Turn the channelList node into a sorted array, always including the default channel
+const toChannelArray = (channelList) => {
+  const channels = Object.entries(channelList || {}).map(([id, info]) => ({ id, ...info }));
+
+  if (!channels.some(channel => channel.id === DEFAULT_CHANNEL_ID)) {
+    channels.unshift({ id: DEFAULT_CHANNEL_ID, name: 'Main', order: -1 });
   }
+
+  return channels.sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
 };
 
-// Get the current radio state
-export const getRadioState = async () => {
+// Get all channels as [{ id, name, playlistId }]
+export const getChannels = async () => {
   try {
-    // Reference to the radio state in the database
-    const stateRef = ref(database, 'radioState');
-
-    // Get the current value
-    const snapshot = await get(stateRef);
+    return toChannelArray(await getStorage().get('channelList'));
+  } catch (error) {
+    console.error('Error getting channel list from Firebase:', error);
+    return toChannelArray(null);
+  }
+};
 
-    if (snapshot.exists()) {
-      // If it exists, return it
-      return snapshot.val();
-    } else {
-      return null;
-    }
+// Create or update a channel's name and playlist
+export const saveChannel = async (channelId, { name, playlistId, order = 0 }) => {
+  try {
+    await getStorage().set(`channelList/${channelId}`, { name, playlistId: playlistId || null, order });
+    return true;
   } catch (error) {
-    console.error('Error getting radio state from Firebase:', error);
-
-    // Fallback to localStorage if Firebase fails
-    const state = localStorage.getItem('radioState');
-    // If state exists, return it; otherwise return null
-    if (state) {
-      try {
-        return JSON.parse(state);
-      } catch (e) {
-        console.error('Error parsing radio state:', e);
-        // If there's an error parsing, we'll initialize a new state
-        return null;
-      }
-    }
-    return null;
+    console.error('Error saving channel to Firebase:', error);
+    return false;
   }
 };
 
-// Initialize radio with playlist
-export const initializeRadio = async (playlist) => {
+// Subscribe to changes in the channel list
+export const subscribeToChannels = (callback) => {
   try {
-    // Check if we already have state first
-    const existingState = await getRadioState();
-    if (existingState && existingState.playlist && existingState.playlist.length > 0) {
-      // Ensure playedTracks field exists
-      if (!existingState.playedTracks) {
-        existingState.playedTracks = [];
-
-        // Update in Firebase
-        await set(ref(database, 'radioState'), existingState);
-
-        // Also update in localStorage as fallback
-        localStorage.setItem('radioState', JSON.stringify(existingState));
-      }
-      return existingState;
-    }
+    const unsubscribe = getStorage().subscribe('channelList', (channelList) => {
+      callback(toChannelArray(channelList));
+    });
 
-    // Shuffle the playlist once
-    const shuffledPlaylist = shuffleArray([...playlist]);
+    return unsubscribe;
+  } catch (error) {
+    console.error('Error subscribing to channel list:', error);
+    return () => {}; // Return empty function if subscription fails
+  }
+};
 
-    // Create initial state
-    const initialState = {
-      playlist: shuffledPlaylist,
-      currentTrackIndex: 0,
-      startTime: Date.now(),
-      isPlaying: true,
-      playedTracks: [], // Track which songs have been played in current cycle
-      lastFullPlaythrough: Date.now() // When was the last time we played the full playlist
-    };
+// Get the server start time or set it if it doesn't exist
+export const getServerStartTime = async (channelId = DEFAULT_CHANNEL_ID) => {
+  const startTimePath = channelPath(channelId, 'radioServerStartTime');
+  const storedStartTime = await getStorage().get(startTimePath);
+  if (storedStartTime) {
+    return parseInt(storedStartTime, 10);
+  }
 
-    // Save state to Firebase
-    await set(ref(database, 'radioState'), initialState);
+  // If it doesn't exist, set it - unless another client just did
+  const { value } = await getStorage().transaction(startTimePath, (current) => current || getServerNow().toString());
+  return parseInt(value, 10);
+};
 
-    // Also save to localStorage as fallback
-    localStorage.setItem('radioState', JSON.stringify(initialState));
+// Get the current radio state
+export const getRadioState = async (channelId = DEFAULT_CHANNEL_ID) => {
+  return getStorage().get(channelPath(channelId, 'radioState'));
+};
 
-    return initialState;
-  } catch (error) {
-    console.error('Error initializing radio with Firebase:', error);
-
-    // Fallback to localStorage if Firebase fails
-    // Check if we already have state first in localStorage
-    const localState = localStorage.getItem('radioState');
-    if (localState) {
-      try {
-        const existingState = JSON.parse(localState);
-        if (existingState.playlist && existingState.playlist.length > 0) {
-          // Ensure playedTracks field exists
-          if (!existingState.playedTracks) {
-            existingState.playedTracks = [];
-            localStorage.setItem('radioState', JSON.stringify(existingState));
-          }
-          return existingState;
-        }
-      } catch (e) {
-        console.error('Error parsing local radio state:', e);
-      }
+/**
+ * Race-free writes
+ *
+ * With a whole classroom of PCs open, several clients run the same maintenance at
+ * the same moment. radioState is therefore never written with a read-then-set:
+ * changes go through a storage transaction, which re-runs the change on the latest value
+ * when another client wrote first. Every committed change bumps radioState.version,
+ * so a lost update shows up as a version that didn't move.
+ */
+const withNextVersion = (state) => ({ ...state, version: (state.version || 0) + 1 });
+
+// Initialize radio with playlist
+export const initializeRadio = async (playlist, channelId = DEFAULT_CHANNEL_ID) => {
+  // Check if we already have state first
+  const existingState = await getRadioState(channelId);
+  if (existingState && existingState.playlist && existingState.playlist.length > 0) {
+    // Storage drops empty arrays, so a fresh cycle comes back without playedTracks;
+    // fill it in locally instead of writing the whole state back over other clients
+    if (!existingState.playedTracks) {
+      existingState.playedTracks = [];
     }
+    return existingState;
+  }
 
-    // If no valid state in localStorage, create a new one
-    const shuffledPlaylist = shuffleArray([...playlist]);
-    const initialState = {
-      playlist: shuffledPlaylist,
-      currentTrackIndex: 0,
-      startTime: Date.now(),
-      isPlaying: true,
-      playedTracks: [],
-      lastFullPlaythrough: Date.now()
-    };
-    localStorage.setItem('radioState', JSON.stringify(initialState));
+  // Shuffle the playlist once with a fresh seed
+  const seed = createShuffleSeed();
+  const shuffledPlaylist = buildRotation(playlist, getCycleSeed(seed, 0));
+
+  // Create initial state
+  const initialState = {
+    playlist: shuffledPlaylist,
+    currentTrackIndex: 0,
+    startTime: getServerNow(),
+    isPlaying: true,
+    playedTracks: [], // Track which songs have been played in current cycle
+    lastFullPlaythrough: getServerNow(), // When was the last time we played the full playlist
+    shuffleSeed: seed,
+    shuffleCycle: 0,
+    version: 1
+  };
+
+  // Save the state, unless another client initialized the radio first
+  const result = await getStorage().transaction(channelPath(channelId, 'radioState'), (current) => {
+    if (current && current.playlist && current.playlist.length > 0) {
+      return; // Abort: keep the state that won
+    }
     return initialState;
+  });
+
+  if (!result.committed) {
+    criticalLog("Radio was already initialized by another client, using its playlist");
   }
+  return result.value;
 };
 
-// Get current track based on sequential playback
-export const getCurrentTrack = (state, serverStartTime) => {
-  if (!state) return null;
-
-  const { playlist, startTime, playedTracks } = state;
-  if (!playlist || playlist.length === 0) return null;
-
-  // Calculate elapsed time since server start
-  const now = Date.now();
-  const elapsed = now - serverStartTime;
+// Parse ISO 8601 duration format (PT1H2M3S) to seconds
+const parseISODuration = (duration) => {
+  if (!duration) return 0;
 
-  // Parse ISO 8601 duration format (PT1H2M3S) to seconds
-  const parseISODuration = (duration) => {
-    if (!duration) return 0;
+  // If it's already a number, return it
+  if (typeof duration === 'number') return duration;
 
-    // If it's already a number, return it
-    if (typeof duration === 'number') return duration;
+  const match = duration.match(/PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?/);
+  if (!match) return 0;
 
-    const match = duration.match(/PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?/);
-    if (!match) return 0;
+  const hours = parseInt(match[1] || 0, 10);
+  const minutes = parseInt(match[2] || 0, 10);
+  const seconds = parseInt(match[3] || 0, 10);
 
-    const hours = parseInt(match[1] || 0, 10);
-    const minutes = parseInt(match[2] || 0, 10);
-    const seconds = parseInt(match[3] || 0, 10);
+  return hours * 3600 + minutes * 60 + seconds;
+};
 
-    return hours * 3600 + minutes * 60 + seconds;
-  };
+// Fallback duration for tracks without contentDetails
+const DEFAULT_TRACK_DURATION = 3 * 60 * 1000; // 3 minutes in milliseconds
 
+// Get the duration of every track in milliseconds along with the total
+const getTrackDurations = (playlist) => {
   // Calculate total duration of all tracks in the playlist
   let totalPlaylistDuration = 0;
   let trackDurations = [];
@@ -228,7 +234,7 @@ export const getCurrentTrack = (state, serverStartTime) => {
       trackDuration = parseISODuration(track.contentDetails.duration) * 1000; // Convert to ms
     } else {
       // Fallback to average duration if not available
-      trackDuration = 3 * 60 * 1000; // 3 minutes in milliseconds
+      trackDuration = DEFAULT_TRACK_DURATION;
     }
 
     trackDurations[i] = trackDuration;
@@ -237,12 +243,19 @@ export const getCurrentTrack = (state, serverStartTime) => {
 
   // If totalPlaylistDuration is 0, use a default value to avoid division by zero
   if (totalPlaylistDuration === 0) {
-    totalPlaylistDuration = playlist.length * 3 * 60 * 1000; // Default 3 minutes per track
+    totalPlaylistDuration = playlist.length * DEFAULT_TRACK_DURATION; // Default 3 minutes per track
     for (let i = 0; i < playlist.length; i++) {
-      trackDurations[i] = 3 * 60 * 1000;
+      trackDurations[i] = DEFAULT_TRACK_DURATION;
     }
   }
 
+  return { trackDurations, totalPlaylistDuration };
+};
+
+// Find the track playing after `elapsed` ms on a playlist timeline
+const getTimelinePosition = (playlist, elapsed) => {
+  const { trackDurations, totalPlaylistDuration } = getTrackDurations(playlist);
+
   // Get the current epoch (how many times we've gone through the full playlist)
   const epoch = Math.floor(elapsed / totalPlaylistDuration);
 
@@ -266,6 +279,156 @@ export const getCurrentTrack = (state, serverStartTime) => {
     currentIndex = 0;
   }
 
+  return {
+    index: currentIndex,
+    trackElapsed: epochElapsed - accumulatedDuration,
+    epoch,
+    trackDurations
+  };
+};
+
+// Get where the main rotation's timeline starts: radioState.timelineStart once an edit or a
+// station control moved it, which keeps the state and its timeline in one write, and the
+// radioServerStartTime node before that
+const getTimelineStart = (state, serverStartTime) => state?.timelineStart ?? serverStartTime;
+
+// Get the start time that puts `index` at `trackElapsed` ms into the track at `now`
+// Used whenever the playlist is edited or the timeline is moved, so every client
+// keeps hearing the same thing after recomputing from the new start time
+const rebaseStartTime = (playlist, index, trackElapsed, now) => {
+  const { trackDurations } = getTrackDurations(playlist);
+  const accumulatedDuration = trackDurations.slice(0, index).reduce((sum, duration) => sum + duration, 0);
+  return now - (accumulatedDuration + trackElapsed);
+};
+
+/**
+ * Schedule model
+ *
+ * The schedule lives under `radioSchedule` and looks like:
+ * {
+ *   enabled: true,
+ *   blocks: [
+ *     { name: 'Morning', days: [1, 2, 3, 4, 5], start: '08:00', end: '08:30', playlistId: 'PL...' },
+ *     { name: 'Lunch mix', days: [1, 2, 3, 4, 5], start: '12:10', end: '13:00' },
+ *     { name: 'Exam week', days: [3], start: '12:10', end: '13:00', offAir: true }
+ *   ]
+ * }
+ *
+ * Days use Date#getDay() numbering (0 = Sunday). A block without a playlistId plays
+ * the main rotation; a block with one plays that program playlist from its first track
+ * at the block start. When the schedule is enabled, anything outside an on-air block
+ * is off air. Without an enabled schedule the station plays around the clock.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Convert "HH:MM" to minutes since midnight
+const parseTimeOfDay = (time) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  if (!match) return null;
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+};
+
+// Get the timestamp of a time of day on the same calendar day as the reference
+const timeOnDay = (reference, minutes) => {
+  const date = new Date(reference);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime() + minutes * 60 * 1000;
+};
+
+// Drop malformed blocks so a bad database entry can't take the station off air
+const getValidBlocks = (schedule) => {
+  if (!schedule || !Array.isArray(schedule.blocks)) return [];
+
+  return schedule.blocks.filter(block => {
+    const start = parseTimeOfDay(block?.start);
+    const end = parseTimeOfDay(block?.end);
+    return start !== null && end !== null && end > start && Array.isArray(block.days);
+  });
+};
+
+/**
+ * Work out what the schedule says should be on air at a point in time
+ * @param {Object|null} schedule - Schedule stored under radioSchedule
+ * @param {number} now - Timestamp to evaluate (default: server time)
+ * @returns {Object} - { onAir, program, programStart, nextProgram, nextStart }
+ */
+export const getScheduleStatus = (schedule, now = getServerNow()) => {
+  if (!schedule || !schedule.enabled) {
+    return { onAir: true, program: null, programStart: null, nextProgram: null, nextStart: null };
+  }
+
+  const blocks = getValidBlocks(schedule);
+  const weekday = new Date(now).getDay();
+
+  // Off-air blocks take precedence so they can silence part of a regular program
+  const activeBlocks = blocks.filter(block => {
+    const start = timeOnDay(now, parseTimeOfDay(block.start));
+    const end = timeOnDay(now, parseTimeOfDay(block.end));
+    return block.days.includes(weekday) && now >= start && now < end;
+  });
+  const silenced = activeBlocks.some(block => block.offAir);
+  const program = silenced ? null : activeBlocks.find(block => !block.offAir) || null;
+
+  // Find the next on-air block start within the coming week
+  let nextProgram = null;
+  let nextStart = null;
+  for (let dayOffset = 0; dayOffset <= 7 && !nextProgram; dayOffset++) {
+    const day = now + dayOffset * DAY_MS;
+    const dayOfWeek = new Date(day).getDay();
+
+    for (const block of blocks) {
+      if (block.offAir || !block.days.includes(dayOfWeek)) continue;
+
+      const start = timeOnDay(day, parseTimeOfDay(block.start));
+      if (start > now && (nextStart === null || start < nextStart)) {
+        nextProgram = block;
+        nextStart = start;
+      }
+    }
+  }
+
+  return {
+    onAir: program !== null,
+    program,
+    programStart: program ? timeOnDay(now, parseTimeOfDay(program.start)) : null,
+    nextProgram,
+    nextStart
+  };
+};
+
+// Get current track based on sequential playback
+// Positions are computed on the Firebase server clock, so devices with a wrong
+// local clock still hear the same part of the same song
+// If a schedule is passed, null is returned while the station is off air and
+// program blocks with their own playlist are timed from the block start
+// startedAt is when the current track began on the shared timeline, the same on every client
+export const getCurrentTrack = (state, serverStartTime, schedule = null) => {
+  if (!state) return null;
+
+  const now = getServerNow();
+  const scheduleStatus = getScheduleStatus(schedule, now);
+  if (!scheduleStatus.onAir) return null;
+
+  // Pick the playlist and timeline origin for the current program
+  const programId = scheduleStatus.program?.playlistId;
+  const programPlaylist = programId ? state.programs?.[programId]?.playlist : null;
+  const isProgram = Boolean(programPlaylist && programPlaylist.length > 0);
+  const playlist = isProgram ? programPlaylist : state.playlist;
+  const timelineStart = isProgram ? scheduleStatus.programStart : getTimelineStart(state, serverStartTime);
+
+  if (!playlist || playlist.length === 0) return null;
+
+  // A paused station stays frozen at the moment it was paused. Scheduled programs
+  // are tied to the clock, so they simply continue from the right spot on resume
+  const isPaused = state.isPlaying === false && Boolean(state.pausedAt);
+  const timelineNow = isPaused ? state.pausedAt : now;
+
+  // Calculate elapsed time since the timeline started
+  const elapsed = timelineNow - timelineStart;
+
+  const { index: currentIndex, trackElapsed: currentSongElapsed, epoch, trackDurations } = getTimelinePosition(playlist, elapsed);
+
   // Log strict interval (30 seconds) or track change since last interval log
   const trackChanged = state._lastLoggedTrack !== currentIndex;
   const logged = intervalLog(`Radio: Track ${currentIndex+1}/${playlist.length} - "${playlist[currentIndex]?.snippet?.title}"`);
@@ -284,97 +447,194 @@ export const getCurrentTrack = (state, serverStartTime) => {
   }
 
   // Calculate how far into the current song we are
-  const currentSongElapsed = epochElapsed - accumulatedDuration;
   const currentSongElapsedSeconds = Math.floor(currentSongElapsed / 1000);
 
-  // Update the played tracks history if needed
-  if (!state.playedTracks) {
-    // Initialize played tracks if doesn't exist
-    state.playedTracks = [currentIndex];
-    localStorage.setItem('radioState', JSON.stringify(state));
-  } else if (!state.playedTracks.includes(currentIndex)) {
-    // Add current track to played tracks if not already there
-    state.playedTracks.push(currentIndex);
-    localStorage.setItem('radioState', JSON.stringify(state));
+  // Update the local copy of the played tracks history if needed; the shared history
+  // is written with markTrackPlayed. Program playlists are not part of the main rotation
+  if (!isProgram) {
+    if (!state.playedTracks) {
+      state.playedTracks = [currentIndex];
+    } else if (!state.playedTracks.includes(currentIndex)) {
+      state.playedTracks.push(currentIndex);
+    }
   }
 
   return {
     track: playlist[currentIndex],
     position: currentSongElapsedSeconds,
+    exactPosition: currentSongElapsed / 1000,
+    startedAt: timelineNow - currentSongElapsed,
+    remaining: (trackDurations[currentIndex] - currentSongElapsed) / 1000,
     index: currentIndex,
-    epoch: epoch
+    epoch: epoch,
+    cycle: state.shuffleCycle || 0,
+    paused: isPaused,
+    pauseReason: isPaused ? state.pauseReason || null : null,
+    playlist: playlist,
+    programId: isProgram ? programId : null
   };
 };
 
 // Helper function to shuffle array (Fisher-Yates algorithm)
-export const shuffleArray = (array) => {
+// Pass a seeded random function to get a reproducible order
+export const shuffleArray = (array, random = Math.random) => {
   for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [array[i], array[j]] = [array[j], array[i]];
   }
   return array;
 };
 
-// Check if all tracks have been played and reset history if needed
-export const checkAndResetPlayedTracks = async () => {
-  try {
-    const state = await getRadioState();
-    if (!state || !state.playlist || !state.playedTracks) return;
+/**
+ * Seeded shuffle
+ *
+ * The playlist order is a pure function of the tracks and a seed kept in radioState:
+ * shuffleSeed is picked when the station is initialized and shuffleCycle counts the
+ * reshuffles since. Tracks are sorted by videoId before shuffling, so any client that
+ * shuffles the same tracks for the same cycle gets the same order, whatever order the
+ * YouTube API returned them in.
+ */
 
-    // If we've played all tracks, reset the played tracks array and shuffle again
-    if (state.playedTracks.length >= state.playlist.length) {
-      // This is a critical event, always log it
-      criticalLog("All tracks have been played, reshuffling playlist");
+// Deterministic random number generator (mulberry32) for a 32-bit seed
+const createSeededRandom = (seed) => {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6D2B79F5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Pick a seed for a newly initialized station
+export const createShuffleSeed = () => Math.floor(Math.random() * 4294967296);
+
+// Derive the seed used for a given reshuffle cycle from the station seed
+export const getCycleSeed = (seed, cycle) => {
+  let h = (seed ^ Math.imul(cycle + 1, 0x9E3779B1)) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B) >>> 0;
+  h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35) >>> 0;
+  return (h ^ (h >>> 16)) >>> 0;
+};
 
-      // Shuffle the playlist again for the next cycle
-      const reshuffledPlaylist = shuffleArray([...state.playlist]);
+// Shuffle tracks into the order every client derives for the given seed
+export const seededShuffle = (tracks, seed) => {
+  const videoIdOf = (item) => item?.snippet?.resourceId?.videoId || '';
+  const sorted = [...tracks].sort((a, b) => {
+    const idA = videoIdOf(a);
+    const idB = videoIdOf(b);
+    if (idA === idB) return 0;
+    return idA < idB ? -1 : 1;
+  });
+  return shuffleArray(sorted, createSeededRandom(seed));
+};
+
+// Keep the first copy of every video, e.g. to undo the repeats of a rotation
+const uniqueTracks = (tracks) => {
+  const seen = new Set();
+  return tracks.filter(item => {
+    const videoId = item?.snippet?.resourceId?.videoId;
+    if (seen.has(videoId)) return false;
+    seen.add(videoId);
+    return true;
+  });
+};
 
-      // Update state with new shuffled playlist and reset played tracks
-      state.playlist = reshuffledPlaylist;
-      state.playedTracks = [];
-      state.lastFullPlaythrough = Date.now();
+// Number of times a track plays per rotation (set from playlist weights by youtubeService)
+const getTrackRepeats = (track) => Math.max(1, Math.floor(track?.repeats || 1));
 
-      // Save the updated state to Firebase
-      await set(ref(database, 'radioState'), state);
+/**
+ * Build the rotation every client derives for the given seed
+ * Without repeats this is seededShuffle. Otherwise every track gets an evenly spaced offset
+ * in shuffled order, and the copies of a repeating track are placed 1/repeats of the rotation
+ * apart, so the tracks of a small, heavily weighted playlist come back regularly instead of
+ * in clumps.
+ */
+export const buildRotation = (tracks, seed) => {
+  const unique = uniqueTracks(tracks);
+  if (!unique.some(track => getTrackRepeats(track) > 1)) {
+    return seededShuffle(unique, seed);
+  }
 
-      // Also save to localStorage as fallback
-      localStorage.setItem('radioState', JSON.stringify(state));
+  const entries = [];
+  seededShuffle(unique, seed).forEach((track, rank) => {
+    const repeats = getTrackRepeats(track);
+    const offset = (rank + 0.5) / unique.length;
+    for (let copy = 0; copy < repeats; copy++) {
+      entries.push({ track, position: (copy + offset) / repeats });
     }
-  } catch (error) {
-    console.error('Error checking and resetting played tracks in Firebase:', error);
+  });
 
-    // Fallback to localStorage if Firebase fails
-    try {
-      const localState = localStorage.getItem('radioState');
-      if (!localState) return;
+  return entries.sort((a, b) => a.position - b.position).map(entry => entry.track);
+};
 
-      const state = JSON.parse(localState);
-      if (!state || !state.playlist || !state.playedTracks) return;
+// Build the state for the next cycle: the reshuffled playlist without one-off song requests
+const buildReshuffledState = (state, seed) => {
+  const cycle = (state.shuffleCycle || 0) + 1;
+  return withNextVersion({
+    ...state,
+    playlist: buildRotation(state.playlist.filter(item => !item.request), getCycleSeed(seed, cycle)),
+    playedTracks: [],
+    lastFullPlaythrough: getServerNow(),
+    shuffleSeed: seed,
+    shuffleCycle: cycle
+  });
+};
 
-      // If we've played all tracks, reset the played tracks array and shuffle again
-      if (state.playedTracks.length >= state.playlist.length) {
-        // This is a critical event, always log it
-        criticalLog("All tracks have been played, reshuffling playlist (localStorage fallback)");
+// Check if all tracks have been played and reset history if needed
+export const checkAndResetPlayedTracks = async (channelId = DEFAULT_CHANNEL_ID) => {
+  try {
+    const state = await getRadioState(channelId);
+    if (!state || !state.playlist || !state.playedTracks) return;
 
-        // Shuffle the playlist again for the next cycle
-        const reshuffledPlaylist = shuffleArray([...state.playlist]);
+    // If we've played all tracks, reset the played tracks array and shuffle again
+    if (state.playedTracks.length >= state.playlist.length) {
+      // Only the first client to reshuffle this cycle wins; everyone else sees the
+      // cycle already moved on inside the transaction and leaves the state alone
+      const expectedCycle = state.shuffleCycle || 0;
+      const seed = state.shuffleSeed ?? createShuffleSeed();
 
-        // Update state with new shuffled playlist and reset played tracks
-        state.playlist = reshuffledPlaylist;
-        state.playedTracks = [];
-        state.lastFullPlaythrough = Date.now();
+      const result = await getStorage().transaction(channelPath(channelId, 'radioState'), (current) => {
+        if (!current || !current.playlist || !current.playedTracks) return current;
+        if ((current.shuffleCycle || 0) !== expectedCycle) return; // Someone else reshuffled
+        if (current.playedTracks.length < current.playlist.length) return;
+
+        return buildReshuffledState(current, current.shuffleSeed ?? seed);
+      });
 
-        // Save the updated state to localStorage
-        localStorage.setItem('radioState', JSON.stringify(state));
+      if (result.committed && (result.value?.shuffleCycle || 0) === expectedCycle + 1) {
+        // This is a critical event, always log it
+        criticalLog("All tracks have been played, reshuffling playlist");
       }
-    } catch (e) {
-      console.error('Error checking and resetting played tracks in localStorage:', e);
     }
+  } catch (error) {
+    console.error('Error checking and resetting played tracks:', error);
+  }
+};
+
+// Record in the shared history that a main-rotation track was played this cycle
+// The cycle guard keeps a late write from the previous cycle out of a fresh history
+export const markTrackPlayed = async (index, cycle = 0, channelId = DEFAULT_CHANNEL_ID) => {
+  try {
+    const result = await getStorage().transaction(channelPath(channelId, 'radioState'), (current) => {
+      if (!current || !current.playlist) return current;
+      if ((current.shuffleCycle || 0) !== cycle) return; // A reshuffle started a new cycle
+      if (index < 0 || index >= current.playlist.length) return;
+
+      const playedTracks = current.playedTracks || [];
+      if (playedTracks.includes(index)) return; // Another client already recorded it
+
+      return withNextVersion({ ...current, playedTracks: [...playedTracks, index] });
+    });
+    return result.committed;
+  } catch (error) {
+    console.error('Error marking track as played:', error);
+    return false;
   }
 };
 
 // Get the next track that hasn't been played yet
-export const getNextUnplayedTrack = (state) => {
+export const getNextUnplayedTrack = (state, channelId = DEFAULT_CHANNEL_ID) => {
   if (!state || !state.playlist || state.playlist.length === 0) return null;
 
   // If we don't have playedTracks array, initialize it
@@ -384,7 +644,7 @@ export const getNextUnplayedTrack = (state) => {
 
   // If all tracks have been played, reset
   if (state.playedTracks.length >= state.playlist.length) {
-    checkAndResetPlayedTracks();
+    checkAndResetPlayedTracks(channelId);
     return state.playlist[0]; // Return first track of the new shuffled playlist
   }
 
@@ -400,136 +660,514 @@ export const getNextUnplayedTrack = (state) => {
 };
 
 // Function to completely reset the radio state and force a new playlist fetch
-export const resetRadioState = async () => {
+export const resetRadioState = async (channelId = DEFAULT_CHANNEL_ID) => {
   criticalLog("Resetting radio state to fetch fresh playlist");
 
-  try {
-    // Remove radio state from Firebase
-    await set(ref(database, 'radioState'), null);
-
-    // Reset server start time to now for a completely fresh experience
-    const startTime = Date.now();
-    await set(ref(database, 'radioServerStartTime'), startTime.toString());
-
-    // Also reset localStorage as fallback
-    localStorage.removeItem('radioState');
-    localStorage.setItem('radioServerStartTime', startTime.toString());
+  // Remove the radio state and restart the timeline in one atomic write, so no
+  // client can see the old state with the new start time or the other way round
+  const startTime = getServerNow();
+  await getStorage().update({
+    [channelPath(channelId, 'radioState')]: null,
+    [channelPath(channelId, 'radioServerStartTime')]: startTime.toString()
+  });
 
-    return null;
-  } catch (error) {
-    console.error('Error resetting radio state in Firebase:', error);
-
-    // Fallback to localStorage if Firebase fails
-    localStorage.removeItem('radioState');
-
-    // Reset server start time to now for a completely fresh experience
-    const startTime = Date.now();
-    localStorage.setItem('radioServerStartTime', startTime.toString());
-
-    return null;
-  }
+  return null;
 };
 
 // Function to update playlist with new items while preserving playback state
-export const updatePlaylist = async (newPlaylistItems) => {
-  try {
-    const state = await getRadioState();
-    if (!state) return initializeRadio(newPlaylistItems);
+export const updatePlaylist = async (newPlaylistItems, channelId = DEFAULT_CHANNEL_ID) => {
+  let addedCount = 0;
+
+  // Append the new tracks to whatever the playlist is at commit time, so tracks and
+  // played history written by other clients in the meantime are kept
+  const result = await getStorage().transaction(channelPath(channelId, 'radioState'), (current) => {
+    if (!current || !current.playlist) return current;
 
     // Identify new tracks by comparing video IDs
     const currentIds = new Set();
-    if (state.playlist) {
-      state.playlist.forEach(item => {
-        if (item?.snippet?.resourceId?.videoId) {
-          currentIds.add(item.snippet.resourceId.videoId);
-        }
-      });
-    }
+    current.playlist.forEach(item => {
+      if (item?.snippet?.resourceId?.videoId) {
+        currentIds.add(item.snippet.resourceId.videoId);
+      }
+    });
 
     // Find new items not in current playlist
-    const newItems = newPlaylistItems.filter(item => 
+    const newItems = uniqueTracks(newPlaylistItems).filter(item =>
       !currentIds.has(item?.snippet?.resourceId?.videoId)
     );
 
-    if (newItems.length === 0) {
-      debugLog("No new tracks found in playlist");
-      return state;
+    // Changed playlist weights take effect with the next reshuffle
+    const repeatsById = new Map(newPlaylistItems.map(item => [item?.snippet?.resourceId?.videoId, getTrackRepeats(item)]));
+    let repeatsChanged = false;
+    const playlist = current.playlist.map(item => {
+      const repeats = repeatsById.get(item?.snippet?.resourceId?.videoId);
+      if (item.request || repeats === undefined || repeats === getTrackRepeats(item)) return item;
+      repeatsChanged = true;
+      const { repeats: previousRepeats, ...track } = item;
+      return repeats > 1 ? { ...track, repeats } : track;
+    });
+
+    addedCount = newItems.length;
+    if (newItems.length === 0 && !repeatsChanged) return; // Nothing to change
+
+    return withNextVersion({ ...current, playlist: [...playlist, ...newItems] });
+  });
+
+  const state = result.value;
+  if (!state || !state.playlist) return initializeRadio(newPlaylistItems, channelId);
+
+  if (result.committed && addedCount > 0) {
+    criticalLog(`Found ${addedCount} new tracks in playlist`);
+  } else {
+    debugLog("No new tracks found in playlist");
+  }
+
+  return state;
+};
+
+// Change the main rotation's playlist in a transaction and keep the timeline in step
+// edit(current, position) gets the latest state and where the timeline stands on it
+// ({ index, trackElapsed }, frozen while paused) and returns { state, index, trackElapsed }:
+// the new state and the spot in its playlist that should be playing right now. Returning
+// nothing leaves the state alone. The moved start time is committed with the state as
+// timelineStart, so no client ever sees the new playlist on the old timeline.
+const editRotation = async (channelId, edit) => {
+  // Only read for stations whose timeline was never moved; a reset replaces both
+  const serverStartTime = await getServerStartTime(channelId);
+
+  return getStorage().transaction(channelPath(channelId, 'radioState'), (current) => {
+    if (!current || !current.playlist || current.playlist.length === 0) return current;
+
+    const timelineNow = current.isPlaying === false && current.pausedAt ? current.pausedAt : getServerNow();
+    const timelineStart = getTimelineStart(current, serverStartTime);
+    const position = getTimelinePosition(current.playlist, timelineNow - timelineStart);
+    const change = edit(current, position);
+    if (!change) return; // Nothing to change
+
+    const newStartTime = rebaseStartTime(change.state.playlist, change.index, change.trackElapsed, timelineNow);
+    return withNextVersion({ ...change.state, timelineStart: newStartTime });
+  });
+};
+
+// Insert a track right after the one currently playing on the main rotation
+// The current track keeps its position and everyone hears the inserted track next
+export const insertTrackAfterCurrent = async (track, channelId = DEFAULT_CHANNEL_ID) => {
+  const videoId = track?.snippet?.resourceId?.videoId;
+  if (!videoId) throw new Error('Track has no video ID');
+
+  let alreadyPlaying = false;
+  let insertedAfter = null;
+  const result = await editRotation(channelId, (current, { index, trackElapsed }) => {
+    alreadyPlaying = false;
+    const playlist = [...current.playlist];
+    let playedTracks = [...(current.playedTracks || [])];
+    let currentIndex = index;
+
+    // If the track is already in the rotation, move it instead of adding a duplicate
+    const existingIndex = playlist.findIndex(item => item?.snippet?.resourceId?.videoId === videoId);
+    if (existingIndex === currentIndex) {
+      alreadyPlaying = true;
+      return;
+    }
+    if (existingIndex !== -1) {
+      playlist.splice(existingIndex, 1);
+      playedTracks = playedTracks
+        .filter(played => played !== existingIndex)
+        .map(played => (played > existingIndex ? played - 1 : played));
+      if (existingIndex < currentIndex) currentIndex -= 1;
     }
 
-    criticalLog(`Found ${newItems.length} new tracks in playlist`);
+    // Insert after the current track and shift the played indices behind it
+    playlist.splice(currentIndex + 1, 0, track);
+    playedTracks = playedTracks.map(played => (played > currentIndex ? played + 1 : played));
+    insertedAfter = currentIndex;
+
+    return { state: { ...current, playlist, playedTracks }, index: currentIndex, trackElapsed };
+  });
+
+  const state = result.value;
+  if (!state || !state.playlist || state.playlist.length === 0) {
+    throw new Error('Radio is not initialized');
+  }
+
+  if (alreadyPlaying) {
+    criticalLog(`Requested track "${track.snippet.title}" is already playing`);
+  } else if (result.committed) {
+    criticalLog(`Inserted "${track.snippet.title}" after track ${insertedAfter + 1}`);
+  }
+
+  return state;
+};
+
+// Take videos out of the main rotation and the stored program playlists, e.g. ones that can't be played
+// The current track keeps its position, or the next remaining track starts right away when
+// the current one is taken out. Runs in a transaction, so clients reporting the same video at
+// once remove it once and keep each other's played history.
+export const removeTracksFromRotation = async (videoIds, channelId = DEFAULT_CHANNEL_ID) => {
+  const ids = new Set(videoIds);
+  const isRemoved = (item) => ids.has(item?.snippet?.resourceId?.videoId);
+
+  const result = await editRotation(channelId, (current, { index, trackElapsed }) => {
+    const playlist = current.playlist.filter(item => !isRemoved(item));
+    const programs = Object.fromEntries(Object.entries(current.programs || {}).map(([programId, program]) => (
+      [programId, { ...program, playlist: (program.playlist || []).filter(item => !isRemoved(item)) }]
+    )));
+    const programsChanged = Object.entries(current.programs || {}).some(([programId, program]) =>
+      (program.playlist || []).length !== programs[programId].playlist.length);
+
+    if (playlist.length === current.playlist.length && !programsChanged) return; // Nothing to remove
+    if (playlist.length === 0) return; // Keep something to play
+
+    // Where an index of the old playlist ends up (for a removed track: the one that followed it)
+    const newIndexOf = (oldIndex) => current.playlist.slice(0, oldIndex).filter(item => !isRemoved(item)).length;
+    const playedTracks = (current.playedTracks || [])
+      .filter(oldIndex => oldIndex < current.playlist.length && !isRemoved(current.playlist[oldIndex]))
+      .map(newIndexOf);
+
+    return {
+      state: { ...current, playlist, playedTracks, programs },
+      index: newIndexOf(index) % playlist.length,
+      trackElapsed: isRemoved(current.playlist[index]) ? 0 : trackElapsed
+    };
+  });
+
+  if (result.committed && result.value?.playlist) {
+    criticalLog(`Removed ${[...ids].join(', ')} from the rotation`);
+  }
+  return result.value;
+};
+
+/**
+ * Station controls
+ *
+ * The shared timeline is radioServerStartTime, or radioState.timelineStart once it was
+ * moved: every client derives the current track and position from it. Skipping, jumping
+ * and resuming move that start time in the same transaction as the rest of radioState,
+ * and pausing freezes the timeline at radioState.pausedAt. Clients subscribed through
+ * subscribeToRadioState / subscribeToServerStartTime all follow the change together.
+ */
+
+// Start the track at `index` from the beginning for everyone on the channel
+// While paused, the timeline is moved relative to the frozen moment and stays paused
+export const jumpToTrack = async (index, channelId = DEFAULT_CHANNEL_ID) => {
+  let outOfRange = false;
+  const result = await editRotation(channelId, (current) => {
+    outOfRange = !Number.isInteger(index) || index < 0 || index >= current.playlist.length;
+    if (outOfRange) return;
+    return { state: current, index, trackElapsed: 0 };
+  });
+
+  const state = result.value;
+  if (!state || !state.playlist || state.playlist.length === 0) {
+    throw new Error('Radio is not initialized');
+  }
+  if (outOfRange) throw new Error(`Track ${index + 1} is not in the playlist`);
+
+  criticalLog(`Jumping to track ${index + 1}: "${state.playlist[index]?.snippet?.title}"`);
+  return index;
+};
+
+// Skip the current track on the main rotation for everyone on the channel
+// With expectedVideoId, nothing happens if another track is already playing (returns null)
+export const skipCurrentTrack = async (channelId = DEFAULT_CHANNEL_ID, expectedVideoId = null) => {
+  let nextIndex = null;
+  const result = await editRotation(channelId, (current, { index }) => {
+    nextIndex = null;
+    if (expectedVideoId && current.playlist[index]?.snippet?.resourceId?.videoId !== expectedVideoId) return;
+
+    nextIndex = (index + 1) % current.playlist.length;
+    return { state: current, index: nextIndex, trackElapsed: 0 };
+  });
+
+  const state = result.value;
+  if (!state || !state.playlist || state.playlist.length === 0) {
+    throw new Error('Radio is not initialized');
+  }
+  if (nextIndex === null) return null;
+
+  criticalLog(`Skipping to track ${nextIndex + 1}: "${state.playlist[nextIndex]?.snippet?.title}"`);
+  return nextIndex;
+};
+
+// Pause the station for everyone on the channel, e.g. during an announcement
+// The optional reason is shown to listeners while the station is paused. Runs in a
+// transaction, so when several admins pause at once the first pause keeps its moment
+export const pauseStation = async (channelId = DEFAULT_CHANNEL_ID, reason = null) => {
+  const result = await getStorage().transaction(channelPath(channelId, 'radioState'), (current) => {
+    if (!current || current.isPlaying === false) return; // Nothing to pause
+
+    return withNextVersion({ ...current, isPlaying: false, pausedAt: getServerNow(), pauseReason: reason || null });
+  });
+
+  if (!result.value) throw new Error('Radio is not initialized');
+  if (result.committed) {
+    criticalLog(`Pausing station${reason ? `: ${reason}` : ''}`);
+  }
+  return result.value;
+};
+
+// Resume a paused station, continuing from where it was paused
+// The start time moves in the same transaction that clears the pause, so when several
+// admins resume at once it moves once, and no client sees a resumed station on the old timeline
+export const resumeStation = async (channelId = DEFAULT_CHANNEL_ID) => {
+  // Only read for stations whose timeline was never moved; a reset replaces both
+  const serverStartTime = await getServerStartTime(channelId);
+
+  const result = await getStorage().transaction(channelPath(channelId, 'radioState'), (current) => {
+    if (!current || current.isPlaying !== false) return; // Nothing to resume
+
+    // Push the start time forward by the paused duration so playback continues where it stopped
+    const resumedAt = getServerNow();
+    const pausedFor = resumedAt - (current.pausedAt || resumedAt);
+    return withNextVersion({
+      ...current,
+      isPlaying: true,
+      pausedAt: null,
+      pauseReason: null,
+      timelineStart: getTimelineStart(current, serverStartTime) + pausedFor
+    });
+  });
+
+  if (!result.committed) {
+    if (!result.value) throw new Error('Radio is not initialized');
+    return result.value;
+  }
+
+  criticalLog('Resuming station');
+  return result.value;
+};
+
+/**
+ * Radio config
+ *
+ * Station-wide playback settings under config/ apply to every client on every
+ * channel. crossfadeSeconds is the length of a track transition: the outgoing track
+ * fades out over the first half and the next one fades in over the second half, so
+ * both stay on the shared timeline. 0 switches tracks without fading. It is edited
+ * with the rest of the station config, see configService.
+ */
+export const DEFAULT_CROSSFADE_SECONDS = 4;
+export const MAX_CROSSFADE_SECONDS = 8;
+
+// Keep a crossfade duration within the supported range
+export const clampCrossfadeSeconds = (seconds) => {
+  const value = Number(seconds);
+  if (!Number.isFinite(value)) return DEFAULT_CROSSFADE_SECONDS;
+  return Math.min(MAX_CROSSFADE_SECONDS, Math.max(0, value));
+};
+
+/**
+ * Vote to skip
+ *
+ * Listeners can vote to skip the track on the main rotation. The votes are stored with
+ * the track they were cast for, as skipVotes: { trackKey, votes: { uid: true }, skipped },
+ * so they reset by themselves when the track changes. When the votes reach
+ * config/skipVoteShare of stats/currentListeners, the vote that passed the threshold
+ * also sets skipped and its client skips the track. If that client fails before the skip,
+ * the maintenance leader applies the ballot instead (applyPassedSkipVote). Skipping only
+ * happens while the ballot's track is still playing, so the track is skipped exactly once.
+ */
+export const DEFAULT_SKIP_VOTE_SHARE = 0.5;
+export const MIN_SKIP_VOTE_SHARE = 0.1;
+
+// Keep a skip vote share within the supported range
+const clampSkipVoteShare = (share) => {
+  const value = Number(share);
+  if (!Number.isFinite(value)) return DEFAULT_SKIP_VOTE_SHARE;
+  return Math.min(1, Math.max(MIN_SKIP_VOTE_SHARE, value));
+};
+
+// Identify one play of a track; stays the same across a pause, changes on every track change
+export const getSkipTrackKey = (trackInfo) => {
+  const videoId = trackInfo?.track?.snippet?.resourceId?.videoId;
+  if (!videoId) return null;
+  return `${trackInfo.cycle || 0}_${trackInfo.epoch || 0}_${trackInfo.index}_${videoId}`;
+};
+
+// Number of votes needed to skip with the given listener count (at least one)
+export const getRequiredSkipVotes = (listeners, share = DEFAULT_SKIP_VOTE_SHARE) =>
+  Math.max(1, Math.ceil((listeners || 0) * clampSkipVoteShare(share)));
+
+/**
+ * Vote to skip the track that's playing
+ * @param {Object} trackInfo - Current track info from getCurrentTrack
+ * @param {string} uid - Firebase auth uid of the voter
+ * @param {string} channelId - Channel the track plays on
+ * @returns {Promise<Object>} - { counted, skipped }: whether the vote was new and whether it skipped the track
+ */
+export const castSkipVote = async (trackInfo, uid, channelId = DEFAULT_CHANNEL_ID) => {
+  const trackKey = getSkipTrackKey(trackInfo);
+  if (!trackKey || !uid || trackInfo.programId) {
+    return { counted: false, skipped: false };
+  }
+
+  const [listeners, share] = await Promise.all([
+    getStorage().get('stats/currentListeners'),
+    getStorage().get('config/skipVoteShare')
+  ]);
+  const required = getRequiredSkipVotes(listeners, share);
+
+  let passed = false;
+  const result = await getStorage().transaction(channelPath(channelId, 'skipVotes'), (current) => {
+    const ballot = current && current.trackKey === trackKey ? current : { trackKey, votes: {} };
+    if (ballot.skipped || (ballot.votes && ballot.votes[uid])) return undefined;
 
-    // Add new items to the playlist and shuffle just the new items
-    const updatedPlaylist = [...state.playlist, ...newItems];
+    const votes = { ...(ballot.votes || {}), [uid]: true };
+    passed = Object.keys(votes).length >= required;
+    return { trackKey, votes, ...(passed ? { skipped: true } : {}) };
+  });
+
+  if (!result.committed) {
+    return { counted: false, skipped: false };
+  }
+
+  if (passed) {
+    criticalLog(`Skip vote passed for "${trackInfo.track.snippet.title}"`);
+    await skipCurrentTrack(channelId, trackInfo.track.snippet.resourceId.videoId);
+  }
 
-    // Update state with new playlist
-    state.playlist = updatedPlaylist;
+  return { counted: true, skipped: passed };
+};
 
-    // Save updated state to Firebase
-    await set(ref(database, 'radioState'), state);
+/**
+ * Skip the track of a passed vote whose voter's client didn't skip it
+ * @param {string} channelId - Channel to check
+ * @returns {Promise<boolean>} - Whether the track was skipped
+ */
+export const applyPassedSkipVote = async (channelId = DEFAULT_CHANNEL_ID) => {
+  const ballot = await getStorage().get(channelPath(channelId, 'skipVotes'));
+  if (!ballot || !ballot.skipped) return false;
+
+  const [state, serverStartTime, schedule] = await Promise.all([
+    getRadioState(channelId),
+    getServerStartTime(channelId),
+    getSchedule(channelId)
+  ]);
+  const trackInfo = getCurrentTrack(state, serverStartTime, schedule);
+  if (!trackInfo || trackInfo.programId || getSkipTrackKey(trackInfo) !== ballot.trackKey) return false;
+
+  // Does nothing when the voter's client skipped the track meanwhile
+  const nextIndex = await skipCurrentTrack(channelId, trackInfo.track.snippet.resourceId.videoId);
+  if (nextIndex === null) return false;
+
+  criticalLog(`Applied the passed skip vote for "${trackInfo.track.snippet.title}"`);
+  return true;
+};
 
-    // Also save to localStorage as fallback
-    localStorage.setItem('radioState', JSON.stringify(state));
+/**
+ * Get real-time updates when a skip vote passes, for the leader to apply it
+ * @param {Function} callback - Function to call whenever the stored ballot has passed
+ * @param {string} channelId - Channel to follow
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToPassedSkipVotes = (callback, channelId = DEFAULT_CHANNEL_ID) => {
+  try {
+    return getStorage().subscribe(channelPath(channelId, 'skipVotes'), (ballot) => {
+      if (ballot && ballot.skipped) callback();
+    });
+  } catch (error) {
+    console.error('Error subscribing to skip votes:', error);
+    return () => {}; // Return empty function if subscription fails
+  }
+};
 
-    return state;
+/**
+ * Get real-time updates on the skip votes for a track
+ * @param {string} trackKey - Key from getSkipTrackKey
+ * @param {Function} callback - Function to call with the uids that voted for this track
+ * @param {string} channelId - Channel to follow
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToSkipVotes = (trackKey, callback, channelId = DEFAULT_CHANNEL_ID) => {
+  try {
+    return getStorage().subscribe(channelPath(channelId, 'skipVotes'), (ballot) => {
+      callback(ballot && ballot.trackKey === trackKey ? Object.keys(ballot.votes || {}) : []);
+    });
   } catch (error) {
-    console.error('Error updating playlist in Firebase:', error);
-
-    // Fallback to localStorage if Firebase fails
-    try {
-      const localState = localStorage.getItem('radioState');
-      if (!localState) return initializeRadio(newPlaylistItems);
-
-      const state = JSON.parse(localState);
-
-      // Identify new tracks by comparing video IDs
-      const currentIds = new Set();
-      if (state.playlist) {
-        state.playlist.forEach(item => {
-          if (item?.snippet?.resourceId?.videoId) {
-            currentIds.add(item.snippet.resourceId.videoId);
-          }
-        });
-      }
+    console.error('Error subscribing to skip votes:', error);
+    return () => {}; // Return empty function if subscription fails
+  }
+};
 
-      // Find new items not in current playlist
-      const newItems = newPlaylistItems.filter(item => 
-        !currentIds.has(item?.snippet?.resourceId?.videoId)
-      );
+// Save the share of listeners needed to skip a track
+export const saveSkipVoteShare = async (share) => {
+  const value = clampSkipVoteShare(share);
+  await getStorage().set('config/skipVoteShare', value);
+  return value;
+};
 
-      if (newItems.length === 0) {
-        debugLog("No new tracks found in playlist");
-        return state;
-      }
+// Subscribe to the skip vote share, falling back to the default when unset
+export const subscribeToSkipVoteShare = (callback) => {
+  try {
+    return getStorage().subscribe('config/skipVoteShare', (share) => {
+      callback(share !== null ? clampSkipVoteShare(share) : DEFAULT_SKIP_VOTE_SHARE);
+    });
+  } catch (error) {
+    console.error('Error subscribing to skip vote share:', error);
+    callback(DEFAULT_SKIP_VOTE_SHARE);
+    return () => {}; // Return empty function if subscription fails
+  }
+};
 
-      criticalLog(`Found ${newItems.length} new tracks in playlist (localStorage fallback)`);
+// Get the programming schedule
+export const getSchedule = async (channelId = DEFAULT_CHANNEL_ID) => {
+  try {
+    return await getStorage().get(channelPath(channelId, 'radioSchedule'));
+  } catch (error) {
+    console.error('Error getting schedule:', error);
+    return null;
+  }
+};
 
-      // Add new items to the playlist and shuffle just the new items
-      const updatedPlaylist = [...state.playlist, ...newItems];
+// Save the programming schedule
+export const saveSchedule = async (schedule, channelId = DEFAULT_CHANNEL_ID) => {
+  try {
+    await getStorage().set(channelPath(channelId, 'radioSchedule'), schedule);
+    return true;
+  } catch (error) {
+    console.error('Error saving schedule:', error);
+    return false;
+  }
+};
 
-      // Update state with new playlist
-      state.playlist = updatedPlaylist;
+// Get the playlist IDs of all scheduled programs that bring their own playlist
+export const getProgramPlaylistIds = (schedule) => {
+  const ids = getValidBlocks(schedule)
+    .filter(block => !block.offAir && block.playlistId)
+    .map(block => block.playlistId);
+  return [...new Set(ids)];
+};
 
-      // Save updated state to localStorage
-      localStorage.setItem('radioState', JSON.stringify(state));
+// Store the tracks of a scheduled program next to the main rotation
+export const storeProgramPlaylist = async (playlistId, items, channelId = DEFAULT_CHANNEL_ID) => {
+  const program = { playlist: items, updatedAt: getServerNow() };
 
-      return state;
-    } catch (e) {
-      console.error('Error updating playlist in localStorage:', e);
-      return initializeRadio(newPlaylistItems);
-    }
+  try {
+    await getStorage().set(`${channelPath(channelId, 'radioState')}/programs/${playlistId}`, program);
+  } catch (error) {
+    console.error('Error storing program playlist:', error);
   }
 };
 
-// Subscribe to real-time updates from Firebase
-export const subscribeToRadioState = (callback) => {
+// Subscribe to schedule updates
+export const subscribeToSchedule = (callback, channelId = DEFAULT_CHANNEL_ID) => {
   try {
-    // Reference to the radio state in the database
-    const stateRef = ref(database, 'radioState');
+    // Deliver null as well so clearing the schedule puts the station back on air
+    const unsubscribe = getStorage().subscribe(channelPath(channelId, 'radioSchedule'), callback);
+
+    return unsubscribe;
+  } catch (error) {
+    console.error('Error subscribing to schedule:', error);
+    return () => {}; // Return empty function if subscription fails
+  }
+};
 
+// Subscribe to real-time updates of the radio state
+export const subscribeToRadioState = (callback, channelId = DEFAULT_CHANNEL_ID) => {
+  try {
     // Listen for changes to the radio state
-    const unsubscribe = onValue(stateRef, (snapshot) => {
-      if (snapshot.exists()) {
-        const state = snapshot.val();
+    const unsubscribe = getStorage().subscribe(channelPath(channelId, 'radioState'), (state) => {
+      if (state) {
         callback(state);
       }
     });
@@ -542,16 +1180,12 @@ export const subscribeToRadioState = (callback) => {
 };
 
 // Subscribe to server start time updates
-export const subscribeToServerStartTime = (callback) => {
+export const subscribeToServerStartTime = (callback, channelId = DEFAULT_CHANNEL_ID) => {
   try {
-    // Reference to the server start time in the database
-    const startTimeRef = ref(database, 'radioServerStartTime');
-
     // Listen for changes to the server start time
-    const unsubscribe = onValue(startTimeRef, (snapshot) => {
-      if (snapshot.exists()) {
-        const startTime = parseInt(snapshot.val(), 10);
-        callback(startTime);
+    const unsubscribe = getStorage().subscribe(channelPath(channelId, 'radioServerStartTime'), (startTime) => {
+      if (startTime) {
+        callback(parseInt(startTime, 10));
       }
     });
 
@@ -563,13 +1197,24 @@ export const subscribeToServerStartTime = (callback) => {
 };
 
 // Function to check playlist version by size
-export const checkPlaylistVersion = async (newItems) => {
+// totalCount is the item count YouTube reports for the whole playlist; if we
+// received fewer items than that, the fetch was cut short and must not be
+// mistaken for removed videos
+export const checkPlaylistVersion = async (newItems, totalCount = newItems?.length, channelId = DEFAULT_CHANNEL_ID) => {
   if (!newItems) return false;
 
-  const state = await getRadioState();
+  if (newItems.length < totalCount) {
+    criticalLog(`Playlist fetch incomplete: got ${newItems.length} of ${totalCount} items, skipping version check`);
+    return false;
+  }
+
+  const state = await getRadioState(channelId);
   if (!state || !state.playlist) return true; // No current state, always update
 
-  const currentLength = state.playlist.length;
+  // Approved song requests aren't part of the YouTube playlist, so leave them out,
+  // and compare every track once however often it repeats in the rotation
+  const currentPlaylist = uniqueTracks(state.playlist.filter(item => !item.request));
+  const currentLength = currentPlaylist.length;
   const newLength = newItems.length;
 
   // Added a forceful refresh flag - but now we'll only force a refresh every 10th time
@@ -595,7 +1240,7 @@ export const checkPlaylistVersion = async (newItems) => {
   const newIds = new Set();
 
   for (let i = 0; i < currentLength; i++) {
-    const id = state.playlist[i]?.snippet?.resourceId?.videoId;
+    const id = currentPlaylist[i]?.snippet?.resourceId?.videoId;
     if (id) currentIds.add(id);
   }
 
@@ -630,7 +1275,17 @@ export const checkPlaylistVersion = async (newItems) => {
     }
   }
 
-  // We only return true (indicating need for refresh) if videos were removed
+  // Changed playlist weights need an update too, so the next reshuffle uses them
+  const currentRepeats = new Map(currentPlaylist.map(item => [item?.snippet?.resourceId?.videoId, getTrackRepeats(item)]));
+  const repeatsChanged = newItems.some(item => {
+    const id = item?.snippet?.resourceId?.videoId;
+    return currentRepeats.has(id) && currentRepeats.get(id) !== getTrackRepeats(item);
+  });
+  if (repeatsChanged) {
+    criticalLog('Playlist weights changed');
+  }
+
+  // We only return true (indicating need for refresh) if videos were removed or weights changed
   // Adding videos doesn't require interrupting the current track
-  return videosRemoved;
+  return videosRemoved || repeatsChanged;
 };
@@ -0,0 +1,700 @@
+import {
+  initializeRadio,
+  updatePlaylist,
+  checkAndResetPlayedTracks,
+  checkPlaylistVersion,
+  getCurrentTrack,
+  resetRadioState,
+  markTrackPlayed,
+  seededShuffle,
+  buildRotation,
+  getCycleSeed,
+  castSkipVote,
+  applyPassedSkipVote,
+  getSkipTrackKey,
+  getRequiredSkipVotes,
+  subscribeToSkipVotes,
+  getServerStartTime,
+  removeTracksFromRotation,
+  insertTrackAfterCurrent,
+  jumpToTrack,
+  skipCurrentTrack,
+  pauseStation,
+  resumeStation,
+  setStorageAdapter
+} from './radioService';
+import { createMemoryAdapter } from './storageAdapters';
+import { getServerNow, setServerNow, TEST_NOW } from './firebaseService';
+import { makeTrack, makePlaylist, videoIds } from './testFixtures';
+
+jest.mock('./firebaseService');
+
+// Every test runs against a fresh in-memory database; its calls yield to the event
+// loop, so concurrent callers interleave the way separate browsers would
+let storage;
+
+// Run the same operation from several clients at once
+const concurrently = (count, operation) =>
+  Promise.all(Array.from({ length: count }, (_, i) => operation(i)));
+
+beforeEach(() => {
+  storage = createMemoryAdapter();
+  setStorageAdapter(storage);
+  localStorage.clear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('seededShuffle', () => {
+  test('gives the same order for the same seed regardless of input order', () => {
+    const playlist = makePlaylist(20);
+    const seed = getCycleSeed(12345, 1);
+
+    expect(videoIds(seededShuffle(playlist, seed))).toEqual(videoIds(seededShuffle([...playlist].reverse(), seed)));
+  });
+
+  test('gives a different order in the next cycle', () => {
+    const playlist = makePlaylist(20);
+
+    expect(videoIds(seededShuffle(playlist, getCycleSeed(12345, 1))))
+      .not.toEqual(videoIds(seededShuffle(playlist, getCycleSeed(12345, 2))));
+  });
+});
+
+describe('buildRotation', () => {
+  const withRepeats = (track, repeats) => ({ ...track, repeats });
+
+  test('is the seeded shuffle when no track repeats', () => {
+    const playlist = makePlaylist(10);
+    const seed = getCycleSeed(12345, 0);
+
+    expect(videoIds(buildRotation(playlist, seed))).toEqual(videoIds(seededShuffle(playlist, seed)));
+  });
+
+  test('plays repeating tracks that often, spread over the rotation', () => {
+    const playlist = [...makePlaylist(12), withRepeats(makeTrack('often'), 4)];
+
+    const rotation = videoIds(buildRotation(playlist, getCycleSeed(12345, 0)));
+    const positions = rotation.map((id, i) => (id === 'often' ? i : -1)).filter(i => i >= 0);
+
+    expect(rotation).toHaveLength(16);
+    expect(positions).toHaveLength(4);
+    positions.slice(1).forEach((position, i) => expect(position - positions[i]).toBeGreaterThan(1));
+  });
+
+  test('starts from unique tracks when reshuffling a rotation', () => {
+    const playlist = [...makePlaylist(5), withRepeats(makeTrack('often'), 3)];
+    const rotation = buildRotation(playlist, getCycleSeed(1, 0));
+
+    expect(buildRotation(rotation, getCycleSeed(1, 1))).toHaveLength(8);
+  });
+});
+
+describe('initializeRadio', () => {
+  test('only one of many concurrent clients creates the state', async () => {
+    const playlist = makePlaylist(15);
+
+    const states = await concurrently(30, () => initializeRadio(playlist));
+    const stored = await storage.get('radioState');
+
+    expect(stored.version).toBe(1);
+    states.forEach(state => {
+      expect(videoIds(state.playlist)).toEqual(videoIds(stored.playlist));
+      expect(state.shuffleSeed).toBe(stored.shuffleSeed);
+    });
+  });
+});
+
+describe('markTrackPlayed', () => {
+  test('keeps every track recorded by concurrent clients', async () => {
+    await initializeRadio(makePlaylist(10));
+
+    await concurrently(10, index => markTrackPlayed(index, 0));
+    const stored = await storage.get('radioState');
+
+    expect([...stored.playedTracks].sort((a, b) => a - b)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    expect(stored.version).toBe(11);
+  });
+
+  test('records a track once when several clients report it', async () => {
+    await initializeRadio(makePlaylist(10));
+
+    await concurrently(30, () => markTrackPlayed(3, 0));
+
+    expect((await storage.get('radioState')).playedTracks).toEqual([3]);
+  });
+
+  test('ignores a late write from the previous cycle', async () => {
+    await initializeRadio(makePlaylist(3));
+    await concurrently(3, index => markTrackPlayed(index, 0));
+    await checkAndResetPlayedTracks();
+
+    const committed = await markTrackPlayed(2, 0);
+
+    expect(committed).toBe(false);
+    expect((await storage.get('radioState')).playedTracks).toBeUndefined();
+  });
+});
+
+describe('checkAndResetPlayedTracks', () => {
+  test('only one concurrent reshuffle wins per cycle', async () => {
+    await initializeRadio(makePlaylist(8));
+    await concurrently(8, index => markTrackPlayed(index, 0));
+    const before = await storage.get('radioState');
+
+    await concurrently(30, () => checkAndResetPlayedTracks());
+    const after = await storage.get('radioState');
+
+    expect(after.shuffleCycle).toBe(1);
+    expect(after.version).toBe(before.version + 1);
+    expect(after.playedTracks).toBeUndefined();
+    expect(videoIds(after.playlist)).toEqual(videoIds(seededShuffle(before.playlist, getCycleSeed(before.shuffleSeed, 1))));
+  });
+
+  test('leaves the state alone while tracks are still unplayed', async () => {
+    await initializeRadio(makePlaylist(8));
+    await markTrackPlayed(0, 0);
+    const before = await storage.get('radioState');
+
+    await checkAndResetPlayedTracks();
+
+    expect(await storage.get('radioState')).toEqual(before);
+  });
+
+  test('drops one-off song requests when reshuffling', async () => {
+    await initializeRadio(makePlaylist(2));
+    const state = await storage.get('radioState');
+    await storage.set('radioState', {
+      ...state,
+      playlist: [...state.playlist, { ...makeTrack('requested'), request: { id: 'r1' } }],
+      playedTracks: [0, 1, 2]
+    });
+
+    await checkAndResetPlayedTracks();
+
+    expect(videoIds((await storage.get('radioState')).playlist)).not.toContain('requested');
+  });
+});
+
+describe('updatePlaylist', () => {
+  test('concurrent refreshes add new tracks only once', async () => {
+    await initializeRadio(makePlaylist(5));
+    const refreshed = [...makePlaylist(5), makeTrack('new1'), makeTrack('new2')];
+
+    await concurrently(10, () => updatePlaylist(refreshed));
+    const ids = videoIds((await storage.get('radioState')).playlist);
+
+    expect(ids).toHaveLength(7);
+    expect(ids.filter(id => id === 'new1')).toHaveLength(1);
+    expect(ids.slice(-2).sort()).toEqual(['new1', 'new2']);
+  });
+
+  test('does not lose played history written at the same time', async () => {
+    await initializeRadio(makePlaylist(5));
+    const refreshed = [...makePlaylist(5), makeTrack('new1')];
+
+    await Promise.all([
+      updatePlaylist(refreshed),
+      markTrackPlayed(0, 0),
+      markTrackPlayed(1, 0),
+      updatePlaylist(refreshed)
+    ]);
+    const stored = await storage.get('radioState');
+
+    expect([...stored.playedTracks].sort()).toEqual([0, 1]);
+    expect(videoIds(stored.playlist)).toContain('new1');
+  });
+
+  test('initializes the radio when there is no state yet', async () => {
+    const state = await updatePlaylist(makePlaylist(4));
+
+    expect(state.playlist).toHaveLength(4);
+    expect((await storage.get('radioState')).version).toBe(1);
+  });
+});
+
+describe('updatePlaylist with playlist weights', () => {
+  test('stores changed repeats for the next reshuffle', async () => {
+    await initializeRadio(makePlaylist(3));
+
+    const items = [makeTrack('video0'), { ...makeTrack('video1'), repeats: 2 }, makeTrack('video2')];
+    expect(await checkPlaylistVersion(items)).toBe(true);
+
+    const state = await updatePlaylist(items);
+    expect(state.playlist.find(item => item.snippet.resourceId.videoId === 'video1').repeats).toBe(2);
+
+    await concurrently(3, index => markTrackPlayed(index, 0));
+    await checkAndResetPlayedTracks();
+    expect((await storage.get('radioState')).playlist).toHaveLength(4);
+  });
+});
+
+describe('resetRadioState', () => {
+  test('clears the state and restarts the timeline together', async () => {
+    await initializeRadio(makePlaylist(4));
+
+    await resetRadioState();
+
+    expect(await storage.get('radioState')).toBeNull();
+    expect(Number(await storage.get('radioServerStartTime'))).toBeGreaterThan(0);
+  });
+
+  test('lets exactly one client rebuild the state after a reset', async () => {
+    await initializeRadio(makePlaylist(4, 'old'));
+    await resetRadioState();
+
+    await concurrently(10, () => initializeRadio(makePlaylist(6, 'fresh')));
+    const stored = await storage.get('radioState');
+
+    expect(stored.version).toBe(1);
+    expect(stored.playlist).toHaveLength(6);
+  });
+});
+
+describe('getCurrentTrack', () => {
+  const minutes = (count) => count * 60 * 1000;
+
+  test('derives track and position from the start time', () => {
+    const state = { playlist: makePlaylist(3) };
+
+    const info = getCurrentTrack(state, getServerNow() - minutes(4));
+
+    expect(info.index).toBe(1);
+    expect(info.position).toBe(60);
+    expect(info.remaining).toBe(120);
+    expect(info.epoch).toBe(0);
+  });
+
+  test('wraps around to the start of the playlist', () => {
+    const state = { playlist: makePlaylist(3) };
+
+    const info = getCurrentTrack(state, getServerNow() - minutes(10));
+
+    expect(info.index).toBe(0);
+    expect(info.position).toBe(60);
+    expect(info.epoch).toBe(1);
+  });
+
+  test('stays frozen where a paused station was paused', () => {
+    const state = { playlist: makePlaylist(3), isPlaying: false, pausedAt: getServerNow() - minutes(5), pauseReason: 'Announcement' };
+
+    const info = getCurrentTrack(state, getServerNow() - minutes(7));
+
+    expect(info.index).toBe(0);
+    expect(info.position).toBe(120);
+    expect(info.paused).toBe(true);
+    expect(info.pauseReason).toBe('Announcement');
+  });
+
+  test('returns null while the schedule is off air', () => {
+    const state = { playlist: makePlaylist(3) };
+    const schedule = { enabled: true, blocks: [{ name: 'Night', days: [0, 1, 2, 3, 4, 5, 6], start: '00:00', end: '00:01' }] };
+
+    expect(getCurrentTrack(state, getServerNow() - minutes(4), schedule)).toBeNull();
+  });
+});
+
+describe('checkPlaylistVersion', () => {
+  beforeEach(async () => {
+    await initializeRadio(makePlaylist(5));
+  });
+
+  test('always updates when there is no state yet', async () => {
+    await resetRadioState();
+
+    expect(await checkPlaylistVersion(makePlaylist(5))).toBe(true);
+  });
+
+  test('skips the check when the fetch was cut short', async () => {
+    expect(await checkPlaylistVersion(makePlaylist(2), 5)).toBe(false);
+  });
+
+  test('reports no change for the same tracks in another order', async () => {
+    expect(await checkPlaylistVersion([...makePlaylist(5)].reverse())).toBe(false);
+  });
+
+  test('reports a change when the playlist size changed', async () => {
+    expect(await checkPlaylistVersion(makePlaylist(6))).toBe(true);
+  });
+
+  test('reports a change when a track was replaced', async () => {
+    const items = [...makePlaylist(4), makeTrack('replacement')];
+
+    expect(await checkPlaylistVersion(items)).toBe(true);
+  });
+
+  test('ignores approved song requests in the rotation', async () => {
+    const state = await storage.get('radioState');
+    await storage.set('radioState', {
+      ...state,
+      playlist: [...state.playlist, { ...makeTrack('requested'), request: { id: 'r1' } }]
+    });
+
+    expect(await checkPlaylistVersion(makePlaylist(5))).toBe(false);
+  });
+});
+
+describe('insertTrackAfterCurrent', () => {
+  const currentTrackInfo = async () =>
+    getCurrentTrack(await storage.get('radioState'), await getServerStartTime());
+
+  // Five three-minute tracks, one minute into the third one
+  beforeEach(async () => {
+    await storage.set('radioState', { playlist: makePlaylist(5), playedTracks: [0, 1, 2], isPlaying: true, version: 1 });
+    await storage.set('radioServerStartTime', String(getServerNow() - (2 * 3 + 1) * 60 * 1000));
+  });
+
+  afterEach(() => {
+    setServerNow(TEST_NOW);
+  });
+
+  test('queues the track after the current one', async () => {
+    await insertTrackAfterCurrent(makeTrack('requested'));
+
+    const state = await storage.get('radioState');
+    expect(videoIds(state.playlist)).toEqual(['video0', 'video1', 'video2', 'requested', 'video3', 'video4']);
+    expect((await currentTrackInfo()).position).toBe(60);
+  });
+
+  test('uses the paused position while the station is paused', async () => {
+    const state = await storage.get('radioState');
+    await storage.set('radioState', { ...state, isPlaying: false, pausedAt: getServerNow() });
+    setServerNow(getServerNow() + 10 * 60 * 1000); // Long enough that the running clock would be three tracks further
+
+    await insertTrackAfterCurrent(makeTrack('requested'));
+
+    expect(videoIds((await storage.get('radioState')).playlist)[3]).toBe('requested');
+    expect((await currentTrackInfo()).track.snippet.resourceId.videoId).toBe('video2');
+  });
+
+  test('moves the timeline in the same write as the playlist', async () => {
+    // Second time through the rotation, where a longer playlist changes which track is playing
+    await storage.set('radioServerStartTime', String(getServerNow() - (5 * 3 + 2 * 3 + 1) * 60 * 1000));
+
+    // Follow both nodes the way the player does and note what it would play after every change
+    const heard = [];
+    let state = null;
+    let serverStartTime = null;
+    const listen = () => {
+      if (state && serverStartTime) heard.push(getCurrentTrack(state, serverStartTime).track.snippet.resourceId.videoId);
+    };
+    const unsubscribeState = storage.subscribe('radioState', value => { state = value; listen(); });
+    const unsubscribeStartTime = storage.subscribe('radioServerStartTime', value => { serverStartTime = Number(value); listen(); });
+
+    await insertTrackAfterCurrent(makeTrack('requested'));
+    unsubscribeState();
+    unsubscribeStartTime();
+
+    expect(new Set(heard)).toEqual(new Set(['video2']));
+    expect((await currentTrackInfo()).position).toBe(60);
+  });
+
+  test('keeps every request and the played history when clients write at the same time', async () => {
+    await Promise.all([
+      concurrently(3, i => insertTrackAfterCurrent(makeTrack(`requested${i}`))),
+      markTrackPlayed(4)
+    ]);
+
+    const state = await storage.get('radioState');
+    expect(state.playlist).toHaveLength(8);
+    expect(videoIds(state.playlist).slice(0, 3)).toEqual(['video0', 'video1', 'video2']);
+    expect(state.playedTracks).toHaveLength(4);
+    expect(state.playedTracks).toEqual(expect.arrayContaining([0, 1, 2]));
+    expect(state.version).toBe(5);
+  });
+});
+
+describe('removeTracksFromRotation', () => {
+  const currentTrackInfo = async () =>
+    getCurrentTrack(await storage.get('radioState'), await getServerStartTime());
+
+  // Five three-minute tracks, one minute into the third one
+  beforeEach(async () => {
+    await storage.set('radioState', { playlist: makePlaylist(5), playedTracks: [0, 1, 2], isPlaying: true, version: 1 });
+    await storage.set('radioServerStartTime', String(getServerNow() - (2 * 3 + 1) * 60 * 1000));
+  });
+
+  test('keeps the current track at its position', async () => {
+    await removeTracksFromRotation(['video1']);
+
+    const state = await storage.get('radioState');
+    const info = await currentTrackInfo();
+    expect(videoIds(state.playlist)).toEqual(['video0', 'video2', 'video3', 'video4']);
+    expect(state.playedTracks).toEqual([0, 1]);
+    expect(info.track.snippet.resourceId.videoId).toBe('video2');
+    expect(info.position).toBe(60);
+  });
+
+  test('starts the next track right away when the current one is removed', async () => {
+    await removeTracksFromRotation(['video2']);
+
+    const info = await currentTrackInfo();
+    expect(info.track.snippet.resourceId.videoId).toBe('video3');
+    expect(info.position).toBe(0);
+    expect((await storage.get('radioState')).playedTracks).toEqual([0, 1]);
+  });
+
+  test('keeps the current track playing for listeners in the second cycle', async () => {
+    // Second time through the rotation, where a shorter playlist changes which track is playing
+    await storage.set('radioServerStartTime', String(getServerNow() - (5 * 3 + 2 * 3 + 1) * 60 * 1000));
+
+    // Follow both nodes the way the player does and note what it would play after every change
+    const heard = [];
+    let state = null;
+    let serverStartTime = null;
+    const listen = () => {
+      if (state && serverStartTime) heard.push(getCurrentTrack(state, serverStartTime).track.snippet.resourceId.videoId);
+    };
+    const unsubscribeState = storage.subscribe('radioState', value => { state = value; listen(); });
+    const unsubscribeStartTime = storage.subscribe('radioServerStartTime', value => { serverStartTime = Number(value); listen(); });
+
+    await removeTracksFromRotation(['video0']);
+    unsubscribeState();
+    unsubscribeStartTime();
+
+    expect(new Set(heard)).toEqual(new Set(['video2']));
+    expect((await currentTrackInfo()).position).toBe(60);
+  });
+
+  test('also removes the track from stored program playlists', async () => {
+    const state = await storage.get('radioState');
+    await storage.set('radioState', { ...state, programs: { PLprogram: { playlist: makePlaylist(3, 'program') } } });
+
+    await removeTracksFromRotation(['program1']);
+
+    expect(videoIds((await storage.get('radioState')).programs.PLprogram.playlist)).toEqual(['program0', 'program2']);
+  });
+
+  test('removes a track once when many clients report it at the same time', async () => {
+    await Promise.all([
+      concurrently(5, () => removeTracksFromRotation(['video1'])),
+      markTrackPlayed(3)
+    ]);
+
+    const state = await storage.get('radioState');
+    expect(videoIds(state.playlist)).toEqual(['video0', 'video2', 'video3', 'video4']);
+    expect(state.playedTracks).toHaveLength(3);
+    expect(state.version).toBe(3);
+    expect((await currentTrackInfo()).position).toBe(60);
+  });
+
+  test('leaves the state alone when none of the tracks is in it', async () => {
+    await removeTracksFromRotation(['elsewhere']);
+
+    expect((await storage.get('radioState')).version).toBe(1);
+  });
+});
+
+describe('jumpToTrack and skipCurrentTrack', () => {
+  const currentTrackInfo = async () =>
+    getCurrentTrack(await storage.get('radioState'), await getServerStartTime());
+
+  // Five three-minute tracks, one minute into the third one
+  beforeEach(async () => {
+    await storage.set('radioState', { playlist: makePlaylist(5), playedTracks: [0, 1, 2], isPlaying: true, version: 1 });
+    await storage.set('radioServerStartTime', String(getServerNow() - (2 * 3 + 1) * 60 * 1000));
+  });
+
+  test('starts the chosen track from the beginning', async () => {
+    await jumpToTrack(4);
+
+    const info = await currentTrackInfo();
+    expect(info.track.snippet.resourceId.videoId).toBe('video4');
+    expect(info.position).toBe(0);
+    expect((await storage.get('radioState')).version).toBe(2);
+  });
+
+  test('rejects a track outside the playlist', async () => {
+    await expect(jumpToTrack(5)).rejects.toThrow('Track 6 is not in the playlist');
+    expect((await storage.get('radioState')).version).toBe(1);
+  });
+
+  test('skips once when admins skip the same track at the same time', async () => {
+    const results = await concurrently(3, () => skipCurrentTrack('main', 'video2'));
+
+    expect(results.filter(index => index !== null)).toEqual([3]);
+    expect((await currentTrackInfo()).track.snippet.resourceId.videoId).toBe('video3');
+  });
+});
+
+describe('pauseStation', () => {
+  beforeEach(async () => {
+    await storage.set('radioState', { playlist: makePlaylist(5), playedTracks: [0], isPlaying: true, version: 1 });
+    await storage.set('radioServerStartTime', String(getServerNow() - 60 * 1000));
+  });
+
+  afterEach(() => {
+    setServerNow(TEST_NOW);
+  });
+
+  test('freezes the timeline with the reason', async () => {
+    await pauseStation('main', 'Announcement');
+
+    expect(await storage.get('radioState')).toEqual(expect.objectContaining({
+      isPlaying: false,
+      pausedAt: TEST_NOW,
+      pauseReason: 'Announcement',
+      version: 2
+    }));
+  });
+
+  test('pauses once when admins pause at the same time', async () => {
+    const results = await concurrently(3, i => pauseStation('main', `Reason ${i}`));
+
+    const state = await storage.get('radioState');
+    expect(state.version).toBe(2);
+    results.forEach(result => expect(result).toEqual(state));
+  });
+
+  test('keeps the moment of the first pause', async () => {
+    await pauseStation('main', 'Announcement');
+    setServerNow(getServerNow() + 60 * 1000);
+    await pauseStation('main', 'Fire drill');
+
+    expect(await storage.get('radioState')).toEqual(expect.objectContaining({
+      pausedAt: TEST_NOW,
+      pauseReason: 'Announcement',
+      version: 2
+    }));
+  });
+});
+
+describe('resumeStation', () => {
+  const startTime = TEST_NOW - (2 * 3 + 1) * 60 * 1000;
+
+  // Five three-minute tracks, paused one minute into the third one ten minutes ago
+  beforeEach(async () => {
+    await storage.set('radioState', {
+      playlist: makePlaylist(5),
+      playedTracks: [0, 1, 2],
+      isPlaying: false,
+      pausedAt: getServerNow(),
+      pauseReason: 'Announcement',
+      version: 1
+    });
+    await storage.set('radioServerStartTime', String(startTime));
+    setServerNow(getServerNow() + 10 * 60 * 1000);
+  });
+
+  afterEach(() => {
+    setServerNow(TEST_NOW);
+  });
+
+  test('continues where the station was paused', async () => {
+    await resumeStation();
+
+    const state = await storage.get('radioState');
+    expect(state).toEqual(expect.objectContaining({ isPlaying: true, version: 2 }));
+    expect(state.pausedAt).toBeUndefined();
+    expect(state.pauseReason).toBeUndefined();
+
+    expect(state.timelineStart).toBe(startTime + 10 * 60 * 1000);
+
+    const { track, position } = getCurrentTrack(state, await getServerStartTime());
+    expect(track.snippet.resourceId.videoId).toBe('video2');
+    expect(position).toBe(60);
+  });
+
+  test('moves the start time once when admins resume at the same time', async () => {
+    await concurrently(3, () => resumeStation());
+
+    const state = await storage.get('radioState');
+    expect(state.timelineStart).toBe(startTime + 10 * 60 * 1000);
+    expect(state.version).toBe(2);
+  });
+
+  test('leaves a playing station alone', async () => {
+    await resumeStation();
+    setServerNow(getServerNow() + 60 * 1000);
+    await resumeStation();
+
+    expect((await storage.get('radioState')).timelineStart).toBe(startTime + 10 * 60 * 1000);
+  });
+
+  test('fails when the radio is not initialized', async () => {
+    await storage.set('radioState', null);
+    await expect(resumeStation()).rejects.toThrow('Radio is not initialized');
+  });
+});
+
+describe('skip votes', () => {
+  // Whatever is playing right now, as every client sees it
+  const currentTrackInfo = async () =>
+    getCurrentTrack(await storage.get('radioState'), await getServerStartTime());
+
+  beforeEach(async () => {
+    await initializeRadio(makePlaylist(5));
+    await storage.set('radioServerStartTime', String(getServerNow() - 60 * 1000));
+  });
+
+  afterEach(() => {
+    setServerNow(TEST_NOW);
+  });
+
+  test('needs the configured share of listeners, at least one', () => {
+    expect(getRequiredSkipVotes(10, 0.3)).toBe(3);
+    expect(getRequiredSkipVotes(7, 0.5)).toBe(4);
+    expect(getRequiredSkipVotes(0, 0.5)).toBe(1);
+  });
+
+  test('counts each listener once', async () => {
+    await storage.set('stats/currentListeners', 10);
+    const info = await currentTrackInfo();
+
+    await castSkipVote(info, 'a');
+    const again = await castSkipVote(info, 'a');
+
+    expect(again.counted).toBe(false);
+    expect(Object.keys((await storage.get('skipVotes')).votes)).toEqual(['a']);
+  });
+
+  test('skips exactly once when many listeners vote at the same time', async () => {
+    await storage.set('stats/currentListeners', 10);
+    await storage.set('config/skipVoteShare', 0.3);
+    const info = await currentTrackInfo();
+
+    const results = await concurrently(10, i => castSkipVote(info, `user${i}`));
+
+    expect(results.filter(result => result.skipped)).toHaveLength(1);
+    expect((await currentTrackInfo()).index).toBe(info.index + 1);
+  });
+
+  test('starts over when the track changes', async () => {
+    await storage.set('stats/currentListeners', 10);
+    const first = await currentTrackInfo();
+    await castSkipVote(first, 'a');
+
+    setServerNow(getServerNow() + 3 * 60 * 1000);
+    const second = await currentTrackInfo();
+    const seen = [];
+    const unsubscribe = subscribeToSkipVotes(getSkipTrackKey(second), voters => seen.push(voters));
+    await castSkipVote(second, 'b');
+    unsubscribe();
+
+    expect(getSkipTrackKey(second)).not.toBe(getSkipTrackKey(first));
+    expect(Object.keys((await storage.get('skipVotes')).votes)).toEqual(['b']);
+    expect(seen[seen.length - 1]).toEqual(['b']);
+  });
+
+  test('lets the leader skip when the voter\'s client failed to', async () => {
+    const info = await currentTrackInfo();
+    // The vote passed, but its client closed before skipping
+    await storage.set('skipVotes', { trackKey: getSkipTrackKey(info), votes: { a: true }, skipped: true });
+
+    expect(await applyPassedSkipVote()).toBe(true);
+    expect(await applyPassedSkipVote()).toBe(false);
+    expect((await currentTrackInfo()).index).toBe(info.index + 1);
+  });
+
+  test('leaves a vote alone once its voter skipped the track', async () => {
+    await storage.set('stats/currentListeners', 1);
+    const info = await currentTrackInfo();
+    await castSkipVote(info, 'a');
+
+    expect(await applyPassedSkipVote()).toBe(false);
+    expect((await currentTrackInfo()).index).toBe(info.index + 1);
+  });
+});
@@ -0,0 +1,116 @@
+import { getServerNow } from './firebaseService';
+import { getVideoDetails, videoToPlaylistItem } from './youtubeService';
+import { getStorage, insertTrackAfterCurrent, DEFAULT_CHANNEL_ID } from './radioService';
+
+/**
+ * Request Service - Manages the student song request queue
+ *
+ * Requests live under requests/{id} with a status of pending, approved or rejected.
+ * Only signed-in (non-anonymous) users can submit; admins moderate the queue.
+ * They go through the storage adapter like the station data, so requests also work
+ * with the self-hosted sync server.
+ */
+
+// Request IDs sort by creation time, like Firebase push keys
+const createRequestId = () =>
+  getServerNow().toString(36).padStart(9, '0') + Math.random().toString(36).substring(2, 10);
+
+// Record the outcome of a review
+const reviewRequest = (request, reviewer, changes) =>
+  getStorage().update(Object.fromEntries(Object.entries({
+    ...changes,
+    reviewedBy: reviewer.uid,
+    reviewedAt: getServerNow()
+  }).map(([key, value]) => [`requests/${request.id}/${key}`, value])));
+
+/**
+ * Submit a song request
+ * @param {Object} user - Firebase auth user submitting the request
+ * @param {Object} video - Video to request ({ videoId, title, thumbnail, channelTitle })
+ * @param {string} channelId - Channel the request is for
+ * @returns {Promise<string>} - ID of the new request
+ */
+export const submitSongRequest = async (user, video, channelId = DEFAULT_CHANNEL_ID) => {
+  if (!user || user.isAnonymous) {
+    throw new Error('You need to sign in to request songs');
+  }
+  if (!video || !video.videoId) {
+    throw new Error('No video selected');
+  }
+
+  const requestId = createRequestId();
+  await getStorage().set(`requests/${requestId}`, {
+    videoId: video.videoId,
+    title: video.title || '',
+    thumbnail: video.thumbnail || null,
+    channelTitle: video.channelTitle || '',
+    channelId: channelId,
+    requestedBy: user.uid,
+    requesterName: user.displayName || user.email || 'Student',
+    status: 'pending',
+    createdAt: getServerNow()
+  });
+
+  return requestId;
+};
+
+/**
+ * Get real-time updates on requests with a given status
+ * @param {Function} callback - Function to call with the requests, oldest first
+ * @param {string} status - Status to filter by (default: pending)
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToSongRequests = (callback, status = 'pending') => {
+  try {
+    return getStorage().subscribe('requests', (stored) => {
+      const requests = Object.entries(stored || {})
+        .map(([id, request]) => ({ id, ...request }))
+        .filter(request => request.status === status);
+      requests.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+      callback(requests);
+    });
+  } catch (error) {
+    console.error('Error subscribing to song requests:', error);
+    return () => {}; // Return empty function if subscription fails
+  }
+};
+
+/**
+ * Approve a request and queue the track right after the current one
+ * @param {Object} request - Request from subscribeToSongRequests
+ * @param {Object} reviewer - Firebase auth user approving the request
+ * @param {string} apiKey - YouTube Data API key
+ * @returns {Promise<boolean>} - Whether the track was queued
+ */
+export const approveSongRequest = async (request, reviewer, apiKey) => {
+  const video = await getVideoDetails(apiKey, request.videoId);
+  if (!video) {
+    await reviewRequest(request, reviewer, { status: 'rejected', reason: 'Video is unavailable' });
+    return false;
+  }
+
+  // Mark the track as a one-off request so it leaves the rotation after this cycle
+  const track = {
+    ...videoToPlaylistItem(video),
+    request: {
+      id: request.id,
+      requesterName: request.requesterName
+    }
+  };
+
+  await insertTrackAfterCurrent(track, request.channelId || DEFAULT_CHANNEL_ID);
+
+  await reviewRequest(request, reviewer, { status: 'approved' });
+
+  return true;
+};
+
+/**
+ * Reject a request
+ * @param {Object} request - Request from subscribeToSongRequests
+ * @param {Object} reviewer - Firebase auth user rejecting the request
+ * @returns {Promise<void>}
+ */
+export const rejectSongRequest = async (request, reviewer) => {
+  await reviewRequest(request, reviewer, { status: 'rejected' });
+};
@@ -0,0 +1,47 @@
+import { submitSongRequest, subscribeToSongRequests, rejectSongRequest } from './requestService';
+import { setStorageAdapter } from './radioService';
+import { createMemoryAdapter } from './storageAdapters';
+import { getServerNow, setServerNow } from './firebaseService';
+
+jest.mock('./firebaseService');
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+const student = { uid: 'student', displayName: 'Student', isAnonymous: false };
+const admin = { uid: 'admin' };
+
+beforeEach(() => {
+  setStorageAdapter(createMemoryAdapter());
+});
+
+describe('song requests', () => {
+  test('lists pending requests oldest first', async () => {
+    await submitSongRequest(student, { videoId: 'first', title: 'First' });
+    setServerNow(getServerNow() + 1000);
+    await submitSongRequest(student, { videoId: 'second', title: 'Second' });
+
+    const seen = [];
+    const unsubscribe = subscribeToSongRequests(requests => seen.push(requests));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    unsubscribe();
+
+    expect(seen[seen.length - 1].map(request => request.videoId)).toEqual(['first', 'second']);
+  });
+
+  test('takes reviewed requests out of the pending queue', async () => {
+    const id = await submitSongRequest(student, { videoId: 'song', title: 'Song' });
+
+    const seen = [];
+    const unsubscribe = subscribeToSongRequests(requests => seen.push(requests));
+    await rejectSongRequest({ id }, admin);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    unsubscribe();
+
+    expect(seen[seen.length - 1]).toEqual([]);
+  });
+
+  test('only accepts requests from signed-in students', async () => {
+    await expect(submitSongRequest({ uid: 'guest', isAnonymous: true }, { videoId: 'song' }))
+      .rejects.toThrow('You need to sign in to request songs');
+  });
+});
@@ -0,0 +1,441 @@
+import { ref, get, set, update, onValue, runTransaction } from 'firebase/database';
+
+/**
+ * Storage Adapters - Where the shared station data is kept
+ *
+ * radioService talks to storage only through this interface, so the same logic runs
+ * against Firebase, the self-hosted sync server, a copy in localStorage or plain memory.
+ * Paths are slash-separated like database paths ("channels/jazz/radioState"). All methods
+ * return promises except subscribe:
+ *
+ *   get(path)                    - Resolve to the value at path, or null
+ *   set(path, value)             - Replace the value at path (null removes it)
+ *   update(values)               - Write several { path: value } pairs in one atomic step
+ *   subscribe(path, callback)    - Call back with the value now and on every change;
+ *                                  returns an unsubscribe function
+ *   transaction(path, updateFn)  - Run updateFn(current) and store what it returns. Return
+ *                                  undefined to abort. updateFn may run more than once when
+ *                                  another writer got there first. Resolves to { committed, value }
+ */
+
+// Split a path into its keys, ignoring leading, trailing and double slashes
+const splitPath = (path) => (path || '').split('/').filter(Boolean);
+
+// Deep copy a JSON value so callers can't mutate stored data
+const clone = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+// Drop nulls and empty objects/arrays, the way the Realtime Database stores data
+const normalize = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'object') return value;
+
+  const entries = Object.entries(value)
+    .map(([key, child]) => [key, normalize(child)])
+    .filter(([, child]) => child !== null);
+
+  if (entries.length === 0) return null;
+
+  // An array with holes comes back as an object keyed by index
+  if (Array.isArray(value) && entries.length === value.length) return entries.map(([, child]) => child);
+  return Object.fromEntries(entries);
+};
+
+// Read the value below a list of keys
+const getIn = (tree, keys) => {
+  let node = tree;
+  for (const key of keys) {
+    if (node === null || typeof node !== 'object' || !(key in node)) return null;
+    node = node[key];
+  }
+  return node === undefined ? null : node;
+};
+
+// Return a copy of tree with the value below keys replaced
+const setIn = (tree, keys, value) => {
+  if (keys.length === 0) return normalize(clone(value));
+
+  const [key, ...rest] = keys;
+  const base = tree !== null && typeof tree === 'object' ? tree : {};
+  const copy = Array.isArray(base) ? [...base] : { ...base };
+  copy[key] = setIn(getIn(base, [key]), rest, value);
+  return normalize(copy);
+};
+
+// Two paths affect each other when one is the other or lies below it
+const pathsOverlap = (a, b) => {
+  const keysA = splitPath(a);
+  const keysB = splitPath(b);
+  const length = Math.min(keysA.length, keysB.length);
+  return keysA.slice(0, length).join('/') === keysB.slice(0, length).join('/');
+};
+
+// Subscriptions for adapters that see every write themselves (memory, localStorage)
+// Listeners are only called when the value at their path actually changed
+const createListeners = (read) => {
+  const listeners = new Set();
+
+  const add = (path, callback) => {
+    const listener = { path, callback, lastValue: undefined, active: true };
+    listeners.add(listener);
+
+    // Deliver the current value asynchronously, like a database would
+    setTimeout(() => {
+      if (!listener.active) return;
+      listener.lastValue = JSON.stringify(read(path));
+      callback(read(path));
+    }, 0);
+
+    return () => {
+      listener.active = false;
+      listeners.delete(listener);
+    };
+  };
+
+  const notify = (writtenPaths) => {
+    listeners.forEach(listener => {
+      if (!writtenPaths.some(path => pathsOverlap(path, listener.path))) return;
+
+      const value = read(listener.path);
+      const serialized = JSON.stringify(value);
+      if (serialized === listener.lastValue) return;
+
+      listener.lastValue = serialized;
+      listener.callback(value);
+    });
+  };
+
+  return { add, notify };
+};
+
+/**
+ * Firebase Realtime Database adapter
+ * @param {Object} database - Database instance from getDatabase()
+ * @returns {Object} - Storage adapter
+ */
+export const createFirebaseAdapter = (database) => ({
+  get: async (path) => {
+    const snapshot = await get(ref(database, path));
+    return snapshot.exists() ? snapshot.val() : null;
+  },
+
+  set: (path, value) => set(ref(database, path), value),
+
+  update: (values) => update(ref(database), values),
+
+  subscribe: (path, callback) => onValue(ref(database, path), (snapshot) => {
+    callback(snapshot.exists() ? snapshot.val() : null);
+  }),
+
+  transaction: async (path, updateFn) => {
+    const result = await runTransaction(ref(database, path), updateFn);
+    return { committed: result.committed, value: result.snapshot.val() };
+  }
+});
+
+/**
+ * Sync server adapter - the self-hosted WebSocket server in server/index.js
+ *
+ * Transactions are optimistic: the update runs on the last value seen and the server
+ * only commits it if the value is still the same, otherwise the update runs again on
+ * the value the server sent back.
+ * @param {Object} connection - { request, subscribe } from syncServerService
+ * @returns {Object} - Storage adapter
+ */
+export const createSyncServerAdapter = (connection) => ({
+  get: async (path) => {
+    const { value } = await connection.request({ type: 'get', path });
+    return value === undefined ? null : value;
+  },
+
+  set: async (path, value) => {
+    await connection.request({ type: 'set', path, value: clone(value) });
+  },
+
+  update: async (values) => {
+    await connection.request({ type: 'update', values: clone(values) });
+  },
+
+  subscribe: (path, callback) => connection.subscribe(path, callback),
+
+  transaction: async (path, updateFn) => {
+    let current = clone((await connection.request({ type: 'get', path })).value);
+
+    for (;;) {
+      const result = updateFn(clone(current));
+      if (result === undefined) {
+        return { committed: false, value: current };
+      }
+
+      const response = await connection.request({ type: 'transaction', path, expected: current, value: clone(result) });
+      if (response.committed) {
+        return { committed: true, value: response.value };
+      }
+
+      // Another writer got there first: run the update again on the new value
+      current = clone(response.value);
+    }
+  }
+});
+
+/**
+ * In-memory adapter for tests and offline use
+ *
+ * Every call yields to the event loop, so concurrent callers interleave the way
+ * separate browsers would, and transactions retry when the value changed between
+ * reading and committing, like Firebase transactions do.
+ * @param {Object} initialData - Data to start with (default: empty)
+ * @returns {Object} - Storage adapter
+ */
+export const createMemoryAdapter = (initialData = {}) => {
+  let tree = normalize(clone(initialData));
+
+  const read = (path) => clone(getIn(tree, splitPath(path)));
+  const write = (path, value) => {
+    tree = setIn(tree, splitPath(path), value);
+  };
+  const listeners = createListeners(read);
+  const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  return {
+    get: async (path) => {
+      await tick();
+      return read(path);
+    },
+
+    set: async (path, value) => {
+      await tick();
+      write(path, value);
+      listeners.notify([path]);
+    },
+
+    update: async (values) => {
+      await tick();
+      Object.entries(values).forEach(([path, value]) => write(path, value));
+      listeners.notify(Object.keys(values));
+    },
+
+    subscribe: (path, callback) => listeners.add(path, callback),
+
+    transaction: async (path, updateFn) => {
+      for (;;) {
+        const before = read(path);
+        await tick();
+        const result = updateFn(clone(before));
+        await tick();
+
+        if (result === undefined) {
+          return { committed: false, value: read(path) };
+        }
+
+        // Another writer got there first: run the update again on the new value
+        if (JSON.stringify(read(path)) !== JSON.stringify(before)) continue;
+
+        write(path, result);
+        listeners.notify([path]);
+        return { committed: true, value: read(path) };
+      }
+    }
+  };
+};
+
+/**
+ * localStorage adapter - keeps a copy of the station data in this browser
+ *
+ * Each path is stored under its own key ("radioState", "channels/jazz/radioState"),
+ * matching the keys the app has always used for its fallback copy. Writes below an
+ * existing key ("radioState/programs/abc") update that key's JSON document.
+ * @param {Storage} storage - Storage to use (default: window.localStorage)
+ * @returns {Object} - Storage adapter
+ */
+export const createLocalStorageAdapter = (storage = window.localStorage) => {
+  // Older values were stored as raw strings rather than JSON
+  const parse = (raw) => {
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      return raw;
+    }
+  };
+
+  // Number of leading keys that form a stored document, or 0 if none does
+  const findDocumentDepth = (keys) => {
+    for (let depth = keys.length; depth > 0; depth--) {
+      if (storage.getItem(keys.slice(0, depth).join('/')) !== null) return depth;
+    }
+    return 0;
+  };
+
+  // Keys of documents stored below a path
+  const findDescendantKeys = (keys) => {
+    const prefix = `${keys.join('/')}/`;
+    const found = [];
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (key && key.startsWith(prefix)) found.push(key);
+    }
+    return found;
+  };
+
+  const read = (path) => {
+    const keys = splitPath(path);
+    const depth = findDocumentDepth(keys);
+    if (depth > 0) {
+      const document = parse(storage.getItem(keys.slice(0, depth).join('/')));
+      return clone(getIn(document, keys.slice(depth)));
+    }
+
+    // Assemble the value from documents stored below the path
+    let value = null;
+    findDescendantKeys(keys).forEach(key => {
+      value = setIn(value, splitPath(key).slice(keys.length), parse(storage.getItem(key)));
+    });
+    return value;
+  };
+
+  const write = (path, value) => {
+    const keys = splitPath(path);
+    const depth = findDocumentDepth(keys);
+
+    if (depth > 0 && depth < keys.length) {
+      const documentKey = keys.slice(0, depth).join('/');
+      const document = setIn(parse(storage.getItem(documentKey)), keys.slice(depth), value);
+      if (document === null) {
+        storage.removeItem(documentKey);
+      } else {
+        storage.setItem(documentKey, JSON.stringify(document));
+      }
+      return;
+    }
+
+    // Replacing the whole path also replaces anything stored below it
+    findDescendantKeys(keys).forEach(key => storage.removeItem(key));
+    const normalized = normalize(clone(value));
+    if (normalized === null) {
+      storage.removeItem(keys.join('/'));
+    } else {
+      storage.setItem(keys.join('/'), JSON.stringify(normalized));
+    }
+  };
+
+  const listeners = createListeners(read);
+
+  return {
+    get: async (path) => read(path),
+
+    set: async (path, value) => {
+      write(path, value);
+      listeners.notify([path]);
+    },
+
+    update: async (values) => {
+      Object.entries(values).forEach(([path, value]) => write(path, value));
+      listeners.notify(Object.keys(values));
+    },
+
+    subscribe: (path, callback) => listeners.add(path, callback),
+
+    // A browser tab is single-threaded, so read-modify-write can't be interrupted here
+    transaction: async (path, updateFn) => {
+      const result = updateFn(read(path));
+      if (result === undefined) {
+        return { committed: false, value: read(path) };
+      }
+
+      write(path, result);
+      listeners.notify([path]);
+      return { committed: true, value: read(path) };
+    }
+  };
+};
+
+// Top-level keys (or keys below channels/{id}) kept in the local copy; others like the
+// shared playlist cache are too big for localStorage and not needed to keep playing
+const MIRRORED_KEYS = ['radioState', 'radioServerStartTime', 'radioSchedule', 'channelList', 'config'];
+
+const isMirrored = (path) => {
+  const keys = splitPath(path);
+  return MIRRORED_KEYS.includes(keys[0] === 'channels' ? keys[2] : keys[0]);
+};
+
+// Whether an error means the primary store couldn't be reached, rather than refused the operation
+const isConnectivityError = (error) =>
+  /offline|network|connection|did not answer|timed? ?out|unavailable|disconnect/i.test(error?.message || '');
+
+/**
+ * Adapter that uses a primary store and keeps a local copy to fall back on
+ *
+ * Writes to the radio state and configuration (MIRRORED_KEYS) go to the primary and are
+ * mirrored to the fallback. When the primary can't be reached, reads and writes of those
+ * paths use the fallback instead, so the radio keeps playing from the local copy while the
+ * database is unreachable. Any other error, such as permission denied, is passed on to the
+ * caller. Transactions never fall back: a local copy can't tell whether another client got
+ * there first, so it would always commit.
+ * @param {Object} primary - Adapter for the shared store (e.g. Firebase)
+ * @param {Object} fallback - Adapter for the local copy (e.g. localStorage)
+ * @returns {Object} - Storage adapter
+ */
+export const createFallbackAdapter = (primary, fallback) => {
+  // Mirror a write to the local copy; a failing copy must not fail the write
+  const mirror = async (write) => {
+    try {
+      await write();
+    } catch (e) {
+      console.warn('Could not update local copy of radio data:', e.message);
+    }
+  };
+
+  // Whether a failed operation on these paths may carry on with the local copy
+  const canFallBack = (error, paths) => isConnectivityError(error) && paths.every(isMirrored);
+
+  return {
+    get: async (path) => {
+      try {
+        return await primary.get(path);
+      } catch (error) {
+        if (!canFallBack(error, [path])) throw error;
+        console.error(`Error reading ${path}, using local copy:`, error);
+        return fallback.get(path);
+      }
+    },
+
+    set: async (path, value) => {
+      try {
+        await primary.set(path, value);
+      } catch (error) {
+        if (!canFallBack(error, [path])) throw error;
+        console.error(`Error writing ${path}, saving local copy only:`, error);
+      }
+      if (isMirrored(path)) await mirror(() => fallback.set(path, value));
+    },
+
+    update: async (values) => {
+      try {
+        await primary.update(values);
+      } catch (error) {
+        if (!canFallBack(error, Object.keys(values))) throw error;
+        console.error('Error writing update, saving local copy only:', error);
+      }
+
+      const mirrored = Object.entries(values).filter(([path]) => isMirrored(path));
+      if (mirrored.length > 0) await mirror(() => fallback.update(Object.fromEntries(mirrored)));
+    },
+
+    subscribe: (path, callback) => {
+      try {
+        return primary.subscribe(path, callback);
+      } catch (error) {
+        if (!canFallBack(error, [path])) throw error;
+        console.error(`Error subscribing to ${path}, following local copy:`, error);
+        return fallback.subscribe(path, callback);
+      }
+    },
+
+    transaction: async (path, updateFn) => {
+      const result = await primary.transaction(path, updateFn);
+      if (result.committed && isMirrored(path)) {
+        await mirror(() => fallback.set(path, result.value));
+      }
+      return result;
+    }
+  };
+};
@@ -0,0 +1,213 @@
+import { createMemoryAdapter, createSyncServerAdapter, createLocalStorageAdapter, createFallbackAdapter } from './storageAdapters';
+
+// Wait for adapters that deliver subscription values asynchronously
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('createMemoryAdapter', () => {
+  test('reads parents and children of written paths', async () => {
+    const storage = createMemoryAdapter();
+
+    await storage.set('channels/jazz/radioState', { isPlaying: true });
+
+    expect(await storage.get('channels/jazz/radioState/isPlaying')).toBe(true);
+    expect(await storage.get('channels')).toEqual({ jazz: { radioState: { isPlaying: true } } });
+    expect(await storage.get('channels/rock')).toBeNull();
+  });
+
+  test('drops empty arrays and nulls like the database does', async () => {
+    const storage = createMemoryAdapter();
+
+    await storage.set('radioState', { playedTracks: [], pausedAt: null, isPlaying: true });
+
+    expect(await storage.get('radioState')).toEqual({ isPlaying: true });
+  });
+
+  test('notifies subscribers of changes at or below their path', async () => {
+    const storage = createMemoryAdapter({ radioState: { isPlaying: true } });
+    const values = [];
+    storage.subscribe('radioState', value => values.push(value));
+    await flush();
+
+    await storage.update({ 'radioState/isPlaying': false, radioServerStartTime: '1' });
+    await storage.set('config/crossfadeSeconds', 2);
+
+    expect(values).toEqual([{ isPlaying: true }, { isPlaying: false }]);
+  });
+
+  test('retries a transaction that lost a race', async () => {
+    const storage = createMemoryAdapter({ counter: 0 });
+
+    await Promise.all(Array.from({ length: 10 }, () => storage.transaction('counter', value => (value || 0) + 1)));
+
+    expect(await storage.get('counter')).toBe(10);
+  });
+});
+
+describe('createLocalStorageAdapter', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('reads values stored by earlier versions of the app', async () => {
+    localStorage.setItem('radioServerStartTime', '1700000000000');
+    localStorage.setItem('radioState', JSON.stringify({ isPlaying: true, programs: { abc: { updatedAt: 1 } } }));
+    const storage = createLocalStorageAdapter();
+
+    expect(parseInt(await storage.get('radioServerStartTime'), 10)).toBe(1700000000000);
+    expect(await storage.get('radioState/programs/abc/updatedAt')).toBe(1);
+  });
+
+  test('writes below an existing key into that key', async () => {
+    localStorage.setItem('radioState', JSON.stringify({ isPlaying: true }));
+    const storage = createLocalStorageAdapter();
+
+    await storage.set('radioState/pausedAt', 5);
+
+    expect(JSON.parse(localStorage.getItem('radioState'))).toEqual({ isPlaying: true, pausedAt: 5 });
+    expect(localStorage.getItem('radioState/pausedAt')).toBeNull();
+  });
+
+  test('assembles a value from keys stored below it', async () => {
+    const storage = createLocalStorageAdapter();
+
+    await storage.set('channels/jazz/radioState', { isPlaying: true });
+    await storage.set('channels/rock/radioState', { isPlaying: false });
+
+    expect(await storage.get('channels')).toEqual({
+      jazz: { radioState: { isPlaying: true } },
+      rock: { radioState: { isPlaying: false } }
+    });
+  });
+});
+
+describe('createSyncServerAdapter', () => {
+  // Answers requests for top-level paths the way server/index.js does
+  const createFakeConnection = (data) => {
+    const values = { ...data };
+    const requests = [];
+
+    const request = async (message) => {
+      requests.push(message.type);
+      await flush();
+
+      switch (message.type) {
+        case 'get':
+          return { value: values[message.path] ?? null };
+        case 'transaction':
+          if (JSON.stringify(values[message.path] ?? null) !== JSON.stringify(message.expected)) {
+            return { committed: false, value: values[message.path] ?? null };
+          }
+          values[message.path] = message.value;
+          return { committed: true, value: message.value };
+        default:
+          values[message.path] = message.value;
+          return {};
+      }
+    };
+
+    return { request, subscribe: () => () => {}, requests };
+  };
+
+  test('retries transactions rejected by the server', async () => {
+    const storage = createSyncServerAdapter(createFakeConnection({ counter: 0 }));
+
+    await Promise.all(Array.from({ length: 10 }, () => storage.transaction('counter', value => (value || 0) + 1)));
+
+    expect(await storage.get('counter')).toBe(10);
+  });
+
+  test('does not contact the server again when a transaction is aborted', async () => {
+    const connection = createFakeConnection({ radioState: { version: 3 } });
+    const storage = createSyncServerAdapter(connection);
+
+    const result = await storage.transaction('radioState', () => undefined);
+
+    expect(result).toEqual({ committed: false, value: { version: 3 } });
+    expect(connection.requests).toEqual(['get']);
+  });
+});
+
+describe('createFallbackAdapter', () => {
+  const failing = {
+    get: () => Promise.reject(new Error('offline')),
+    set: () => Promise.reject(new Error('offline')),
+    update: () => Promise.reject(new Error('offline')),
+    subscribe: () => {
+      throw new Error('offline');
+    },
+    transaction: () => Promise.reject(new Error('offline'))
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('mirrors writes to the local copy', async () => {
+    const primary = createMemoryAdapter();
+    const local = createMemoryAdapter();
+    const storage = createFallbackAdapter(primary, local);
+
+    await storage.set('radioServerStartTime', '42');
+    await storage.transaction('radioState', () => ({ isPlaying: true }));
+
+    expect(await local.get('radioServerStartTime')).toBe('42');
+    expect(await local.get('radioState')).toEqual({ isPlaying: true });
+  });
+
+  test('uses the local copy while the primary store is unreachable', async () => {
+    const local = createMemoryAdapter({ radioState: { isPlaying: true } });
+    const storage = createFallbackAdapter(failing, local);
+
+    await storage.set('radioServerStartTime', '42');
+
+    expect(await storage.get('radioServerStartTime')).toBe('42');
+    expect(await storage.get('radioState')).toEqual({ isPlaying: true });
+  });
+
+  test('transactions fail instead of committing to the local copy', async () => {
+    const local = createMemoryAdapter({ radioState: { isPlaying: true } });
+    const storage = createFallbackAdapter(failing, local);
+
+    await expect(storage.transaction('radioState', state => ({ ...state, pausedAt: 1 }))).rejects.toThrow('offline');
+    expect(await local.get('radioState')).toEqual({ isPlaying: true });
+  });
+
+  test('passes on errors that are not about connectivity', async () => {
+    const denied = new Error('PERMISSION_DENIED: Permission denied');
+    const refusing = { ...failing, set: () => Promise.reject(denied), update: () => Promise.reject(denied) };
+    const local = createMemoryAdapter();
+    const storage = createFallbackAdapter(refusing, local);
+
+    await expect(storage.set('radioServerStartTime', '42')).rejects.toBe(denied);
+    await expect(storage.update({ radioState: { isPlaying: true } })).rejects.toBe(denied);
+    expect(await local.get('radioServerStartTime')).toBeNull();
+    expect(await local.get('radioState')).toBeNull();
+  });
+
+  test('only keeps the radio state and configuration in the local copy', async () => {
+    const primary = createMemoryAdapter();
+    const local = createMemoryAdapter();
+    const storage = createFallbackAdapter(primary, local);
+
+    await storage.update({
+      'channels/jazz/radioState': { isPlaying: true },
+      'youtubeCache/PL1': { etag: 'x' }
+    });
+    await storage.set('config', { title: 'Radio' });
+
+    expect(await local.get('channels/jazz/radioState')).toEqual({ isPlaying: true });
+    expect(await local.get('config')).toEqual({ title: 'Radio' });
+    expect(await local.get('youtubeCache')).toBeNull();
+    expect(await primary.get('youtubeCache/PL1')).toEqual({ etag: 'x' });
+  });
+
+  test('does not fall back for paths without a local copy', async () => {
+    const storage = createFallbackAdapter(failing, createMemoryAdapter());
+
+    await expect(storage.set('youtubeCache/PL1', { items: [] })).rejects.toThrow('offline');
+  });
+});
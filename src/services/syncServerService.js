@@ -0,0 +1,335 @@
+/**
+ * Sync Server Service - Client for the self-hosted WebSocket sync server (server/index.js)
+ *
+ * With REACT_APP_SYNC_BACKEND=websocket the station data, listener presence and the shared
+ * clock come from the sync server instead of the Firebase Realtime Database, so the radio
+ * runs entirely on the school network. REACT_APP_SYNC_SERVER_URL sets the server address
+ * (default: port 8080 on the host that served the app).
+ *
+ * The server only answers signed-in clients: every connection starts by sending the ID
+ * token of the Firebase user (see setAuthToken), and nothing else goes out before it.
+ */
+
+export const SYNC_SERVER_ENABLED = process.env.REACT_APP_SYNC_BACKEND === 'websocket';
+
+// How long to wait for an answer before giving up on a request (in milliseconds)
+const REQUEST_TIMEOUT = 10000;
+
+// Reconnect delays grow from the first to the last value (in milliseconds)
+const RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+
+// Number of round trips used to estimate the server clock offset
+const CLOCK_SAMPLES = 3;
+
+const getServerUrl = () => {
+  if (process.env.REACT_APP_SYNC_SERVER_URL) {
+    return process.env.REACT_APP_SYNC_SERVER_URL;
+  }
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  return `${protocol}//${window.location.hostname}:8080`;
+};
+
+let socket = null;
+let reconnectDelay = RECONNECT_DELAY;
+let reconnectTimeout = null;
+let nextId = 1;
+
+// Requests waiting for an answer, by id
+const pending = new Map();
+
+// Messages sent before the connection was open and signed in
+let queue = [];
+
+// ID token of the signed-in Firebase user, sent first on every connection
+let authToken = null;
+
+// Whether the token was sent on the current connection
+let sessionStarted = false;
+
+// Active subscriptions, by id; re-sent after every reconnect
+const subscriptions = new Map();
+
+// Session registered for presence, re-sent after every reconnect
+let presenceSessionId = null;
+
+let serverTimeOffset = 0;
+const offsetListeners = new Set();
+
+const rejectPending = (message) => {
+  pending.forEach(({ reject, timeout }) => {
+    clearTimeout(timeout);
+    reject(new Error(message));
+  });
+  pending.clear();
+  queue = [];
+};
+
+const isOpen = () => socket && socket.readyState === WebSocket.OPEN;
+
+const sendRaw = (message) => {
+  if (isOpen() && sessionStarted) {
+    socket.send(JSON.stringify(message));
+  } else {
+    queue.push(message);
+    connect();
+  }
+};
+
+const handleMessage = (event) => {
+  let message;
+  try {
+    message = JSON.parse(event.data);
+  } catch (error) {
+    console.error('Malformed message from sync server:', error);
+    return;
+  }
+
+  // Pushed subscription value
+  if (message.subscription !== undefined) {
+    const subscription = subscriptions.get(message.subscription);
+    if (subscription) subscription.callback(message.value === undefined ? null : message.value);
+    return;
+  }
+
+  const request = pending.get(message.id);
+  if (!request) return;
+
+  pending.delete(message.id);
+  clearTimeout(request.timeout);
+  if (message.error) {
+    request.reject(new Error(message.error));
+  } else {
+    request.resolve(message);
+  }
+};
+
+/**
+ * Estimate the offset between this device's clock and the sync server clock
+ * Uses the round trip with the lowest latency, assuming the answer was sent halfway through
+ * @returns {Promise<number>} - Offset in milliseconds (positive when the local clock is behind)
+ */
+const measureClockOffset = async () => {
+  let best = null;
+
+  for (let i = 0; i < CLOCK_SAMPLES; i++) {
+    const sentAt = Date.now();
+    const { value } = await request({ type: 'time' });
+    const receivedAt = Date.now();
+    const roundTrip = receivedAt - sentAt;
+
+    if (!best || roundTrip < best.roundTrip) {
+      best = { roundTrip, offset: value + roundTrip / 2 - receivedAt };
+    }
+  }
+
+  serverTimeOffset = Math.round(best.offset);
+  offsetListeners.forEach(callback => callback(serverTimeOffset));
+  return serverTimeOffset;
+};
+
+// Send the current token; the server handles a client's messages in order, so
+// everything sent after it is already checked against the new sign-in
+const sendAuthToken = () => {
+  const id = nextId++;
+  const timeout = setTimeout(() => pending.delete(id), REQUEST_TIMEOUT);
+  pending.set(id, {
+    resolve: () => {},
+    reject: error => console.error('Error signing in to sync server:', error),
+    timeout
+  });
+  socket.send(JSON.stringify({ id, type: 'auth', token: authToken }));
+};
+
+const startSession = () => {
+  sessionStarted = true;
+  sendAuthToken();
+
+  // The server forgets subscriptions and presence when a connection drops
+  subscriptions.forEach(({ path }, subscription) => {
+    socket.send(JSON.stringify({ id: nextId++, type: 'subscribe', path, subscription }));
+  });
+  if (presenceSessionId) {
+    socket.send(JSON.stringify({ id: nextId++, type: 'presence', sessionId: presenceSessionId }));
+  }
+
+  const queued = queue;
+  queue = [];
+  queued.forEach(message => socket.send(JSON.stringify(message)));
+
+  measureClockOffset().catch(error => {
+    console.error('Error measuring sync server clock offset:', error);
+  });
+};
+
+const handleOpen = () => {
+  reconnectDelay = RECONNECT_DELAY;
+  if (authToken) startSession();
+};
+
+const handleClose = () => {
+  socket = null;
+  sessionStarted = false;
+  rejectPending('Connection to sync server lost');
+
+  // Only keep reconnecting while something depends on the connection
+  if (subscriptions.size === 0 && !presenceSessionId) return;
+
+  clearTimeout(reconnectTimeout);
+  reconnectTimeout = setTimeout(connect, reconnectDelay);
+  reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+};
+
+// Open the connection unless it is already open or opening
+const connect = () => {
+  if (socket) return;
+
+  clearTimeout(reconnectTimeout);
+  try {
+    socket = new WebSocket(getServerUrl());
+  } catch (error) {
+    console.error('Error connecting to sync server:', error);
+    socket = null;
+    return;
+  }
+
+  socket.addEventListener('open', handleOpen);
+  socket.addEventListener('message', handleMessage);
+  socket.addEventListener('close', handleClose);
+};
+
+/**
+ * Send a request to the sync server
+ * @param {Object} message - Request without id, e.g. { type: 'get', path: 'radioState' }
+ * @returns {Promise<Object>} - The server's answer
+ */
+export const request = (message) => new Promise((resolve, reject) => {
+  const id = nextId++;
+  const timeout = setTimeout(() => {
+    pending.delete(id);
+    // The caller sees the request fail, so it must not go out after a reconnect either
+    queue = queue.filter(queued => queued.id !== id);
+    reject(new Error('Sync server did not answer in time'));
+  }, REQUEST_TIMEOUT);
+
+  pending.set(id, { resolve, reject, timeout });
+  sendRaw({ ...message, id });
+});
+
+/**
+ * Subscribe to the value at a path
+ * @param {string} path - Data path, e.g. 'radioState'
+ * @param {Function} callback - Function to call with the value now and on every change
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribe = (path, callback) => {
+  const subscription = nextId++;
+  subscriptions.set(subscription, { path, callback });
+
+  // Subscriptions are sent when the connection opens and signs in
+  if (isOpen() && sessionStarted) {
+    socket.send(JSON.stringify({ id: nextId++, type: 'subscribe', path, subscription }));
+  } else {
+    connect();
+  }
+
+  return () => {
+    subscriptions.delete(subscription);
+    if (isOpen() && sessionStarted) {
+      socket.send(JSON.stringify({ id: nextId++, type: 'unsubscribe', subscription }));
+    }
+  };
+};
+
+/**
+ * Sign in to the sync server, or out with null
+ * Call this with a fresh ID token whenever the Firebase user or its token changes;
+ * until the first token arrives, requests and subscriptions wait
+ * @param {string|null} token - Firebase ID token of the current user
+ */
+export const setAuthToken = (token) => {
+  authToken = token || null;
+  if (!isOpen()) return;
+
+  if (sessionStarted) {
+    sendAuthToken();
+  } else if (authToken) {
+    startSession();
+  }
+};
+
+/**
+ * Connection used by the sync server storage adapter (see storageAdapters.js)
+ */
+export const syncServerConnection = { request, subscribe };
+
+/**
+ * Get the current time on the sync server clock
+ * @returns {number} - Estimated server time in milliseconds
+ */
+export const getServerNow = () => Date.now() + serverTimeOffset;
+
+/**
+ * Get the last known offset between the local clock and the sync server clock
+ * @returns {number} - Offset in milliseconds (positive when the local clock is behind)
+ */
+export const getServerTimeOffset = () => serverTimeOffset;
+
+/**
+ * Get updates on the server time offset, measured after every (re)connect
+ * @param {Function} callback - Function to call with the offset in milliseconds
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToServerTimeOffset = (callback) => {
+  offsetListeners.add(callback);
+  callback(serverTimeOffset);
+  connect();
+  return () => offsetListeners.delete(callback);
+};
+
+/**
+ * Register this browser as a listener
+ * The server counts connected listeners itself and drops them when the connection closes
+ * @param {string} sessionId - ID of this session
+ * @returns {Promise<boolean>} - Whether the registration was successful
+ */
+export const registerListener = async (sessionId) => {
+  try {
+    presenceSessionId = sessionId;
+    await request({ type: 'presence', sessionId });
+    return true;
+  } catch (error) {
+    console.error('Error registering listener with sync server:', error);
+    return false;
+  }
+};
+
+/**
+ * Unregister this browser as a listener
+ * @returns {Promise<boolean>} - Whether the request was successful
+ */
+export const unregisterListener = async () => {
+  try {
+    presenceSessionId = null;
+    await request({ type: 'leave' });
+    return true;
+  } catch (error) {
+    console.error('Error unregistering listener with sync server:', error);
+    return false;
+  }
+};
+
+/**
+ * Measure the round trip time to the sync server
+ * @returns {Promise<number|null>} - Ping time in milliseconds or null if error
+ */
+export const measureServerPing = async () => {
+  try {
+    const startTime = Date.now();
+    await request({ type: 'time' });
+    return Date.now() - startTime;
+  } catch (error) {
+    console.error('Error measuring sync server ping:', error);
+    return null;
+  }
+};
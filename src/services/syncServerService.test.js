@@ -0,0 +1,71 @@
+import { request, setAuthToken, subscribe } from './syncServerService';
+
+// Sockets the service opened, with the messages sent on them
+const sockets = [];
+
+class MockWebSocket {
+  static OPEN = 1;
+
+  constructor() {
+    this.readyState = 0;
+    this.sent = [];
+    this.listeners = {};
+    sockets.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  open() {
+    this.readyState = MockWebSocket.OPEN;
+    this.listeners.open();
+  }
+}
+
+beforeAll(() => {
+  global.WebSocket = MockWebSocket;
+});
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('request', () => {
+  test('waits for sign-in and sends the token first', async () => {
+    const result = request({ type: 'get', path: 'radioState' });
+    subscribe('stats', () => {});
+    sockets[0].open();
+    expect(sockets[0].sent).toEqual([]);
+
+    setAuthToken('token');
+    expect(sockets[0].sent.map(message => message.type)).toEqual(['auth', 'subscribe', 'get', 'time']);
+    expect(sockets[0].sent[0].token).toBe('token');
+
+    const { id } = sockets[0].sent.find(message => message.type === 'get');
+    sockets[0].listeners.message({ data: JSON.stringify({ id, value: null }) });
+    await expect(result).resolves.toEqual({ id, value: null });
+  });
+
+  test('drops a request that timed out before the connection opened', async () => {
+    // Closing fails the requests still waiting on the first connection
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    sockets[0].listeners.close();
+    const result = request({ type: 'set', path: 'config/crossfadeSeconds', value: 2 });
+    jest.advanceTimersByTime(10000);
+    await expect(result).rejects.toThrow('Sync server did not answer in time');
+
+    sockets[1].open();
+    expect(sockets[1].sent[0].type).toBe('auth');
+    expect(sockets[1].sent.filter(message => message.type === 'set')).toEqual([]);
+  });
+});
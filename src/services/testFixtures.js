@@ -0,0 +1,14 @@
+/**
+ * Test fixtures shared by the service tests
+ */
+
+// A three-minute playlist item, shaped like the ones the YouTube API returns
+export const makeTrack = (videoId) => ({
+  snippet: { title: `Track ${videoId}`, resourceId: { videoId } },
+  contentDetails: { duration: 'PT3M' }
+});
+
+export const makePlaylist = (count, prefix = 'video') =>
+  Array.from({ length: count }, (_, i) => makeTrack(`${prefix}${i}`));
+
+export const videoIds = (items) => items.map(item => item.snippet.resourceId.videoId);
@@ -0,0 +1,58 @@
+/**
+ * Volume Service - Smooth volume changes for the YouTube players
+ *
+ * The iframe API only offers setVolume, so fades are done by stepping the volume
+ * on a short interval.
+ */
+
+// Time between volume steps in milliseconds
+const RAMP_STEP_MS = 100;
+
+/**
+ * Ramp a player's volume from one level to another
+ * @param {Object} player - YouTube player instance
+ * @param {number} from - Starting volume (0-100)
+ * @param {number} to - Target volume (0-100)
+ * @param {number} durationMs - Length of the ramp in milliseconds
+ * @param {Function} onDone - Called once the target volume is reached (not when cancelled)
+ * @returns {Function} - Cancels the ramp, leaving the volume where it is
+ */
+export const rampVolume = (player, from, to, durationMs, onDone) => {
+  if (!player) return () => {};
+
+  // Nothing to ramp: jump straight to the target
+  if (!durationMs || durationMs <= 0 || from === to) {
+    try {
+      player.setVolume(to);
+    } catch (e) {
+      console.warn("Could not set player volume:", e.message);
+    }
+    if (onDone) onDone();
+    return () => {};
+  }
+
+  const startedAt = Date.now();
+  let timer = null;
+
+  const step = () => {
+    const progress = Math.min(1, (Date.now() - startedAt) / durationMs);
+    try {
+      player.setVolume(Math.round(from + (to - from) * progress));
+    } catch (e) {
+      // The player went away mid-fade; stop quietly
+      console.warn("Volume ramp stopped, player unavailable:", e.message);
+      clearInterval(timer);
+      return;
+    }
+
+    if (progress >= 1) {
+      clearInterval(timer);
+      if (onDone) onDone();
+    }
+  };
+
+  timer = setInterval(step, RAMP_STEP_MS);
+  step();
+
+  return () => clearInterval(timer);
+};
@@ -1,67 +1,259 @@
-import axios from 'axios';
+import { youtubeGet } from './quotaService';
+
+// The YouTube Data API never returns more than 50 results per request
+export const PAGE_SIZE = 50;
+
+/**
+ * Splits an array into chunks of the given size
+ * @param {Array} array - Array to split
+ * @param {number} size - Maximum chunk size
+ * @returns {Array<Array>} - Array of chunks
+ */
+const chunkArray = (array, size) => {
+  const chunks = [];
+  for (let i = 0; i < array.length; i += size) {
+    chunks.push(array.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * Why a playlist item can't be played in the embedded player, or null if it can
+ * Deleted and private videos stay in the playlist as "Deleted video" / "Private video"
+ * entries, but the videos endpoint doesn't return them. The playlist item is checked even
+ * for videos whose details were known already, so one that disappears later is still caught.
+ * @param {Object} item - Playlist item (snippet, status)
+ * @param {Object|undefined} video - The video from the videos endpoint (contentDetails, status)
+ * @param {string} regionCode - ISO 3166-1 country the station plays in (optional)
+ * @returns {string|null} - 'deleted', 'private', 'notEmbeddable', 'regionBlocked', 'unavailable' or null
+ */
+export const getUnplayableReason = (item, video, regionCode) => {
+  const title = item?.snippet?.title;
+  if (title === 'Deleted video') return 'deleted';
+  if (title === 'Private video' || item?.status?.privacyStatus === 'private') return 'private';
+  if (!video) return 'deleted';
+
+  const status = video.status || {};
+  if (status.privacyStatus === 'private') return 'private';
+  if (status.uploadStatus && status.uploadStatus !== 'processed') return 'unavailable';
+  if (status.embeddable === false) return 'notEmbeddable';
+
+  const restriction = video.contentDetails?.regionRestriction;
+  if (regionCode && restriction) {
+    const region = regionCode.toUpperCase();
+    if (restriction.blocked?.includes(region)) return 'regionBlocked';
+    if (restriction.allowed && !restriction.allowed.includes(region)) return 'regionBlocked';
+  }
+
+  return null;
+};
 
 /**
- * Fetches videos from a YouTube playlist
+ * Fetches videos from a YouTube playlist, following nextPageToken until every page is loaded
  * @param {string} apiKey - YouTube Data API key
  * @param {string} playlistId - YouTube playlist ID
- * @param {number} maxResults - Maximum number of videos to fetch (default: 50)
- * @returns {Promise<Array>} - Array of playlist items with content details
+ * @param {number} maxResults - Maximum number of videos to fetch (default: the whole playlist)
+ * @param {Object} options - Ways to spend less quota:
+ *   etag: ETag of an earlier first page; if it's unchanged, { notModified: true } comes back
+ *   knownDetails: { videoId: contentDetails } already known, so those videos aren't looked up again
+ *   regionCode: country to check region restrictions for (default: REACT_APP_REGION_CODE)
+ * @returns {Promise<{items: Array, totalCount: number, etag: string, unavailable: Array}>} - Playable
+ * items with content details, the number of playable items a complete fetch has, the ETag of the
+ * first page and the items left out as [{ videoId, title, reason }], see getUnplayableReason
  */
-export const fetchPlaylistItems = async (apiKey, playlistId, maxResults = 50) => {
+export const fetchPlaylistItems = async (apiKey, playlistId, maxResults = Infinity, {
+  etag,
+  knownDetails = {},
+  regionCode = process.env.REACT_APP_REGION_CODE
+} = {}) => {
   try {
-    // First, fetch the playlist items to get the video IDs
-    const response = await axios.get('https://www.googleapis.com/youtube/v3/playlistItems', {
-      params: {
-        part: 'snippet',
-        maxResults: maxResults,
+    // First, walk every page of the playlist to collect the playlist items
+    const playlistItems = [];
+    let totalCount = 0;
+    let firstPageEtag = null;
+    let pageToken;
+
+    do {
+      const conditional = etag && !pageToken;
+      const response = await youtubeGet('playlistItems', {
+        part: 'snippet,status',
+        maxResults: Math.min(PAGE_SIZE, maxResults - playlistItems.length),
         playlistId: playlistId,
+        pageToken: pageToken,
         key: apiKey
+      }, conditional ? {
+        headers: { 'If-None-Match': etag },
+        validateStatus: status => (status >= 200 && status < 300) || status === 304
+      } : {});
+
+      if (response.status === 304) {
+        return { notModified: true, etag };
       }
-    });
 
-    const playlistItems = response.data.items;
+      firstPageEtag = firstPageEtag || response.data.etag || null;
+      playlistItems.push(...(response.data.items || []));
+      totalCount = response.data.pageInfo?.totalResults ?? playlistItems.length;
+      pageToken = response.data.nextPageToken;
+    } while (pageToken && playlistItems.length < maxResults);
 
-    // If no items found, return empty array
-    if (!playlistItems || playlistItems.length === 0) {
-      return [];
+    // If no items found, return empty result
+    if (playlistItems.length === 0) {
+      return { items: [], totalCount: 0, etag: firstPageEtag, unavailable: [] };
     }
 
     // Extract video IDs from playlist items
-    const videoIds = playlistItems.map(item => item.snippet.resourceId.videoId).join(',');
+    const videoIds = playlistItems.map(item => item.snippet.resourceId.videoId);
 
-    // Fetch video details including contentDetails for all videos in one request
-    const videoDetailsResponse = await axios.get('https://www.googleapis.com/youtube/v3/videos', {
-      params: {
-        part: 'contentDetails',
-        id: videoIds,
-        key: apiKey
-      }
+    // Fetch video details including contentDetails and status, 50 IDs per request,
+    // for the videos whose details aren't known yet (known ones were playable before)
+    const videoMap = {};
+    Object.entries(knownDetails).forEach(([videoId, contentDetails]) => {
+      videoMap[videoId] = { contentDetails };
     });
+    const unknownIds = [...new Set(videoIds)].filter(videoId => !knownDetails[videoId]);
+    for (const idChunk of chunkArray(unknownIds, PAGE_SIZE)) {
+      const videoDetailsResponse = await youtubeGet('videos', {
+        part: 'contentDetails,status',
+        id: idChunk.join(','),
+        maxResults: PAGE_SIZE,
+        key: apiKey
+      });
 
-    const videoDetails = videoDetailsResponse.data.items;
-
-    // Create a map of video IDs to their content details
-    const videoDetailsMap = {};
-    videoDetails.forEach(video => {
-      videoDetailsMap[video.id] = video.contentDetails;
-    });
+      // Create a map of video IDs to their details
+      (videoDetailsResponse.data.items || []).forEach(video => {
+        videoMap[video.id] = video;
+      });
+    }
 
-    // Merge content details into playlist items
-    const enhancedPlaylistItems = playlistItems.map(item => {
+    // Merge content details into the playable items and set the others aside
+    const enhancedPlaylistItems = [];
+    const unavailable = [];
+    playlistItems.forEach(item => {
       const videoId = item.snippet.resourceId.videoId;
-      return {
+      const reason = getUnplayableReason(item, videoMap[videoId], regionCode);
+      if (reason) {
+        unavailable.push({ videoId, title: item.snippet.title, reason });
+        return;
+      }
+      enhancedPlaylistItems.push({
         ...item,
-        contentDetails: videoDetailsMap[videoId] || {}
-      };
+        contentDetails: videoMap[videoId].contentDetails || {}
+      });
     });
 
-    return enhancedPlaylistItems;
+    return {
+      items: enhancedPlaylistItems,
+      totalCount: Math.max(totalCount - unavailable.length, enhancedPlaylistItems.length),
+      etag: firstPageEtag,
+      unavailable
+    };
   } catch (error) {
     console.error('Error fetching YouTube playlist:', error);
     throw error;
   }
 };
 
+/**
+ * Multiple source playlists
+ *
+ * The main rotation can merge several playlists, e.g. one per class. A playlist config is
+ * either a string like "PLaaa, PLbbb:3" (an optional weight after the colon) or a list of
+ * { id, weight }. The weights are shares of airtime: two playlists with the same weight get
+ * about as many plays each, whatever their size. Tracks of the smaller playlist therefore
+ * come back more often, marked with `repeats` (how many times they play per rotation, at most
+ * MAX_TRACK_REPEATS). radioService spreads those repeats over the rotation.
+ */
+export const MAX_TRACK_REPEATS = 10;
+
+/**
+ * Parses a playlist config into a list of sources
+ * @param {string|Array} config - "PLaaa, PLbbb:3" or [{ id, weight }] (or a list of IDs)
+ * @returns {Array<{id: string, weight: number}>} - Sources without duplicates; weights default to 1
+ */
+export const parsePlaylistSources = (config) => {
+  if (!config) return [];
+
+  const entries = Array.isArray(config)
+    ? config.map(entry => (typeof entry === 'string' ? { id: entry } : entry))
+    : String(config).split(',').map(part => {
+        const [id, weight] = part.split(':');
+        return { id, weight };
+      });
+
+  const sources = [];
+  entries.forEach(entry => {
+    const id = (entry?.id || '').trim();
+    const weight = Number(entry?.weight ?? 1);
+    if (!id || sources.some(source => source.id === id)) return;
+    sources.push({ id, weight: Number.isFinite(weight) && weight > 0 ? weight : 1 });
+  });
+  return sources;
+};
+
+/**
+ * Formats sources as a playlist config string, e.g. for a stable React dependency
+ * @param {Array<{id: string, weight: number}>} sources - Sources from parsePlaylistSources
+ * @returns {string} - "PLaaa,PLbbb:3"
+ */
+export const formatPlaylistSources = (sources) =>
+  sources.map(({ id, weight }) => (weight === 1 ? id : `${id}:${weight}`)).join(',');
+
+/**
+ * Merges fetched playlists into one list of tracks without duplicates
+ * A video that's in several playlists is kept once, with the highest number of repeats
+ * @param {Array} results - [{ id, weight, items, totalCount }] per source, in config order
+ * @returns {{items: Array, totalCount: number}} - Merged items and the count a complete
+ * fetch would have, so an incomplete fetch can still be told apart
+ */
+export const mergePlaylistSources = (results) => {
+  const videoIdOf = (item) => item?.snippet?.resourceId?.videoId;
+  const sizes = results.map(result => new Set(result.items.map(videoIdOf).filter(Boolean)).size);
+
+  // Airtime per track relative to the source whose tracks need the least of it
+  const perTrack = results.map((result, i) => (sizes[i] > 0 ? result.weight / sizes[i] : Infinity));
+  const base = Math.min(...perTrack);
+
+  const merged = new Map();
+  results.forEach((result, i) => {
+    const repeats = Math.min(MAX_TRACK_REPEATS, Math.max(1, Math.round(perTrack[i] / base)));
+
+    result.items.forEach(item => {
+      const videoId = videoIdOf(item);
+      if (!videoId) return;
+
+      const existing = merged.get(videoId);
+      if (existing && (existing.repeats || 1) >= repeats) return;
+
+      const { repeats: previousRepeats, ...track } = existing || item;
+      merged.set(videoId, repeats > 1 ? { ...track, repeats } : track);
+    });
+  });
+
+  const items = [...merged.values()];
+  const missing = results.reduce((sum, result) => sum + Math.max(0, result.totalCount - result.items.length), 0);
+  return { items, totalCount: items.length + missing };
+};
+
+/**
+ * Fetches every playlist of a playlist config and merges them into one rotation
+ * @param {string} apiKey - YouTube Data API key
+ * @param {string|Array} config - Playlist config, see parsePlaylistSources
+ * @param {Function} fetchPlaylist - Fetches one playlist like fetchPlaylistItems(apiKey, playlistId)
+ *   (default: fetchPlaylistItems; playlistCacheService passes its shared cache)
+ * @returns {Promise<{items: Array, totalCount: number}>} - Merged items, see mergePlaylistSources
+ */
+export const fetchPlaylistSources = async (apiKey, config, fetchPlaylist = fetchPlaylistItems) => {
+  const sources = parsePlaylistSources(config);
+
+  const results = [];
+  for (const source of sources) {
+    const { items, totalCount } = await fetchPlaylist(apiKey, source.id);
+    results.push({ ...source, items, totalCount });
+  }
+
+  return mergePlaylistSources(results);
+};
+
 /**
  * Gets video details by video ID
  * @param {string} apiKey - YouTube Data API key
@@ -70,12 +262,10 @@ export const fetchPlaylistItems = async (apiKey, playlistId, maxResults = 50) =>
  */
 export const getVideoDetails = async (apiKey, videoId) => {
   try {
-    const response = await axios.get('https://www.googleapis.com/youtube/v3/videos', {
-      params: {
-        part: 'snippet,contentDetails,statistics',
-        id: videoId,
-        key: apiKey
-      }
+    const response = await youtubeGet('videos', {
+      part: 'snippet,contentDetails,statistics',
+      id: videoId,
+      key: apiKey
     });
 
     return response.data.items[0];
@@ -84,3 +274,83 @@ export const getVideoDetails = async (apiKey, videoId) => {
     throw error;
   }
 };
+
+/**
+ * Extracts a video ID from a YouTube URL or a bare video ID
+ * @param {string} input - URL (watch, youtu.be, shorts, embed) or 11-character video ID
+ * @returns {string|null} - Video ID or null if none was found
+ */
+export const extractVideoId = (input) => {
+  if (!input) return null;
+  const value = input.trim();
+
+  // Bare video ID
+  if (/^[\w-]{11}$/.test(value)) {
+    return value;
+  }
+
+  try {
+    const url = new URL(value);
+    const host = url.hostname.replace(/^(www\.|m\.|music\.)/, '');
+
+    if (host === 'youtu.be') {
+      return url.pathname.slice(1, 12) || null;
+    }
+
+    if (host === 'youtube.com') {
+      if (url.searchParams.get('v')) {
+        return url.searchParams.get('v');
+      }
+
+      const pathMatch = url.pathname.match(/^\/(?:shorts|embed|live)\/([\w-]{11})/);
+      return pathMatch ? pathMatch[1] : null;
+    }
+  } catch (e) {
+    // Not a URL, fall through
+  }
+
+  return null;
+};
+
+/**
+ * Searches YouTube for videos
+ * @param {string} apiKey - YouTube Data API key
+ * @param {string} query - Search terms
+ * @param {number} maxResults - Maximum number of results (default: 5)
+ * @returns {Promise<Array>} - Search results with snippet and id.videoId
+ */
+export const searchVideos = async (apiKey, query, maxResults = 5) => {
+  try {
+    const response = await youtubeGet('search', {
+      part: 'snippet',
+      type: 'video',
+      videoEmbeddable: 'true',
+      maxResults: maxResults,
+      q: query,
+      key: apiKey
+    });
+
+    return response.data.items || [];
+  } catch (error) {
+    console.error('Error searching YouTube:', error);
+    throw error;
+  }
+};
+
+/**
+ * Converts a video resource (from getVideoDetails) to the playlist item shape the radio plays
+ * @param {Object} video - Video resource with snippet and contentDetails
+ * @returns {Object} - Playlist item with snippet.resourceId and contentDetails
+ */
+export const videoToPlaylistItem = (video) => ({
+  snippet: {
+    title: video.snippet.title,
+    thumbnails: video.snippet.thumbnails,
+    videoOwnerChannelTitle: video.snippet.channelTitle,
+    resourceId: {
+      kind: 'youtube#video',
+      videoId: video.id
+    }
+  },
+  contentDetails: video.contentDetails || {}
+});
@@ -0,0 +1,188 @@
+import axios from 'axios';
+import {
+  parsePlaylistSources,
+  formatPlaylistSources,
+  mergePlaylistSources,
+  fetchPlaylistSources,
+  fetchPlaylistItems,
+  getUnplayableReason,
+  MAX_TRACK_REPEATS
+} from './youtubeService';
+import { makeTrack, makePlaylist } from './testFixtures';
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+const repeatsOf = (items, videoId) =>
+  items.find(item => item.snippet.resourceId.videoId === videoId).repeats || 1;
+
+describe('parsePlaylistSources', () => {
+  test('reads IDs with optional weights from a string', () => {
+    expect(parsePlaylistSources('PLaaa, PLbbb:3,,PLaaa:2')).toEqual([
+      { id: 'PLaaa', weight: 1 },
+      { id: 'PLbbb', weight: 3 }
+    ]);
+  });
+
+  test('reads a list of sources and falls back to weight 1 for bad weights', () => {
+    expect(parsePlaylistSources([{ id: 'PLaaa', weight: 2 }, { id: 'PLbbb', weight: -1 }, 'PLccc'])).toEqual([
+      { id: 'PLaaa', weight: 2 },
+      { id: 'PLbbb', weight: 1 },
+      { id: 'PLccc', weight: 1 }
+    ]);
+  });
+
+  test('formats sources back into a config string', () => {
+    expect(formatPlaylistSources(parsePlaylistSources('PLaaa:1, PLbbb:3'))).toBe('PLaaa,PLbbb:3');
+  });
+});
+
+describe('mergePlaylistSources', () => {
+  test('keeps a single playlist as it is', () => {
+    const items = makePlaylist(5, 'a');
+
+    expect(mergePlaylistSources([{ id: 'A', weight: 1, items, totalCount: 5 }])).toEqual({ items, totalCount: 5 });
+  });
+
+  test('gives equally weighted playlists the same airtime', () => {
+    const { items } = mergePlaylistSources([
+      { id: 'A', weight: 1, items: makePlaylist(30, 'a'), totalCount: 30 },
+      { id: 'B', weight: 1, items: makePlaylist(10, 'b'), totalCount: 10 }
+    ]);
+
+    expect(repeatsOf(items, 'a0')).toBe(1);
+    expect(repeatsOf(items, 'b0')).toBe(3);
+  });
+
+  test('honours the weights', () => {
+    const { items } = mergePlaylistSources([
+      { id: 'A', weight: 1, items: makePlaylist(20, 'a'), totalCount: 20 },
+      { id: 'B', weight: 2, items: makePlaylist(20, 'b'), totalCount: 20 }
+    ]);
+
+    expect(repeatsOf(items, 'a0')).toBe(1);
+    expect(repeatsOf(items, 'b0')).toBe(2);
+  });
+
+  test('caps the repeats of a tiny playlist', () => {
+    const { items } = mergePlaylistSources([
+      { id: 'A', weight: 1, items: makePlaylist(300, 'a'), totalCount: 300 },
+      { id: 'B', weight: 1, items: makePlaylist(2, 'b'), totalCount: 2 }
+    ]);
+
+    expect(repeatsOf(items, 'b0')).toBe(MAX_TRACK_REPEATS);
+  });
+
+  test('keeps a video that is in several playlists once', () => {
+    const shared = makeTrack('shared');
+    const { items, totalCount } = mergePlaylistSources([
+      { id: 'A', weight: 1, items: [...makePlaylist(3, 'a'), shared], totalCount: 4 },
+      { id: 'B', weight: 1, items: [makeTrack('b0'), shared], totalCount: 2 }
+    ]);
+
+    expect(items.map(item => item.snippet.resourceId.videoId)).toEqual(['a0', 'a1', 'a2', 'shared', 'b0']);
+    expect(repeatsOf(items, 'shared')).toBe(2);
+    expect(totalCount).toBe(5);
+  });
+
+  test('reports an incomplete fetch through the total count', () => {
+    const { items, totalCount } = mergePlaylistSources([
+      { id: 'A', weight: 1, items: makePlaylist(3, 'a'), totalCount: 5 },
+      { id: 'B', weight: 1, items: makePlaylist(3, 'b'), totalCount: 3 }
+    ]);
+
+    expect(totalCount).toBe(items.length + 2);
+  });
+});
+
+describe('fetchPlaylistSources', () => {
+  test('fetches every playlist and merges them', async () => {
+    const playlists = { PLaaa: makePlaylist(4, 'a'), PLbbb: makePlaylist(2, 'b') };
+    axios.get.mockImplementation(async (url, { params }) => {
+      if (url.endsWith('/playlistItems')) {
+        const items = playlists[params.playlistId];
+        return { data: { items, pageInfo: { totalResults: items.length } } };
+      }
+      return { data: { items: params.id.split(',').map(id => ({ id, contentDetails: { duration: 'PT3M' } })) } };
+    });
+
+    const { items, totalCount } = await fetchPlaylistSources('key', 'PLaaa, PLbbb');
+
+    expect(items).toHaveLength(6);
+    expect(totalCount).toBe(6);
+    expect(repeatsOf(items, 'b1')).toBe(2);
+  });
+});
+
+describe('getUnplayableReason', () => {
+  const video = (status = {}, contentDetails = { duration: 'PT3M' }) => ({
+    contentDetails,
+    status: { privacyStatus: 'public', uploadStatus: 'processed', embeddable: true, ...status }
+  });
+
+  test('accepts a public, embeddable video', () => {
+    expect(getUnplayableReason(makeTrack('a'), video())).toBeNull();
+  });
+
+  test('tells deleted from private videos the API no longer returns', () => {
+    expect(getUnplayableReason({ snippet: { title: 'Deleted video' } }, undefined)).toBe('deleted');
+    expect(getUnplayableReason({ snippet: { title: 'Private video' } }, undefined)).toBe('private');
+  });
+
+  test('checks privacy, processing and embedding', () => {
+    expect(getUnplayableReason(makeTrack('a'), video({ privacyStatus: 'private' }))).toBe('private');
+    expect(getUnplayableReason(makeTrack('a'), video({ uploadStatus: 'rejected' }))).toBe('unavailable');
+    expect(getUnplayableReason(makeTrack('a'), video({ embeddable: false }))).toBe('notEmbeddable');
+  });
+
+  test('checks region restrictions only for a configured region', () => {
+    const blocked = video({}, { duration: 'PT3M', regionRestriction: { blocked: ['TR'] } });
+    const allowed = video({}, { duration: 'PT3M', regionRestriction: { allowed: ['US'] } });
+
+    expect(getUnplayableReason(makeTrack('a'), blocked, 'tr')).toBe('regionBlocked');
+    expect(getUnplayableReason(makeTrack('a'), allowed, 'TR')).toBe('regionBlocked');
+    expect(getUnplayableReason(makeTrack('a'), allowed, 'US')).toBeNull();
+    expect(getUnplayableReason(makeTrack('a'), blocked)).toBeNull();
+  });
+});
+
+describe('fetchPlaylistItems', () => {
+  test('sets unplayable items aside', async () => {
+    const items = [makeTrack('ok'), { snippet: { title: 'Private video', resourceId: { videoId: 'gone' } } }, makeTrack('noembed')];
+    axios.get.mockImplementation(async (url) => {
+      if (url.endsWith('/playlistItems')) {
+        return { data: { items, pageInfo: { totalResults: 3 } } };
+      }
+      return {
+        data: {
+          items: [
+            { id: 'ok', contentDetails: { duration: 'PT3M' }, status: { privacyStatus: 'public', embeddable: true } },
+            { id: 'noembed', contentDetails: { duration: 'PT3M' }, status: { privacyStatus: 'public', embeddable: false } }
+          ]
+        }
+      };
+    });
+
+    const result = await fetchPlaylistItems('key', 'PLaaa');
+
+    expect(result.items.map(item => item.snippet.resourceId.videoId)).toEqual(['ok']);
+    expect(result.totalCount).toBe(1);
+    expect(result.unavailable).toEqual([
+      { videoId: 'gone', title: 'Private video', reason: 'private' },
+      { videoId: 'noembed', title: 'Track noembed', reason: 'notEmbeddable' }
+    ]);
+  });
+
+  test('catches videos that went away after their details were cached', async () => {
+    const items = [makeTrack('ok'), { snippet: { title: 'Deleted video', resourceId: { videoId: 'gone' } } }];
+    axios.get.mockReset();
+    axios.get.mockResolvedValue({ data: { items, pageInfo: { totalResults: 2 } } });
+
+    const result = await fetchPlaylistItems('key', 'PLaaa', Infinity, {
+      knownDetails: { ok: { duration: 'PT3M' }, gone: { duration: 'PT4M' } }
+    });
+
+    expect(axios.get).toHaveBeenCalledTimes(1); // Both known, no videos lookup
+    expect(result.items.map(item => item.snippet.resourceId.videoId)).toEqual(['ok']);
+    expect(result.unavailable).toEqual([{ videoId: 'gone', title: 'Deleted video', reason: 'deleted' }]);
+  });
+});